@@ -2,6 +2,13 @@ import { exec } from "child_process";
 import fs from "fs";
 import path from "path";
 import { detectAudioFeatures } from "./detect_bpm.js";
+import { extractVisualFeatures } from "./visual_features.js";
+import { buildHookReport } from "./hook.js";
+
+// Version of the analysis pipeline (this file, detect_bpm.js and the shockValue formula).
+// Bump it whenever their output changes; results analyzed with an older version are
+// picked up by POST /api/videos/reanalyze.
+export const ANALYSIS_VERSION = 13; // 2: audio fingerprint, 3: audioBackend + pure-JS backend, 4: drum hits, 5: tempo map, 6: loudness, 7: sections, 8: shock value breakdown, 9: spectral, 10: key estimation, 11: waveform peaks, 12: visual features, 13: hook report
 
 export async function analyzeVideo(localPath) {
   // Check if file exists
@@ -95,12 +102,33 @@ export async function analyzeVideo(localPath) {
     }
   }
 
+  // Scene cuts, motion, brightness and colorfulness from downscaled frames
+  let visual = null;
+  if (basicAnalysis.video) {
+    try {
+      visual = await extractVisualFeatures(localPath, path.dirname(localPath), { duration: basicAnalysis.duration });
+    } catch (visualError) {
+      console.warn("Visual feature extraction failed:", visualError.message);
+    }
+  }
+
+  // The first seconds against the rest of the clip
+  const hook = buildHookReport({
+    duration: basicAnalysis.duration,
+    onsetTimes: audioFeatures?.shockInputs?.onsetTimes ?? null,
+    energyValues: audioFeatures?.shockInputs?.energyValues ?? null,
+    frameSeconds: audioFeatures?.shockInputs?.frameSeconds,
+    visual
+  });
+
   // Remove hasAudio from result (it was just for internal use)
   delete basicAnalysis.hasAudio;
 
   return {
     ...basicAnalysis,
     ...(audioFeatures || {}), // Spread audio features into the result
+    visual,
+    hook,
     // Keep bpm at top level for backwards compatibility
     bpm: audioFeatures?.bpm || null
   };
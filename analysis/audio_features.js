@@ -0,0 +1,315 @@
+import { decimate, powerSpectrum } from './dsp.js';
+import { trackBeats } from './beat_grid.js';
+
+/**
+ * Pure-JavaScript audio feature extraction
+ *
+ * In-process alternative to the aubio/ffmpeg commands in detect_bpm.js, working on the
+ * PCM samples of the WAV that detect_bpm.js extracts. Produces the same features:
+ *   - onsets: spectral flux of the log-magnitude spectrum, peak-picked against a moving
+ *     average (drum hits are broadband, so flux picks them up well)
+ *   - bpm: autocorrelation of the onset strength envelope, weighted towards ~120 BPM so
+ *     half/double-time peaks don't win on their own
+ *   - beatTimes: individual beats tracked at that tempo (beat_grid.js), like `aubio beat`
+ *   - pitch: YIN on the voiced frames, averaged like the aubiopitch output
+ *   - energy: overall RMS level in dB (like ffmpeg astats "RMS level")
+ *   - silenceRatio: share of the clip below -30dB for at least 0.5s (like ffmpeg silencedetect)
+ */
+
+// Onset detection works at ~22kHz: 1024-sample frames every 256 samples (~11.6ms)
+const ONSET_SAMPLE_RATE = 22050;
+const ONSET_FRAME_SIZE = 1024;
+const ONSET_HOP_SIZE = 256;
+const ONSET_LOG_COMPRESSION = 100;
+const ONSET_MIN_INTERVAL_SECONDS = 0.03;
+const ONSET_THRESHOLD_WINDOW_SECONDS = 0.1;
+const ONSET_THRESHOLD_DELTA = 0.07; // of the envelope maximum
+
+const MIN_BPM = 60;
+const MAX_BPM = 200;
+const PREFERRED_BPM = 120;
+
+const PITCH_SAMPLE_RATE = 11025;
+const PITCH_FRAME_SIZE = 1024;
+const PITCH_MIN_FREQUENCY = 50;
+const PITCH_MAX_FREQUENCY = 1000;
+const PITCH_THRESHOLD = 0.15;
+const PITCH_MIN_LEVEL_DB = -40;
+
+const ENERGY_WINDOW_SECONDS = 0.1;
+const SILENCE_THRESHOLD_DB = -30;
+const SILENCE_MIN_SECONDS = 0.5;
+
+/**
+ * Computes every feature detect_bpm.js gets from aubio/ffmpeg
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {object} - { bpm, pitch, pitchConfidence, onsets, onsetRate, energy, silenceRatio, onsetTimes,
+ *                     energyValues, beatTimes } where onsetTimes (seconds) and energyValues (dB per 0.1s,
+ *                     silent windows -Infinity) feed the shock value scoring and beatTimes (seconds) the
+ *                     tempo map
+ */
+export function extractAudioFeatures(samples, sampleRate) {
+  const strength = onsetStrength(samples, sampleRate);
+  const onsetTimes = detectOnsets(strength);
+  const { pitch, confidence } = estimatePitch(samples, sampleRate);
+  const bpm = estimateTempo(strength);
+
+  // Same definition as the aubio backend: onsets per second between the first and last onset
+  const onsetSpan = onsetTimes.length > 1 ? onsetTimes[onsetTimes.length - 1] - onsetTimes[0] : 0;
+
+  return {
+    bpm,
+    pitch,
+    pitchConfidence: confidence,
+    onsets: onsetTimes.length,
+    onsetRate: onsetSpan > 0 ? Math.round((onsetTimes.length / onsetSpan) * 100) / 100 : 0,
+    energy: roundOrNull(toDb(rms(samples, 0, samples.length)), 10),
+    silenceRatio: silenceRatio(samples, sampleRate),
+    onsetTimes,
+    energyValues: energyOverTime(samples, sampleRate, { keepSilent: true }),
+    beatTimes: trackBeats(strength, bpm)
+  };
+}
+
+/**
+ * Onset strength envelope (positive spectral flux of the log-magnitude spectrum)
+ * @param {Float32Array} samples - Mono samples
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {object} - { envelope, frameRate, frameOffset } where envelope[i] describes the frame centred at
+ *                     frameOffset + i / frameRate seconds
+ */
+export function onsetStrength(samples, sampleRate) {
+  const factor = Math.max(1, Math.round(sampleRate / ONSET_SAMPLE_RATE));
+  const signal = decimate(samples, factor);
+  const rate = sampleRate / factor;
+
+  const frameCount = Math.max(0, Math.floor((signal.length - ONSET_FRAME_SIZE) / ONSET_HOP_SIZE) + 1);
+  const envelope = new Float32Array(frameCount);
+  let previous = null;
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const power = powerSpectrum(signal, frame * ONSET_HOP_SIZE, ONSET_FRAME_SIZE);
+    const magnitude = new Float64Array(power.length);
+    for (let k = 0; k < power.length; k++) {
+      magnitude[k] = Math.log1p(ONSET_LOG_COMPRESSION * Math.sqrt(power[k]));
+    }
+
+    if (previous) {
+      let flux = 0;
+      for (let k = 0; k < magnitude.length; k++) {
+        const rise = magnitude[k] - previous[k];
+        if (rise > 0) flux += rise;
+      }
+      envelope[frame] = flux;
+    }
+    previous = magnitude;
+  }
+
+  return {
+    envelope,
+    frameRate: rate / ONSET_HOP_SIZE,
+    frameOffset: ONSET_FRAME_SIZE / 2 / rate
+  };
+}
+
+/**
+ * Picks onsets from an onset strength envelope
+ * @param {object} strength - Result of onsetStrength()
+ * @returns {number[]} - Onset times in seconds
+ */
+export function detectOnsets({ envelope, frameRate, frameOffset }) {
+  const peak = envelope.reduce((max, value) => Math.max(max, value), 0);
+  if (peak <= 0) return [];
+
+  const halfWindow = Math.max(1, Math.round(ONSET_THRESHOLD_WINDOW_SECONDS * frameRate));
+  const minGap = Math.max(1, Math.round(ONSET_MIN_INTERVAL_SECONDS * frameRate));
+  const delta = ONSET_THRESHOLD_DELTA * peak;
+
+  const onsets = [];
+  let lastOnset = -Infinity;
+
+  for (let i = 1; i < envelope.length - 1; i++) {
+    const value = envelope[i];
+    if (value < envelope[i - 1] || value < envelope[i + 1]) continue;
+
+    const from = Math.max(0, i - halfWindow);
+    const to = Math.min(envelope.length, i + halfWindow + 1);
+    let sum = 0;
+    for (let j = from; j < to; j++) sum += envelope[j];
+    if (value <= sum / (to - from) + delta) continue;
+
+    if (i - lastOnset < minGap) continue;
+    onsets.push(Math.round((frameOffset + i / frameRate) * 1000) / 1000);
+    lastOnset = i;
+  }
+
+  return onsets;
+}
+
+/**
+ * Estimates the tempo from an onset strength envelope by autocorrelation
+ * @param {object} strength - Result of onsetStrength()
+ * @returns {number|null} - BPM (one decimal), or null if the clip is too short or has no pulse
+ */
+export function estimateTempo({ envelope, frameRate }) {
+  const minLag = Math.floor((60 * frameRate) / MAX_BPM);
+  const maxLag = Math.ceil((60 * frameRate) / MIN_BPM);
+  if (envelope.length < maxLag * 2) return null;
+
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const centred = envelope.map(value => value - mean);
+
+  const autocorrelation = (lag) => {
+    let sum = 0;
+    for (let i = lag; i < centred.length; i++) sum += centred[i] * centred[i - lag];
+    return sum / (centred.length - lag);
+  };
+
+  const values = new Float64Array(maxLag * 2 + 2);
+  for (let lag = minLag - 1; lag < values.length && lag < centred.length; lag++) {
+    values[lag] = autocorrelation(lag);
+  }
+
+  let bestLag = null;
+  let bestScore = 0;
+  for (let lag = minLag; lag <= maxLag; lag++) {
+    // A real beat period also correlates at twice the lag; the log-normal prior around
+    // PREFERRED_BPM breaks the remaining half/double-time ties
+    const bpm = (60 * frameRate) / lag;
+    const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / PREFERRED_BPM), 2));
+    const score = prior * (values[lag] + 0.5 * values[lag * 2]);
+    if (score > bestScore) {
+      bestScore = score;
+      bestLag = lag;
+    }
+  }
+
+  if (bestLag === null) return null;
+
+  // Parabolic interpolation between the neighbouring lags for sub-frame precision
+  const [before, at, after] = [values[bestLag - 1], values[bestLag], values[bestLag + 1]];
+  const curvature = before - 2 * at + after;
+  const shift = curvature < 0 ? Math.max(-0.5, Math.min(0.5, (before - after) / (2 * curvature))) : 0;
+
+  return Math.round(((60 * frameRate) / (bestLag + shift)) * 10) / 10;
+}
+
+/**
+ * Average fundamental frequency of the voiced frames (YIN)
+ * @returns {object} - { pitch, confidence } in Hz and 0-1, or nulls if no frame is voiced
+ */
+export function estimatePitch(samples, sampleRate) {
+  const factor = Math.max(1, Math.round(sampleRate / PITCH_SAMPLE_RATE));
+  const signal = decimate(samples, factor);
+  const rate = sampleRate / factor;
+
+  const minLag = Math.floor(rate / PITCH_MAX_FREQUENCY);
+  const maxLag = Math.min(Math.ceil(rate / PITCH_MIN_FREQUENCY), PITCH_FRAME_SIZE / 2);
+  const window = PITCH_FRAME_SIZE - maxLag;
+  const difference = new Float64Array(maxLag + 1);
+  const normalized = new Float64Array(maxLag + 1);
+
+  const pitches = [];
+  const confidences = [];
+
+  for (let start = 0; start + PITCH_FRAME_SIZE <= signal.length; start += PITCH_FRAME_SIZE) {
+    if (toDb(rms(signal, start, start + PITCH_FRAME_SIZE)) < PITCH_MIN_LEVEL_DB) continue;
+
+    for (let lag = 1; lag <= maxLag; lag++) {
+      let sum = 0;
+      for (let i = 0; i < window; i++) {
+        const d = signal[start + i] - signal[start + i + lag];
+        sum += d * d;
+      }
+      difference[lag] = sum;
+    }
+
+    // Cumulative mean normalized difference; the first dip under the threshold is the period
+    let runningSum = 0;
+    for (let lag = 1; lag <= maxLag; lag++) {
+      runningSum += difference[lag];
+      normalized[lag] = runningSum > 0 ? (difference[lag] * lag) / runningSum : 1;
+    }
+
+    let period = null;
+    for (let lag = minLag; lag <= maxLag; lag++) {
+      if (normalized[lag] < PITCH_THRESHOLD) {
+        period = lag;
+        while (period < maxLag && normalized[period + 1] < normalized[period]) period++;
+        break;
+      }
+    }
+
+    if (period) {
+      pitches.push(rate / period);
+      confidences.push(1 - normalized[period]);
+    }
+  }
+
+  if (pitches.length === 0) {
+    return { pitch: null, confidence: null };
+  }
+
+  const average = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  return {
+    pitch: Math.round(average(pitches) * 10) / 10,
+    confidence: Math.round(average(confidences) * 100) / 100
+  };
+}
+
+/**
+ * RMS level in dB of consecutive windows (silent windows are skipped, like the
+ * "-inf" lines of ffmpeg astats, unless keepSilent is set)
+ * @param {object} options - { windowSeconds, keepSilent } where keepSilent keeps silent windows as
+ *                           -Infinity so the values stay aligned with time
+ * @returns {number[]} - dB values, one per 0.1s window
+ */
+export function energyOverTime(samples, sampleRate, { windowSeconds = ENERGY_WINDOW_SECONDS, keepSilent = false } = {}) {
+  const size = Math.max(1, Math.round(windowSeconds * sampleRate));
+  const levels = [];
+  for (let start = 0; start + size <= samples.length; start += size) {
+    const db = toDb(rms(samples, start, start + size));
+    if (isFinite(db)) levels.push(Math.round(db * 10) / 10);
+    else if (keepSilent) levels.push(-Infinity);
+  }
+  return levels;
+}
+
+/**
+ * Share of the clip that is silent (every sample below -30dB for at least 0.5s)
+ * @returns {number|null} - 0-1 with three decimals, or null for an empty clip
+ */
+export function silenceRatio(samples, sampleRate) {
+  if (samples.length === 0) return null;
+
+  const threshold = Math.pow(10, SILENCE_THRESHOLD_DB / 20);
+  const minRun = SILENCE_MIN_SECONDS * sampleRate;
+  let silent = 0;
+  let run = 0;
+
+  for (let i = 0; i <= samples.length; i++) {
+    if (i < samples.length && Math.abs(samples[i]) < threshold) {
+      run++;
+      continue;
+    }
+    if (run >= minRun) silent += run;
+    run = 0;
+  }
+
+  return Math.round((silent / samples.length) * 1000) / 1000;
+}
+
+function rms(samples, start, end) {
+  let sum = 0;
+  for (let i = start; i < end; i++) sum += samples[i] * samples[i];
+  return end > start ? Math.sqrt(sum / (end - start)) : 0;
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? 20 * Math.log10(amplitude) : -Infinity;
+}
+
+function roundOrNull(value, factor) {
+  return isFinite(value) ? Math.round(value * factor) / factor : null;
+}
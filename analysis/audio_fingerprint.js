@@ -0,0 +1,196 @@
+import { readWav } from './wav.js';
+import { decimate, powerSpectrum } from './dsp.js';
+
+/**
+ * Audio Fingerprinting (near-duplicate detection)
+ *
+ * Computes a compact fingerprint of a clip's audio so re-encodes, re-uploads and trimmed
+ * versions of the same take can be recognised even though their bytes differ.
+ *
+ * Based on the Haitsma & Kalker scheme: the audio is decimated to ~5.5kHz, cut into
+ * overlapping 370ms frames, and each frame's energy is measured in 17 log-spaced bands
+ * between 300Hz and 2kHz. Each frame becomes a 16-bit hash where bit m says whether the
+ * energy difference between bands m and m+1 grew or shrank since the previous frame.
+ * Those bits survive lossy re-encoding, volume changes and EQ well, while two different
+ * recordings disagree on about half of them.
+ *
+ * Fingerprints are stored in the analysis block as analysis.audioFingerprint.
+ */
+
+export const FINGERPRINT_VERSION = 1;
+
+const TARGET_SAMPLE_RATE = 5512;
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 128;
+const BAND_COUNT = 17; // 16 bits per frame
+const MIN_FREQUENCY = 300;
+const MAX_FREQUENCY = 2000;
+
+// Match thresholds (bit error rate of unrelated audio is ~0.5)
+const MAX_BIT_ERROR_RATE = 0.25;
+const MIN_OVERLAP_SECONDS = 3;
+const MIN_COVERAGE = 0.8;
+
+// Hash values seen in this many frames of one clip (e.g. silence) carry no information
+const MAX_HASH_OCCURRENCES = 50;
+
+/**
+ * Fingerprints a WAV file
+ * @param {string} wavPath - Path to the extracted audio
+ * @returns {object|null} - Fingerprint, or null if the clip is too short
+ */
+export function fingerprintWavFile(wavPath) {
+  const { samples, sampleRate } = readWav(wavPath);
+  return computeAudioFingerprint(samples, sampleRate);
+}
+
+/**
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {object|null} - { version, sampleRate, hopSize, frameSize, duration, hashes } where hashes is
+ *                          4 hex characters per frame, or null if the clip is shorter than one frame
+ */
+export function computeAudioFingerprint(samples, sampleRate) {
+  const factor = Math.max(1, Math.round(sampleRate / TARGET_SAMPLE_RATE));
+  const signal = decimate(samples, factor);
+  const rate = sampleRate / factor;
+
+  if (signal.length < FRAME_SIZE * 2) {
+    return null;
+  }
+
+  // Bin ranges for each band, log-spaced so each covers a similar musical interval
+  const binHz = rate / FRAME_SIZE;
+  const edges = [];
+  for (let b = 0; b <= BAND_COUNT; b++) {
+    const frequency = MIN_FREQUENCY * Math.pow(MAX_FREQUENCY / MIN_FREQUENCY, b / BAND_COUNT);
+    edges.push(Math.min(FRAME_SIZE / 2, Math.round(frequency / binHz)));
+  }
+
+  const frameCount = Math.floor((signal.length - FRAME_SIZE) / HOP_SIZE) + 1;
+  let previous = null;
+  let hashes = '';
+
+  for (let frame = 0; frame < frameCount; frame++) {
+    const power = powerSpectrum(signal, frame * HOP_SIZE, FRAME_SIZE);
+
+    const bands = new Float64Array(BAND_COUNT);
+    for (let b = 0; b < BAND_COUNT; b++) {
+      for (let k = edges[b]; k < Math.max(edges[b + 1], edges[b] + 1); k++) {
+        bands[b] += power[k];
+      }
+    }
+
+    const differences = new Float64Array(BAND_COUNT - 1);
+    for (let m = 0; m < BAND_COUNT - 1; m++) {
+      differences[m] = bands[m] - bands[m + 1];
+    }
+
+    if (previous) {
+      let hash = 0;
+      for (let m = 0; m < BAND_COUNT - 1; m++) {
+        if (differences[m] - previous[m] > 0) hash |= 1 << m;
+      }
+      hashes += hash.toString(16).padStart(4, '0');
+    }
+    previous = differences;
+  }
+
+  return {
+    version: FINGERPRINT_VERSION,
+    sampleRate: Math.round(rate * 10) / 10,
+    hopSize: HOP_SIZE,
+    frameSize: FRAME_SIZE,
+    duration: Math.round((samples.length / sampleRate) * 100) / 100,
+    hashes
+  };
+}
+
+/**
+ * Compares two fingerprints, allowing one clip to be a trimmed part of the other
+ * @returns {object|null} - { similarity, offsetSeconds, overlapSeconds, coverage, isMatch } where similarity
+ *                          is 1 - bit error rate at the best alignment; null if they can't be compared
+ */
+export function compareFingerprints(a, b) {
+  if (!a || !b || !a.hashes || !b.hashes || a.version !== b.version) {
+    return null;
+  }
+
+  const { hashes: hashesA, positions } = decoded(a);
+  const { hashes: hashesB } = decoded(b);
+  const secondsPerFrame = a.hopSize / a.sampleRate;
+
+  // Vote for alignments using frames whose hashes match exactly
+  const votes = new Map();
+  hashesB.forEach((hash, j) => {
+    const matches = positions.get(hash);
+    if (!matches || matches.length > MAX_HASH_OCCURRENCES) return;
+    matches.forEach(i => votes.set(i - j, (votes.get(i - j) || 0) + 1));
+  });
+
+  // Check the few best-supported alignments (plus no offset, for heavily degraded copies)
+  const candidates = [...votes.entries()]
+    .sort((x, y) => y[1] - x[1])
+    .slice(0, 3)
+    .map(([offset]) => offset);
+  if (!candidates.includes(0)) candidates.push(0);
+
+  let best = null;
+  for (const offset of candidates) {
+    const startA = Math.max(0, offset);
+    const startB = Math.max(0, -offset);
+    const overlap = Math.min(hashesA.length - startA, hashesB.length - startB);
+    if (overlap <= 0) continue;
+
+    let errors = 0;
+    for (let k = 0; k < overlap; k++) {
+      errors += popCount16(hashesA[startA + k] ^ hashesB[startB + k]);
+    }
+    const bitErrorRate = errors / (overlap * (BAND_COUNT - 1));
+
+    if (!best || bitErrorRate < best.bitErrorRate) {
+      best = { offset, overlap, bitErrorRate };
+    }
+  }
+
+  if (!best) return null;
+
+  const overlapSeconds = best.overlap * secondsPerFrame;
+  const coverage = best.overlap / Math.min(hashesA.length, hashesB.length);
+  const similarity = 1 - best.bitErrorRate;
+
+  return {
+    similarity: Math.round(similarity * 1000) / 1000,
+    offsetSeconds: Math.round(best.offset * secondsPerFrame * 100) / 100,
+    overlapSeconds: Math.round(overlapSeconds * 100) / 100,
+    coverage: Math.round(coverage * 1000) / 1000,
+    isMatch: best.bitErrorRate <= MAX_BIT_ERROR_RATE &&
+      overlapSeconds >= MIN_OVERLAP_SECONDS &&
+      coverage >= MIN_COVERAGE
+  };
+}
+
+// Decoded hashes and hash -> frame positions, cached per fingerprint object since
+// duplicate scans compare every fingerprint against every other one
+const decodedCache = new WeakMap();
+
+function decoded(fingerprint) {
+  if (!decodedCache.has(fingerprint)) {
+    const hashes = new Uint16Array(fingerprint.hashes.length / 4);
+    const positions = new Map();
+    for (let i = 0; i < hashes.length; i++) {
+      hashes[i] = parseInt(fingerprint.hashes.substr(i * 4, 4), 16);
+      if (!positions.has(hashes[i])) positions.set(hashes[i], []);
+      positions.get(hashes[i]).push(i);
+    }
+    decodedCache.set(fingerprint, { hashes, positions });
+  }
+  return decodedCache.get(fingerprint);
+}
+
+function popCount16(x) {
+  x = x - ((x >> 1) & 0x5555);
+  x = (x & 0x3333) + ((x >> 2) & 0x3333);
+  x = (x + (x >> 4)) & 0x0f0f;
+  return (x + (x >> 8)) & 0x1f;
+}
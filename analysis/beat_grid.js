@@ -0,0 +1,171 @@
+/**
+ * Beat Grid and Tempo Map
+ *
+ * A single BPM can't tell a steady performance from one that rushes the choruses. This
+ * module tracks the individual beats, turns them into a per-beat tempo map and summarizes
+ * how much the tempo moves:
+ *   - trackBeats: dynamic-programming beat tracker (Ellis 2007) on the onset strength
+ *     envelope from audio_features.js; beats land on strong onsets while successive beats
+ *     are kept close to the global beat period, but not locked to it
+ *   - buildTempoMap: local BPM at each beat, averaged over a bar so single late hits
+ *     don't dominate
+ *   - summarizeTempo: spread of the local tempo, the biggest rush and drag against the
+ *     median tempo, drift over the clip and a 0-100 stability score
+ *
+ * The aubio backend gets its beats from `aubio beat` instead of trackBeats; the tempo map
+ * and summary are the same for both.
+ */
+
+export const TEMPO_MAP_VERSION = 1;
+
+const BEAT_TIGHTNESS = 100;         // penalty for beat intervals straying from the global period
+const TEMPO_WINDOW_BEATS = 4;       // local tempo is measured over one bar of 4/4
+const MIN_BEATS = 8;
+const UNSTABLE_TEMPO_CV = 0.05;     // coefficient of variation that scores 0 stability
+
+/**
+ * Tracks the beats in an onset strength envelope
+ * @param {object} strength - Result of onsetStrength() in audio_features.js
+ * @param {number} bpm - Global tempo estimate (estimateTempo())
+ * @returns {number[]} - Beat times in seconds
+ */
+export function trackBeats({ envelope, frameRate, frameOffset }, bpm) {
+  if (!bpm || envelope.length === 0) return [];
+
+  const period = (60 * frameRate) / bpm;
+
+  // Normalize and smooth the envelope so the tightness penalty has a consistent scale
+  const mean = envelope.reduce((sum, value) => sum + value, 0) / envelope.length;
+  const std = Math.sqrt(envelope.reduce((sum, value) => sum + Math.pow(value - mean, 2), 0) / envelope.length);
+  if (std <= 0) return [];
+  const local = smooth(envelope.map(value => value / std), period / 32);
+
+  // cumulative[i]: best score of a beat sequence ending in a beat at frame i
+  const cumulative = new Float64Array(local.length);
+  const backlink = new Int32Array(local.length).fill(-1);
+  const minLag = Math.max(1, Math.round(period / 2));
+  const maxLag = Math.round(period * 2);
+
+  for (let i = 0; i < local.length; i++) {
+    let best = -Infinity;
+    for (let lag = minLag; lag <= maxLag && i - lag >= 0; lag++) {
+      const score = cumulative[i - lag] - BEAT_TIGHTNESS * Math.pow(Math.log(lag / period), 2);
+      if (score > best) {
+        best = score;
+        backlink[i] = i - lag;
+      }
+    }
+    cumulative[i] = local[i] + (best > 0 ? best : 0);
+    if (best <= 0) backlink[i] = -1;
+  }
+
+  // The last beat is the last local maximum of the cumulative score that's reasonably strong
+  const maxima = [];
+  for (let i = 1; i < cumulative.length - 1; i++) {
+    if (cumulative[i] > cumulative[i - 1] && cumulative[i] >= cumulative[i + 1]) maxima.push(i);
+  }
+  if (maxima.length === 0) return [];
+  const sortedMaxima = maxima.map(i => cumulative[i]).sort((a, b) => a - b);
+  const threshold = 0.5 * sortedMaxima[Math.floor(sortedMaxima.length / 2)];
+  let beat = maxima.filter(i => cumulative[i] >= threshold).pop();
+
+  const frames = [];
+  while (beat >= 0) {
+    frames.unshift(beat);
+    beat = backlink[beat];
+  }
+
+  // Drop weak beats at either end (silence before the count-in, ringing out at the end)
+  const rms = Math.sqrt(frames.reduce((sum, frame) => sum + local[frame] * local[frame], 0) / frames.length);
+  while (frames.length > 0 && local[frames[0]] < rms / 2) frames.shift();
+  while (frames.length > 0 && local[frames[frames.length - 1]] < rms / 2) frames.pop();
+
+  return frames.map(frame => Math.round((frameOffset + frame / frameRate) * 1000) / 1000);
+}
+
+/**
+ * Local tempo at each beat
+ * @param {number[]} beatTimes - Beat times in seconds
+ * @returns {object[]|null} - [{ time, bpm }] per beat, or null if there are too few beats
+ */
+export function buildTempoMap(beatTimes) {
+  if (!beatTimes || beatTimes.length < MIN_BEATS) return null;
+
+  const half = TEMPO_WINDOW_BEATS / 2;
+  return beatTimes.map((time, i) => {
+    // Window of TEMPO_WINDOW_BEATS intervals centred on the beat, shifted inwards at the ends
+    const from = Math.max(0, Math.min(i - half, beatTimes.length - 1 - TEMPO_WINDOW_BEATS));
+    const to = Math.min(beatTimes.length - 1, from + TEMPO_WINDOW_BEATS);
+    const bpm = (60 * (to - from)) / (beatTimes[to] - beatTimes[from]);
+    return { time, bpm: Math.round(bpm * 10) / 10 };
+  });
+}
+
+/**
+ * Tempo stability statistics of a tempo map
+ * @param {object[]} tempoMap - Result of buildTempoMap()
+ * @returns {object|null} - { version, beatCount, meanBpm, medianBpm, stdDev, maxRush, maxRushAt, maxDrag,
+ *                          maxDragAt, driftPerMinute, stabilityScore }; rush/drag are BPM above/below
+ *                          the median, drift is the BPM change per minute of a straight-line fit
+ */
+export function summarizeTempo(tempoMap) {
+  if (!tempoMap || tempoMap.length < MIN_BEATS) return null;
+
+  const bpms = tempoMap.map(beat => beat.bpm);
+  const meanBpm = bpms.reduce((sum, bpm) => sum + bpm, 0) / bpms.length;
+  const stdDev = Math.sqrt(bpms.reduce((sum, bpm) => sum + Math.pow(bpm - meanBpm, 2), 0) / bpms.length);
+  const sorted = [...bpms].sort((a, b) => a - b);
+  const medianBpm = sorted[Math.floor(sorted.length / 2)];
+
+  const fastest = tempoMap.reduce((top, beat) => (beat.bpm > top.bpm ? beat : top));
+  const slowest = tempoMap.reduce((low, beat) => (beat.bpm < low.bpm ? beat : low));
+
+  // Least-squares slope of bpm over time
+  const meanTime = tempoMap.reduce((sum, beat) => sum + beat.time, 0) / tempoMap.length;
+  let covariance = 0;
+  let variance = 0;
+  tempoMap.forEach(beat => {
+    covariance += (beat.time - meanTime) * (beat.bpm - meanBpm);
+    variance += Math.pow(beat.time - meanTime, 2);
+  });
+  const slope = variance > 0 ? covariance / variance : 0;
+
+  const cv = meanBpm > 0 ? stdDev / meanBpm : 0;
+
+  return {
+    version: TEMPO_MAP_VERSION,
+    beatCount: tempoMap.length,
+    meanBpm: Math.round(meanBpm * 10) / 10,
+    medianBpm,
+    stdDev: Math.round(stdDev * 100) / 100,
+    maxRush: Math.round((fastest.bpm - medianBpm) * 10) / 10,
+    maxRushAt: fastest.time,
+    maxDrag: Math.round((medianBpm - slowest.bpm) * 10) / 10,
+    maxDragAt: slowest.time,
+    driftPerMinute: Math.round(slope * 60 * 10) / 10,
+    stabilityScore: Math.round(100 * Math.max(0, 1 - cv / UNSTABLE_TEMPO_CV))
+  };
+}
+
+// Gaussian smoothing with the given standard deviation in frames
+function smooth(values, sigma) {
+  if (sigma < 0.5) return Float64Array.from(values);
+
+  const radius = Math.ceil(sigma * 3);
+  const kernel = [];
+  for (let k = -radius; k <= radius; k++) kernel.push(Math.exp(-0.5 * Math.pow(k / sigma, 2)));
+
+  const result = new Float64Array(values.length);
+  for (let i = 0; i < values.length; i++) {
+    let sum = 0;
+    let weight = 0;
+    for (let k = -radius; k <= radius; k++) {
+      const j = i + k;
+      if (j < 0 || j >= values.length) continue;
+      sum += values[j] * kernel[k + radius];
+      weight += kernel[k + radius];
+    }
+    result[i] = sum / weight;
+  }
+  return result;
+}
@@ -2,45 +2,46 @@ import { exec } from "child_process";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
+import { computeAudioFingerprint } from "./audio_fingerprint.js";
+import { readWav } from "./wav.js";
+import { extractAudioFeatures, energyOverTime } from "./audio_features.js";
+import { classifyDrumHits, summarizeDrumHits } from "./drum_hits.js";
+import { buildTempoMap, summarizeTempo } from "./beat_grid.js";
+import { measureLoudness } from "./loudness.js";
+import { segmentSections } from "./sections.js";
+import { scoreShockValue, toShockInputs } from "./shock_value.js";
+import { computeSpectralFeatures } from "./spectral.js";
+import { estimateKey } from "./key_detection.js";
+import { computeWaveformPeaks } from "./waveform.js";
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
 
+// Which implementation computes the audio features (AUDIO_ANALYSIS_BACKEND):
+//   "aubio" - aubio command line tools plus ffmpeg filters
+//   "js"    - in-process DSP on the extracted WAV (audio_features.js), no aubio needed
+//   "auto"  - aubio when it is installed, otherwise js (default)
+export const AUDIO_BACKENDS = ["aubio", "js", "auto"];
+
 /**
- * Extracts audio features from a video file using aubio
+ * Extracts audio features from a video file
  * @param {string} videoPath - Path to the video file
  * @param {string} tempDir - Directory for temporary files
+ * @param {object} options - { backend } one of AUDIO_BACKENDS (defaults to AUDIO_ANALYSIS_BACKEND or "auto")
  * @returns {Promise<object>} - Object containing audio features (bpm, pitch, onsets, energy, etc.)
  */
-export async function detectAudioFeatures(videoPath, tempDir) {
+export async function detectAudioFeatures(videoPath, tempDir, { backend = process.env.AUDIO_ANALYSIS_BACKEND || "auto" } = {}) {
   return new Promise(async (resolve, reject) => {
     const TIMEOUT_MS = 120000; // 2 minute timeout for BPM detection
     
     try {
       // Step 1: Extract audio from video using ffmpeg
-      const audioPath = path.join(tempDir, `audio_${Date.now()}.wav`);
-      
-      // Extract audio to WAV format (mono, 44100 Hz for better BPM detection)
-      const extractCmd = `ffmpeg -i "${videoPath}" -vn -acodec pcm_s16le -ar 44100 -ac 1 -y "${audioPath}"`;
-      
-      await new Promise((extractResolve, extractReject) => {
-        exec(extractCmd, { timeout: 60000 }, (error, stdout, stderr) => {
-          if (error) {
-            // Clean up on error
-            if (fs.existsSync(audioPath)) {
-              try { fs.unlinkSync(audioPath); } catch (e) {}
-            }
-            extractReject(new Error(`Failed to extract audio: ${error.message}`));
-            return;
-          }
-          extractResolve();
-        });
-      });
+      const audioPath = await extractAudio(videoPath, tempDir);
 
-      if (!fs.existsSync(audioPath)) {
+      if (!audioPath) {
         return resolve(null);
       }
 
-      // Step 2: Extract all audio features using aubio
+      // Step 2: Extract all audio features
       const features = {
         bpm: null,
         pitch: null,
@@ -52,62 +53,105 @@ export async function detectAudioFeatures(videoPath, tempDir) {
         tempoSpikes: null,
         volumeSpikes: null,
         unusualPatterns: null,
-        shockValue: null
+        shockValue: null,
+        shockBreakdown: null,
+        shockInputs: null,
+        audioFingerprint: null,
+        drumHits: null,
+        drumStats: null,
+        tempoMap: null,
+        tempoStability: null,
+        loudness: null,
+        spectral: null,
+        key: null,
+        structure: null,
+        waveform: null,
+        audioBackend: await resolveAudioBackend(backend)
       };
 
+      let wav = null;
       try {
-        // Detect BPM/Tempo
-        try {
-          features.bpm = await detectBPMWithAubio(audioPath);
-        } catch (bpmError) {
-          console.log("BPM detection failed:", bpmError.message);
-        }
+        wav = readWav(audioPath);
+      } catch (wavError) {
+        console.log("Failed to decode extracted audio:", wavError.message);
+      }
 
-        // Detect Pitch (fundamental frequency)
-        try {
-          const pitchData = await detectPitchWithAubio(audioPath);
-          features.pitch = pitchData.pitch;
-          features.pitchConfidence = pitchData.confidence;
-        } catch (pitchError) {
-          console.log("Pitch detection failed:", pitchError.message);
-        }
+      // Fingerprint the audio for near-duplicate detection (pure JS, doesn't need aubio)
+      try {
+        features.audioFingerprint = wav ? computeAudioFingerprint(wav.samples, wav.sampleRate) : null;
+      } catch (fingerprintError) {
+        console.log("Audio fingerprinting failed:", fingerprintError.message);
+      }
 
-        // Detect Onsets (beat/note starts)
-        try {
-          const onsetData = await detectOnsetsWithAubio(audioPath);
-          features.onsets = onsetData.count;
-          features.onsetRate = onsetData.rate;
-        } catch (onsetError) {
-          console.log("Onset detection failed:", onsetError.message);
-        }
+      // Integrated loudness, loudness range and true peak against the platform targets
+      try {
+        features.loudness = wav ? measureLoudness(wav.samples, wav.sampleRate) : null;
+      } catch (loudnessError) {
+        console.log("Loudness measurement failed:", loudnessError.message);
+      }
 
-        // Detect Energy/Volume levels
-        try {
-          features.energy = await detectEnergyWithAubio(audioPath);
-        } catch (energyError) {
-          console.log("Energy detection failed:", energyError.message);
-        }
+      // Spectral centroid, rolloff, flatness, zero-crossing rate and band energy shares
+      try {
+        features.spectral = wav ? computeSpectralFeatures(wav.samples, wav.sampleRate) : null;
+      } catch (spectralError) {
+        console.log("Spectral analysis failed:", spectralError.message);
+      }
 
-        // Detect Silence ratio
+      // Key and mode from the chroma, standing in for Spotify's key/mode when those are missing
+      try {
+        features.key = wav ? estimateKey(wav.samples, wav.sampleRate) : null;
+      } catch (keyError) {
+        console.log("Key estimation failed:", keyError.message);
+      }
+
+      // Min/max peaks for drawing the waveform (stored apart from the results document)
+      try {
+        features.waveform = wav ? computeWaveformPeaks(wav.samples, wav.sampleRate) : null;
+      } catch (waveformError) {
+        console.log("Waveform peaks failed:", waveformError.message);
+      }
+
+      let backendFeatures = {};
+      if (features.audioBackend === "js") {
         try {
-          features.silenceRatio = await detectSilenceWithAubio(audioPath);
-        } catch (silenceError) {
-          console.log("Silence detection failed:", silenceError.message);
+          if (wav) backendFeatures = detectFeaturesWithJs(wav);
+        } catch (jsError) {
+          console.log("JS audio analysis failed:", jsError.message);
         }
+      } else {
+        backendFeatures = await detectFeaturesWithAubio(audioPath);
+      }
+      const { beatTimes = null, ...measured } = backendFeatures;
+      Object.assign(features, measured);
 
-        // Detect tempo spikes, volume spikes, and unusual patterns
-        try {
-          const shockAnalysis = await analyzeShockValue(audioPath);
-          features.tempoSpikes = shockAnalysis.tempoSpikes;
-          features.volumeSpikes = shockAnalysis.volumeSpikes;
-          features.unusualPatterns = shockAnalysis.unusualPatterns;
-          features.shockValue = shockAnalysis.shockValue;
-        } catch (shockError) {
-          console.log("Shock value analysis failed:", shockError.message);
+      // Per-beat tempo map and how steady the tempo is (both backends deliver beat times)
+      try {
+        features.tempoMap = buildTempoMap(beatTimes);
+        features.tempoStability = summarizeTempo(features.tempoMap);
+      } catch (tempoError) {
+        console.log("Tempo map failed:", tempoError.message);
+      }
+
+      // Classify the backend's onsets (the ones the shock value counts) into kick/snare/hi-hat/tom/cymbal
+      // hits, so drumStats and onsets agree; without them drum_hits.js detects its own (pure JS as well)
+      try {
+        if (wav) {
+          features.drumHits = classifyDrumHits(wav.samples, wav.sampleRate, features.shockInputs?.onsetTimes || null);
+          features.drumStats = summarizeDrumHits(features.drumHits, wav.duration);
         }
+      } catch (drumError) {
+        console.log("Drum hit classification failed:", drumError.message);
+      }
 
-      } catch (aubioError) {
-        console.log("Aubio analysis failed:", aubioError.message);
+      // Intro/groove/fill/outro sections from the shock value's onsets and a time-aligned energy
+      // curve (the shock value's skips silent windows)
+      try {
+        if (wav) {
+          const energyCurve = energyOverTime(wav.samples, wav.sampleRate, { keepSilent: true });
+          features.structure = segmentSections(features.shockInputs?.onsetTimes, energyCurve, wav.duration);
+        }
+      } catch (sectionError) {
+        console.log("Section segmentation failed:", sectionError.message);
       }
 
       // Clean up extracted audio file
@@ -126,11 +170,155 @@ export async function detectAudioFeatures(videoPath, tempDir) {
   });
 }
 
+/**
+ * Extracts the audio track of a video (or any audio file) to a mono 44.1kHz 16-bit WAV
+ * @param {string} mediaPath - Path to the video/audio file
+ * @param {string} tempDir - Directory for the WAV
+ * @returns {Promise<string|null>} - Path of the WAV (the caller deletes it), or null if ffmpeg produced nothing
+ */
+export async function extractAudio(mediaPath, tempDir) {
+  const audioPath = path.join(tempDir, `audio_${Date.now()}_${Math.random().toString(36).slice(2, 8)}.wav`);
+
+  // Extract audio to WAV format (mono, 44100 Hz for better BPM detection)
+  const extractCmd = `ffmpeg -i "${mediaPath}" -vn -acodec pcm_s16le -ar 44100 -ac 1 -y "${audioPath}"`;
+
+  await new Promise((extractResolve, extractReject) => {
+    exec(extractCmd, { timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) {
+        // Clean up on error
+        if (fs.existsSync(audioPath)) {
+          try { fs.unlinkSync(audioPath); } catch (e) {}
+        }
+        extractReject(new Error(`Failed to extract audio: ${error.message}`));
+        return;
+      }
+      extractResolve();
+    });
+  });
+
+  return fs.existsSync(audioPath) ? audioPath : null;
+}
+
 // Legacy function name for backwards compatibility
 export function detectBPM(videoPath, tempDir) {
   return detectAudioFeatures(videoPath, tempDir).then(features => features.bpm);
 }
 
+let aubioAvailable = null;
+
+/**
+ * Resolves "auto" to the backend that can actually run here
+ * @returns {Promise<string>} - "aubio" or "js"
+ */
+async function resolveAudioBackend(backend) {
+  if (!AUDIO_BACKENDS.includes(backend)) {
+    console.warn(`Unknown audio analysis backend "${backend}", using auto`);
+    backend = "auto";
+  }
+  if (backend !== "auto") {
+    return backend;
+  }
+
+  // Checked once per process
+  if (aubioAvailable === null) {
+    aubioAvailable = new Promise(resolve => {
+      exec("aubio --help", { timeout: 10000 }, (error) => {
+        // aubio --help exits non-zero on some versions; only a missing command counts
+        resolve(!error || (error.code !== 127 && error.code !== "ENOENT"));
+      });
+    });
+  }
+  return (await aubioAvailable) ? "aubio" : "js";
+}
+
+/**
+ * Computes the audio features in-process from the decoded WAV
+ * @param {object} wav - { samples, sampleRate } from readWav()
+ */
+function detectFeaturesWithJs({ samples, sampleRate }) {
+  const { onsetTimes, energyValues, ...features } = extractAudioFeatures(samples, sampleRate);
+
+  return {
+    ...features,
+    ...scoreShockValue({ onsetTimes, energyValues }),
+    shockInputs: toShockInputs(onsetTimes, energyValues)
+  };
+}
+
+/**
+ * Computes the audio features with the aubio command line tools and ffmpeg filters.
+ * Each feature that fails stays null.
+ */
+async function detectFeaturesWithAubio(audioPath) {
+  const features = {};
+
+  try {
+    // Detect BPM/Tempo
+    try {
+      features.bpm = await detectBPMWithAubio(audioPath);
+    } catch (bpmError) {
+      console.log("BPM detection failed:", bpmError.message);
+    }
+
+    // Detect beat positions for the tempo map
+    try {
+      features.beatTimes = await detectBeatsWithAubio(audioPath);
+    } catch (beatError) {
+      console.log("Beat tracking failed:", beatError.message);
+    }
+
+    // Detect Pitch (fundamental frequency)
+    try {
+      const pitchData = await detectPitchWithAubio(audioPath);
+      features.pitch = pitchData.pitch;
+      features.pitchConfidence = pitchData.confidence;
+    } catch (pitchError) {
+      console.log("Pitch detection failed:", pitchError.message);
+    }
+
+    // Detect Onsets (beat/note starts)
+    try {
+      const onsetData = await detectOnsetsWithAubio(audioPath);
+      features.onsets = onsetData.count;
+      features.onsetRate = onsetData.rate;
+    } catch (onsetError) {
+      console.log("Onset detection failed:", onsetError.message);
+    }
+
+    // Detect Energy/Volume levels
+    try {
+      features.energy = await detectEnergyWithAubio(audioPath);
+    } catch (energyError) {
+      console.log("Energy detection failed:", energyError.message);
+    }
+
+    // Detect Silence ratio
+    try {
+      features.silenceRatio = await detectSilenceWithAubio(audioPath);
+    } catch (silenceError) {
+      console.log("Silence detection failed:", silenceError.message);
+    }
+
+    // Detect tempo spikes, volume spikes, and unusual patterns
+    try {
+      const shockAnalysis = await analyzeShockValue(audioPath);
+      features.tempoSpikes = shockAnalysis.tempoSpikes;
+      features.volumeSpikes = shockAnalysis.volumeSpikes;
+      features.unusualPatterns = shockAnalysis.unusualPatterns;
+      features.shockValue = shockAnalysis.shockValue;
+      features.shockBreakdown = shockAnalysis.shockBreakdown ?? null;
+      features.shockInputs = shockAnalysis.shockInputs ?? null;
+    } catch (shockError) {
+      console.log("Shock value analysis failed:", shockError.message);
+    }
+
+  } catch (aubioError) {
+    console.log("Aubio analysis failed:", aubioError.message);
+  }
+
+  return features;
+}
+
 /**
  * Detect BPM using aubio command line tool
  */
@@ -163,6 +351,29 @@ function detectBPMWithAubio(audioPath) {
   });
 }
 
+/**
+ * Detect beat positions using aubio beat command
+ * Returns beat timestamps in seconds
+ */
+function detectBeatsWithAubio(audioPath) {
+  return new Promise((resolve, reject) => {
+    const cmd = `aubio beat "${audioPath}"`;
+
+    exec(cmd, { timeout: 60000 }, (error, stdout, stderr) => {
+      if (error) {
+        reject(new Error(`Beat tracking failed: ${error.message}`));
+        return;
+      }
+
+      // Parse output - aubio beat outputs one beat timestamp per line
+      const lines = stdout.trim().split('\n').filter(line => line.trim() && !line.startsWith('#'));
+      const beats = lines.map(line => parseFloat(line.trim())).filter(t => !isNaN(t) && t >= 0);
+
+      resolve(beats);
+    });
+  });
+}
+
 /**
  * Detect Pitch using aubio pitch command
  * Returns average pitch in Hz and confidence
@@ -291,7 +502,8 @@ function detectEnergyWithAubio(audioPath) {
 
 /**
  * Analyze shock value by detecting tempo spikes, volume spikes, and unusual patterns
- * Returns shock value score (0-100) and individual metrics
+ * Returns shock value score (0-100), individual metrics and their breakdown (shock_value.js),
+ * plus the inputs they were computed from (when available)
  */
 function analyzeShockValue(audioPath) {
   return new Promise(async (resolve, reject) => {
@@ -329,54 +541,10 @@ function analyzeShockValue(audioPath) {
         console.log("Energy analysis failed, using fallback:", energyError.message);
         energyData = { energyValues: [], useFallback: true };
       }
-      
-      // Analyze tempo spikes (fills) - sudden decreases in onset intervals
-      let tempoSpikes = 0;
-      try {
-        tempoSpikes = detectTempoSpikes(onsetData.onsets);
-        if (isNaN(tempoSpikes) || !isFinite(tempoSpikes)) tempoSpikes = 0;
-      } catch (error) {
-        console.log("Tempo spike detection failed:", error.message);
-        tempoSpikes = 0;
-      }
-      
-      // Analyze volume spikes (accents) - sudden increases in energy
-      let volumeSpikes = 0;
-      try {
-        volumeSpikes = detectVolumeSpikes(energyData);
-        if (isNaN(volumeSpikes) || !isFinite(volumeSpikes)) volumeSpikes = 0;
-      } catch (error) {
-        console.log("Volume spike detection failed:", error.message);
-        volumeSpikes = 0;
-      }
-      
-      // Analyze unusual patterns (complex hits, odd timing) - high variance in intervals
-      let unusualPatterns = 0;
-      try {
-        unusualPatterns = detectUnusualPatterns(onsetData.onsets);
-        if (isNaN(unusualPatterns) || !isFinite(unusualPatterns)) unusualPatterns = 0;
-      } catch (error) {
-        console.log("Unusual pattern detection failed:", error.message);
-        unusualPatterns = 0;
-      }
-      
-      // Calculate shock value score (0-100)
-      // If energy data isn't available, adjust weights: tempo spikes 40%, unusual patterns 60%
-      const weights = energyData.useFallback 
-        ? { tempo: 0.4, volume: 0.0, unusual: 0.6 }
-        : { tempo: 0.3, volume: 0.3, unusual: 0.4 };
-      
-      const shockValue = Math.min(100, Math.max(0, Math.round(
-        (tempoSpikes * weights.tempo) + 
-        (volumeSpikes * weights.volume) + 
-        (unusualPatterns * weights.unusual)
-      )));
 
       resolve({
-        tempoSpikes: Math.round(Math.max(0, Math.min(100, tempoSpikes)) * 10) / 10,
-        volumeSpikes: Math.round(Math.max(0, Math.min(100, volumeSpikes)) * 10) / 10,
-        unusualPatterns: Math.round(Math.max(0, Math.min(100, unusualPatterns)) * 10) / 10,
-        shockValue: shockValue
+        ...scoreShockValue({ onsetTimes: onsetData.onsets, energyValues: energyData.energyValues }),
+        shockInputs: toShockInputs(onsetData.onsets, energyData.energyValues)
       });
     } catch (error) {
       console.error("Shock value analysis error:", error);
@@ -430,15 +598,16 @@ function getEnergyOverTime(audioPath) {
         return;
       }
 
-      // Parse RMS levels (format: "RMS level: -XX.X dB")
+      // Parse RMS levels (format: "RMS level: -XX.X dB"); silent windows ("-inf") are kept
+      // as -Infinity so the values stay 0.1s apart for the shock value event times
       const lines = output.split('\n');
       const energyValues = [];
       
       lines.forEach(line => {
         // Look for RMS level patterns
-        const match = line.match(/RMS level:\s*([-\d.]+)\s*dB/);
+        const match = line.match(/RMS level:\s*(-inf|[-\d.]+)\s*dB/);
         if (match) {
-          const rmsDb = parseFloat(match[1]);
+          const rmsDb = match[1] === "-inf" ? -Infinity : parseFloat(match[1]);
           if (!isNaN(rmsDb)) {
             energyValues.push(rmsDb);
           }
@@ -446,7 +615,7 @@ function getEnergyOverTime(audioPath) {
       });
 
       // If we didn't get enough data, try a simpler approach
-      if (energyValues.length < 3) {
+      if (energyValues.filter(isFinite).length < 3) {
         // Fallback: use average energy as baseline and estimate spikes from onsets
         // This is a simplified approach when detailed energy data isn't available
         resolve({ energyValues: [], useFallback: true });
@@ -457,152 +626,6 @@ function getEnergyOverTime(audioPath) {
   });
 }
 
-/**
- * Detect tempo spikes (fills) - sudden increases in onset density
- * Returns score 0-100
- */
-function detectTempoSpikes(onsets) {
-  if (!onsets || onsets.length < 3) return 0;
-
-  try {
-    // Calculate intervals between onsets
-    const intervals = [];
-    for (let i = 1; i < onsets.length; i++) {
-      const interval = onsets[i] - onsets[i - 1];
-      if (interval > 0 && isFinite(interval)) {
-        intervals.push(interval);
-      }
-    }
-
-    if (intervals.length < 2) return 0;
-
-    // Calculate average interval
-    const avgInterval = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
-    
-    if (!isFinite(avgInterval) || avgInterval <= 0) return 0;
-
-    // Detect spikes: intervals that are significantly shorter than average (fills)
-    let spikeCount = 0;
-    let totalSpikeIntensity = 0;
-
-    intervals.forEach(interval => {
-      // If interval is less than 60% of average, it's a tempo spike
-      if (interval < avgInterval * 0.6 && avgInterval > 0) {
-        spikeCount++;
-        // Calculate intensity: how much faster than average (0-100 scale)
-        const intensity = Math.min(100, Math.max(0, ((avgInterval - interval) / avgInterval) * 200));
-        if (isFinite(intensity)) {
-          totalSpikeIntensity += intensity;
-        }
-      }
-    });
-
-    if (spikeCount === 0 || intervals.length === 0) return 0;
-
-    // Score based on spike frequency and intensity
-    const spikeFrequency = (spikeCount / intervals.length) * 100;
-    const avgIntensity = totalSpikeIntensity / spikeCount;
-    
-    const score = Math.min(100, Math.max(0, (spikeFrequency * 0.5) + (avgIntensity * 0.5)));
-    return isFinite(score) ? score : 0;
-  } catch (error) {
-    console.error("Error in detectTempoSpikes:", error);
-    return 0;
-  }
-}
-
-/**
- * Detect volume spikes (accents) - sudden increases in energy
- * Returns score 0-100
- */
-function detectVolumeSpikes(energyData) {
-  // If we have detailed energy data, use it
-  if (energyData.energyValues && energyData.energyValues.length >= 3) {
-    const energies = energyData.energyValues;
-    
-    // Calculate average and standard deviation
-    const avgEnergy = energies.reduce((sum, e) => sum + e, 0) / energies.length;
-    const variance = energies.reduce((sum, e) => sum + Math.pow(e - avgEnergy, 2), 0) / energies.length;
-    const stdDev = Math.sqrt(variance);
-
-    // Detect spikes: energy values significantly above average
-    let spikeCount = 0;
-    let totalSpikeIntensity = 0;
-
-    energies.forEach(energy => {
-      // If energy is more than 1.5 standard deviations above average, it's a spike
-      if (energy > avgEnergy + (stdDev * 1.5)) {
-        spikeCount++;
-        // Calculate intensity: how much louder than average
-        const intensity = Math.min(100, ((energy - avgEnergy) / Math.abs(avgEnergy)) * 50);
-        totalSpikeIntensity += intensity;
-      }
-    });
-
-    // Score based on spike frequency and intensity
-    const spikeFrequency = (spikeCount / energies.length) * 100;
-    const avgIntensity = spikeCount > 0 ? totalSpikeIntensity / spikeCount : 0;
-    
-    return Math.min(100, (spikeFrequency * 0.5) + (avgIntensity * 0.5));
-  }
-  
-  // Fallback: estimate volume spikes from onset density variations
-  // Higher onset density in short periods suggests volume spikes
-  // This is a simplified estimation when detailed energy data isn't available
-  return 0; // Return 0 if we can't analyze properly
-}
-
-/**
- * Detect unusual patterns (complex hits, odd timing) - high variance in timing
- * Returns score 0-100
- */
-function detectUnusualPatterns(onsets) {
-  if (!onsets || onsets.length < 3) return 0;
-
-  try {
-    // Calculate intervals between onsets
-    const intervals = [];
-    for (let i = 1; i < onsets.length; i++) {
-      const interval = onsets[i] - onsets[i - 1];
-      if (interval > 0 && isFinite(interval)) {
-        intervals.push(interval);
-      }
-    }
-
-    if (intervals.length < 2) return 0;
-
-    // Calculate coefficient of variation (CV) = std dev / mean
-    // Higher CV = more irregular timing
-    const avgInterval = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
-    
-    if (!isFinite(avgInterval) || avgInterval <= 0) return 0;
-    
-    const variance = intervals.reduce((sum, i) => sum + Math.pow(i - avgInterval, 2), 0) / intervals.length;
-    const stdDev = Math.sqrt(variance);
-    
-    if (!isFinite(stdDev) || stdDev <= 0) return 0;
-    
-    const coefficientOfVariation = stdDev / avgInterval;
-    
-    if (!isFinite(coefficientOfVariation)) return 0;
-    
-    // Also check for polyrhythmic patterns (multiple interval lengths)
-    const uniqueIntervals = new Set(intervals.map(i => Math.round(i * 100) / 100));
-    const intervalDiversity = (uniqueIntervals.size / intervals.length) * 100;
-    
-    // Score combines CV and diversity (0-100 scale)
-    // CV of 0.3+ is considered unusual, scale to 100
-    const cvScore = Math.min(100, Math.max(0, (coefficientOfVariation / 0.3) * 100));
-    const diversityScore = Math.min(100, Math.max(0, intervalDiversity * 2));
-    
-    const score = Math.min(100, Math.max(0, (cvScore * 0.6) + (diversityScore * 0.4)));
-    return isFinite(score) ? score : 0;
-  } catch (error) {
-    console.error("Error in detectUnusualPatterns:", error);
-    return 0;
-  }
-}
-
 /**
  * Detect Silence ratio using ffmpeg
  * Returns ratio of silence (0-1)
@@ -0,0 +1,164 @@
+import { powerSpectrum } from './dsp.js';
+import { onsetStrength, detectOnsets } from './audio_features.js';
+
+/**
+ * Drum Hit Classification
+ *
+ * Labels each onset as kick, snare, hi-hat, tom and/or cymbal from how the energy in a few
+ * frequency bands jumps at the onset (the frame just after it against the frame just
+ * before it). Looking at the rise rather than the absolute level means a hi-hat played
+ * over a ringing kick is still recognised, and one onset can produce several hits when
+ * drums are struck together (kick + crash on the one).
+ *
+ *   kick   - low band (30-120Hz) rises and holds most of the energy
+ *   tom    - low-mid band (120-400Hz) rises and dominates, with little noise above 2.5kHz
+ *   snare  - low-mid shell plus noise above 2.5kHz (the wires), or a strong 400-2.5kHz crack
+ *   hihat  - high band (6-16kHz) rises and has died away 300ms later
+ *   cymbal - high band rises and is still ringing 300ms later (crashes, rides)
+ *
+ * This is a heuristic for a single close-ish mic/phone recording of a kit, not a
+ * transcription: expect confusions between toms and kicks and between snares and hats.
+ */
+
+export const DRUM_HITS_VERSION = 1;
+export const DRUM_TYPES = ['kick', 'snare', 'hihat', 'tom', 'cymbal'];
+
+const BANDS = {
+  low: [30, 120],
+  lowMid: [120, 400],
+  mid: [400, 2500],
+  highMid: [2500, 6000],
+  high: [6000, 16000]
+};
+
+const FRAME_SECONDS = 0.046;        // ~2048 samples at 44.1kHz
+const ATTACK_LEAD_SECONDS = 0.01;   // onset times can lag the attack by up to a frame
+const SUSTAIN_DELAY_SECONDS = 0.3;
+const MIN_RISE_DB = 6;
+const CYMBAL_SUSTAIN_RATIO = 0.2;   // share of the high band energy left after SUSTAIN_DELAY_SECONDS
+const VELOCITY_RANGE_DB = 40;
+
+/**
+ * Detects and classifies the drum hits in a clip
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @param {number[]} onsetTimes - Onset times in seconds (detected with audio_features.js if omitted)
+ * @returns {object[]} - Hits in time order: [{ time, type, velocity }] with velocity 0-1 relative to the
+ *                       loudest hit in the clip
+ */
+export function classifyDrumHits(samples, sampleRate, onsetTimes = null) {
+  const times = onsetTimes || detectOnsets(onsetStrength(samples, sampleRate));
+  if (times.length === 0) return [];
+
+  let frameSize = 1;
+  while (frameSize < FRAME_SECONDS * sampleRate) frameSize <<= 1;
+  const binHz = sampleRate / frameSize;
+
+  const bandEnergies = (start) => {
+    const power = powerSpectrum(samples, Math.max(0, start), frameSize);
+    const energies = {};
+    Object.entries(BANDS).forEach(([band, [from, to]]) => {
+      let sum = 0;
+      const last = Math.min(power.length - 1, Math.round(to / binHz));
+      for (let k = Math.max(1, Math.round(from / binHz)); k <= last; k++) sum += power[k];
+      energies[band] = sum;
+    });
+    return energies;
+  };
+
+  const onsets = times.map(time => {
+    const attack = Math.round((time - ATTACK_LEAD_SECONDS) * sampleRate);
+    const after = bandEnergies(attack);
+    const before = bandEnergies(attack - frameSize);
+    const sustain = bandEnergies(attack + Math.round(SUSTAIN_DELAY_SECONDS * sampleRate));
+    const total = Object.values(after).reduce((sum, value) => sum + value, 0);
+    return { time, after, before, sustain, total };
+  });
+
+  const loudest = onsets.reduce((max, onset) => Math.max(max, onset.total), 0);
+
+  const hits = [];
+  onsets.forEach(({ time, after, before, sustain, total }) => {
+    // Share of the hit's energy in each band (dB) and how much each band jumped
+    const share = {};
+    const rises = {};
+    Object.keys(BANDS).forEach(band => {
+      share[band] = toDb(after[band] / (total + 1e-12));
+      rises[band] = toDb(after[band] / (before[band] + 1e-12));
+    });
+    const rising = (band, minShare) => rises[band] >= MIN_RISE_DB && share[band] >= minShare;
+
+    // Metal is judged against everything above the kick, which would otherwise swamp it
+    const aboveKick = total - after.low;
+    const metal = rises.high >= MIN_RISE_DB && toDb(after.high / (aboveKick + 1e-12)) >= -10;
+
+    const body = share.lowMid >= share.low && share.lowMid >= -10;         // snare/tom shell
+    const noise = share.highMid >= -20 || share.high >= -10;               // snare wires, metal
+    const ringing = sustain.high / (after.high + 1e-12) >= CYMBAL_SUSTAIN_RATIO;
+
+    const types = [];
+    if (rising('low', -4)) {
+      types.push('kick');
+    }
+    if (rising('lowMid', -10) && body && !noise) {
+      types.push('tom');
+    }
+    if ((rising('lowMid', -10) && body && noise) || rising('mid', -10)) {
+      types.push('snare');
+    }
+    if (metal && (!types.includes('snare') || ringing)) {
+      // A snare's wires alone don't ring for 300ms, so snare + ringing highs is snare + crash
+      types.push(ringing ? 'cymbal' : 'hihat');
+    }
+
+    // Nothing clear-cut: go with the band that jumped the most
+    if (types.length === 0) {
+      const band = Object.keys(BANDS).reduce((best, b) => (rises[b] > rises[best] ? b : best), 'low');
+      if (rises[band] < MIN_RISE_DB / 2) return;
+      types.push({ low: 'kick', lowMid: 'tom', mid: 'snare', highMid: 'snare', high: 'hihat' }[band]);
+    }
+
+    const velocity = Math.max(0.05, Math.min(1, 1 + toDb(total / (loudest + 1e-12)) / VELOCITY_RANGE_DB));
+    types.forEach(type => hits.push({ time, type, velocity: Math.round(velocity * 100) / 100 }));
+  });
+
+  return hits;
+}
+
+/**
+ * Summary statistics of a hit list (stored as analysis.drumStats)
+ * @param {object[]} hits - Result of classifyDrumHits()
+ * @param {number} duration - Clip length in seconds
+ * @returns {object} - { version, totalHits, byType, perMinute, limbs, kickDensity, cymbalCrashes, dominantHandDrum }
+ */
+export function summarizeDrumHits(hits, duration) {
+  const byType = Object.fromEntries(DRUM_TYPES.map(type => [type, 0]));
+  hits.forEach(hit => { byType[hit.type]++; });
+
+  const minutes = duration > 0 ? duration / 60 : 0;
+  const perMinute = Object.fromEntries(DRUM_TYPES.map(type => [
+    type,
+    minutes > 0 ? Math.round((byType[type] / minutes) * 10) / 10 : null
+  ]));
+
+  const handTypes = DRUM_TYPES.filter(type => type !== 'kick');
+  const handHits = handTypes.reduce((sum, type) => sum + byType[type], 0);
+  const dominantHandDrum = handHits > 0
+    ? handTypes.reduce((best, type) => (byType[type] > byType[best] ? type : best), handTypes[0])
+    : null;
+
+  return {
+    version: DRUM_HITS_VERSION,
+    totalHits: hits.length,
+    byType,
+    perMinute,
+    limbs: { feet: byType.kick, hands: handHits },
+    kickDensity: duration > 0 ? Math.round((byType.kick / duration) * 100) / 100 : null,
+    cymbalCrashes: byType.cymbal,
+    dominantHandDrum
+  };
+}
+
+function toDb(ratio) {
+  return 10 * Math.log10(ratio > 0 ? ratio : 1e-12);
+}
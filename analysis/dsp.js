@@ -0,0 +1,109 @@
+/**
+ * Small DSP toolkit shared by the pure-JS audio analysis modules
+ * (FFT, windows, framing and decimation on Float32Array sample buffers).
+ */
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float64Array} re - Real parts (length must be a power of two)
+ * @param {Float64Array} im - Imaginary parts (same length)
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n & (n - 1)) {
+    throw new Error(`FFT size must be a power of two, got ${n}`);
+  }
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const angle = -2 * Math.PI / size;
+    const stepRe = Math.cos(angle);
+    const stepIm = Math.sin(angle);
+
+    for (let start = 0; start < n; start += size) {
+      let wRe = 1;
+      let wIm = 0;
+      for (let k = 0; k < half; k++) {
+        const a = start + k;
+        const b = a + half;
+        const tRe = re[b] * wRe - im[b] * wIm;
+        const tIm = re[b] * wIm + im[b] * wRe;
+        re[b] = re[a] - tRe;
+        im[b] = im[a] - tIm;
+        re[a] += tRe;
+        im[a] += tIm;
+
+        const nextRe = wRe * stepRe - wIm * stepIm;
+        wIm = wRe * stepIm + wIm * stepRe;
+        wRe = nextRe;
+      }
+    }
+  }
+}
+
+const windowCache = new Map();
+
+/**
+ * @returns {Float64Array} - Hann window of the given length (cached)
+ */
+export function hannWindow(size) {
+  if (!windowCache.has(size)) {
+    const window = new Float64Array(size);
+    for (let i = 0; i < size; i++) {
+      window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (size - 1));
+    }
+    windowCache.set(size, window);
+  }
+  return windowCache.get(size);
+}
+
+/**
+ * Power spectrum of one Hann-windowed frame
+ * @param {Float32Array} samples - Signal
+ * @param {number} start - First sample of the frame
+ * @param {number} size - Frame length (power of two); samples past the end are treated as silence
+ * @returns {Float64Array} - size / 2 + 1 power bins from 0 Hz to Nyquist
+ */
+export function powerSpectrum(samples, start, size) {
+  const window = hannWindow(size);
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let i = 0; i < size; i++) {
+    const index = start + i;
+    re[i] = index < samples.length ? samples[index] * window[i] : 0;
+  }
+
+  fft(re, im);
+
+  const power = new Float64Array(size / 2 + 1);
+  for (let k = 0; k <= size / 2; k++) {
+    power[k] = re[k] * re[k] + im[k] * im[k];
+  }
+  return power;
+}
+
+/**
+ * Reduces the sample rate by an integer factor, averaging each group of samples
+ * (a crude low-pass that is good enough for envelope and fingerprint work)
+ */
+export function decimate(samples, factor) {
+  if (factor <= 1) return samples;
+  const output = new Float32Array(Math.floor(samples.length / factor));
+  for (let i = 0; i < output.length; i++) {
+    let sum = 0;
+    for (let j = 0; j < factor; j++) sum += samples[i * factor + j];
+    output[i] = sum / factor;
+  }
+  return output;
+}
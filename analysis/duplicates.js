@@ -0,0 +1,93 @@
+import { compareFingerprints } from './audio_fingerprint.js';
+
+/**
+ * Duplicate Video Detection
+ *
+ * Two videos are considered duplicates when either:
+ *   - their files have the same SHA-256 (contentSha256) - the exact same upload twice, or
+ *   - their audio fingerprints match (analysis.audioFingerprint) - re-encodes, re-exports
+ *     and trimmed versions of the same take
+ *
+ * Duplicates skew medians and success ranks in the performance analysis, so they are
+ * surfaced for review rather than silently dropped. Resolving a group keeps one video and
+ * deletes the others or marks them duplicateOf it, which leaves them out of scoring.
+ */
+
+/**
+ * Finds videos that duplicate one record
+ * @param {object} record - Results document to check (may not be cataloged yet)
+ * @param {object[]} records - Results documents to check against
+ * @returns {object[]} - [{ s3Key, originalFilename, reason, similarity, offsetSeconds }] strongest first
+ */
+export function findDuplicatesFor(record, records) {
+  const matches = [];
+
+  records.forEach(other => {
+    if (other.s3Key === record.s3Key) return;
+    const match = matchRecords(record, other);
+    if (match) {
+      matches.push({ s3Key: other.s3Key, originalFilename: other.originalFilename || null, ...match });
+    }
+  });
+
+  return matches.sort((a, b) => b.similarity - a.similarity);
+}
+
+/**
+ * Groups all records into sets of suspected duplicates
+ * @param {object[]} records - Results documents
+ * @returns {object[]} - [{ s3Keys, matches: [{ a, b, reason, similarity, offsetSeconds }] }], largest groups first
+ */
+export function findDuplicateGroups(records) {
+  const parent = new Map(records.map(r => [r.s3Key, r.s3Key]));
+  const find = (key) => {
+    while (parent.get(key) !== key) {
+      parent.set(key, parent.get(parent.get(key)));
+      key = parent.get(key);
+    }
+    return key;
+  };
+
+  const matches = [];
+  for (let i = 0; i < records.length; i++) {
+    for (let j = i + 1; j < records.length; j++) {
+      const match = matchRecords(records[i], records[j]);
+      if (!match) continue;
+      matches.push({ a: records[i].s3Key, b: records[j].s3Key, ...match });
+      parent.set(find(records[i].s3Key), find(records[j].s3Key));
+    }
+  }
+
+  const groups = new Map();
+  matches.forEach(match => {
+    const root = find(match.a);
+    if (!groups.has(root)) groups.set(root, { s3Keys: new Set(), matches: [] });
+    const group = groups.get(root);
+    group.s3Keys.add(match.a);
+    group.s3Keys.add(match.b);
+    group.matches.push(match);
+  });
+
+  return [...groups.values()]
+    .map(group => ({ s3Keys: [...group.s3Keys].sort(), matches: group.matches }))
+    .sort((a, b) => b.s3Keys.length - a.s3Keys.length);
+}
+
+// Exact content matches win over audio matches; returns null when the videos differ
+function matchRecords(a, b) {
+  if (a.contentSha256 && a.contentSha256 === b.contentSha256) {
+    return { reason: 'exact', similarity: 1, offsetSeconds: 0 };
+  }
+
+  const comparison = compareFingerprints(a.analysis?.audioFingerprint, b.analysis?.audioFingerprint);
+  if (comparison && comparison.isMatch) {
+    return {
+      reason: 'audio',
+      similarity: comparison.similarity,
+      offsetSeconds: comparison.offsetSeconds,
+      overlapSeconds: comparison.overlapSeconds
+    };
+  }
+
+  return null;
+}
@@ -0,0 +1,88 @@
+import { HOOK_SECONDS } from './sections.js';
+
+/**
+ * Opening Hook Report
+ *
+ * Short-form viewers decide in the first seconds whether to keep watching, while the other
+ * metrics average over the whole clip. This looks at the first HOOK_SECONDS on their own
+ * (hookSeconds, the whole clip when it is shorter):
+ *   - onsetDensity: onsets per second in the hook (restOnsetDensity for the rest of the clip)
+ *   - loudnessVsRestDb: mean RMS level of the hook minus that of the rest of the clip
+ *     (0.1s energy windows, silent windows count as silence)
+ *   - timeToFirstHit: time of the first onset, even when it comes after the hook
+ *   - motionIntensity / sceneCut / firstCutAt: camera movement and editing in the hook
+ *     (from analysis.visual)
+ * Values that need data the analysis doesn't have (no audio, no frames, a clip no longer
+ * than the hook) are null.
+ */
+
+export const HOOK_VERSION = 1;
+
+/**
+ * @param {object} inputs - { duration, onsetTimes, energyValues, frameSeconds, visual } where energyValues are RMS
+ *                          levels in dB every frameSeconds (silent windows as null or -Infinity) and visual is
+ *                          the visual_features.js result
+ * @returns {object} - { version, hookSeconds, onsetDensity, restOnsetDensity, loudnessVsRestDb, timeToFirstHit,
+ *                     motionIntensity, sceneCut, firstCutAt }
+ */
+export function buildHookReport({ duration, onsetTimes = null, energyValues = null, frameSeconds = 0.1, visual = null }) {
+  const hookSeconds = Math.min(HOOK_SECONDS, duration || HOOK_SECONDS);
+  const restSeconds = (duration || 0) - HOOK_SECONDS;
+
+  let onsetDensity = null;
+  let restOnsetDensity = null;
+  let timeToFirstHit = null;
+  if (Array.isArray(onsetTimes)) {
+    const hookOnsets = onsetTimes.filter(time => time < HOOK_SECONDS).length;
+    onsetDensity = round(hookOnsets / hookSeconds, 2);
+    restOnsetDensity = restSeconds > 0 ? round((onsetTimes.length - hookOnsets) / restSeconds, 2) : null;
+    timeToFirstHit = onsetTimes.length > 0 ? round(Math.min(...onsetTimes), 2) : null;
+  }
+
+  let loudnessVsRestDb = null;
+  if (Array.isArray(energyValues) && energyValues.length > 0) {
+    const hookFrames = Math.round(HOOK_SECONDS / frameSeconds);
+    const hookLevel = meanLevelDb(energyValues.slice(0, hookFrames));
+    const restLevel = meanLevelDb(energyValues.slice(hookFrames));
+    if (hookLevel !== null && restLevel !== null) {
+      loudnessVsRestDb = round(hookLevel - restLevel, 1);
+    }
+  }
+
+  let motionIntensity = null;
+  let sceneCut = null;
+  let firstCutAt = null;
+  if (visual) {
+    const hookPoints = Math.max(1, Math.round(HOOK_SECONDS / visual.curveSeconds));
+    const motion = (visual.motionCurve || []).slice(0, hookPoints).filter(value => value !== null);
+    motionIntensity = motion.length > 0 ? round(motion.reduce((sum, value) => sum + value, 0) / motion.length, 2) : null;
+
+    const hookCuts = (visual.sceneCuts || []).filter(time => time < HOOK_SECONDS);
+    sceneCut = hookCuts.length > 0;
+    firstCutAt = sceneCut ? hookCuts[0] : null;
+  }
+
+  return {
+    version: HOOK_VERSION,
+    hookSeconds,
+    onsetDensity,
+    restOnsetDensity,
+    loudnessVsRestDb,
+    timeToFirstHit,
+    motionIntensity,
+    sceneCut,
+    firstCutAt
+  };
+}
+
+// Level of the mean power of the windows in dB, null when there are none or all are silent
+function meanLevelDb(levels) {
+  if (levels.length === 0) return null;
+  const power = levels.reduce((sum, db) => sum + (Number.isFinite(db) ? Math.pow(10, db / 10) : 0), 0) / levels.length;
+  return power > 0 ? 10 * Math.log10(power) : null;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,125 @@
+import { decimate, powerSpectrum } from './dsp.js';
+
+/**
+ * Musical Key Estimation
+ *
+ * Estimates the key and mode of a clip from its audio, for videos without Spotify audio
+ * features (Originals, and tracks where the audio-features request failed). The spectrum
+ * between CHROMA_MIN_HZ and CHROMA_MAX_HZ is folded into a 12-bin chroma vector (energy
+ * per pitch class, each frame normalized so loud drum hits don't dominate), which is
+ * correlated with the Krumhansl-Kessler major and minor key profiles in all 12
+ * transpositions; the best match is the key.
+ *
+ * key and mode use Spotify's conventions (pitch class 0 = C, mode 1 = major, 0 = minor)
+ * so the result can stand in for spotify.audio_features. Drums are mostly atonal, so a
+ * clip without enough harmonic content (best correlation below MIN_CORRELATION) gets no key.
+ */
+
+export const KEY_DETECTION_VERSION = 1;
+export const PITCH_CLASSES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
+
+const TARGET_SAMPLE_RATE = 11025;
+const FRAME_SIZE = 4096;
+const HOP_SIZE = 2048;
+const CHROMA_MIN_HZ = 100;
+const CHROMA_MAX_HZ = 2000;
+const SILENT_FRAME_DB = -50;
+const MIN_CORRELATION = 0.5;
+
+// Krumhansl & Kessler (1982) probe-tone ratings, starting at the tonic
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+/**
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {object} - { version, key, mode, keyName, confidence, chroma } where key is the pitch class (0-11) and
+ *                     mode 1 (major) or 0 (minor), both null when no key fits; confidence is the correlation
+ *                     of the best key profile (0-1) and chroma the clip's 12 pitch-class weights (max 1)
+ */
+export function estimateKey(samples, sampleRate) {
+  const chroma = chromaVector(samples, sampleRate);
+
+  let best = { correlation: -Infinity, key: null, mode: null };
+  if (chroma) {
+    for (let tonic = 0; tonic < 12; tonic++) {
+      [[MAJOR_PROFILE, 1], [MINOR_PROFILE, 0]].forEach(([profile, mode]) => {
+        const rotated = chroma.map((_, pc) => profile[(pc - tonic + 12) % 12]);
+        const correlation = pearson(chroma, rotated);
+        if (correlation > best.correlation) best = { correlation, key: tonic, mode };
+      });
+    }
+  }
+
+  const confidence = Number.isFinite(best.correlation) ? Math.round(Math.max(0, best.correlation) * 100) / 100 : 0;
+  const found = confidence >= MIN_CORRELATION;
+
+  return {
+    version: KEY_DETECTION_VERSION,
+    key: found ? best.key : null,
+    mode: found ? best.mode : null,
+    keyName: found ? keyName(best.key, best.mode) : null,
+    confidence,
+    chroma: chroma ? chroma.map(value => Math.round(value * 1000) / 1000) : null
+  };
+}
+
+/**
+ * @param {number} key - Pitch class (0 = C)
+ * @param {number} mode - 1 major, 0 minor
+ * @returns {string|null} - e.g. "A minor"
+ */
+export function keyName(key, mode) {
+  if (key === null || key === undefined || key < 0 || key > 11) return null;
+  return `${PITCH_CLASSES[key]} ${mode === 0 ? 'minor' : 'major'}`;
+}
+
+// Sum of the per-frame normalized chroma over the non-silent frames, scaled to a max of 1
+function chromaVector(samples, sampleRate) {
+  const factor = Math.max(1, Math.floor(sampleRate / TARGET_SAMPLE_RATE));
+  const signal = decimate(samples, factor);
+  const rate = sampleRate / factor;
+  const binHz = rate / FRAME_SIZE;
+  const silentPower = Math.pow(10, SILENT_FRAME_DB / 10);
+
+  // Pitch class of each FFT bin in range
+  const binClasses = [];
+  for (let k = Math.ceil(CHROMA_MIN_HZ / binHz); k <= Math.min(FRAME_SIZE / 2, CHROMA_MAX_HZ / binHz); k++) {
+    const midi = 69 + 12 * Math.log2((k * binHz) / 440);
+    binClasses.push([k, ((Math.round(midi) % 12) + 12) % 12]);
+  }
+
+  const total = new Array(12).fill(0);
+  let frames = 0;
+  for (let start = 0; start + FRAME_SIZE <= signal.length; start += HOP_SIZE) {
+    let sumSquares = 0;
+    for (let i = start; i < start + FRAME_SIZE; i++) sumSquares += signal[i] * signal[i];
+    if (sumSquares / FRAME_SIZE < silentPower) continue;
+
+    const power = powerSpectrum(signal, start, FRAME_SIZE);
+    const frame = new Array(12).fill(0);
+    binClasses.forEach(([k, pc]) => { frame[pc] += Math.sqrt(power[k]); });
+
+    const max = Math.max(...frame);
+    if (max <= 0) continue;
+    frame.forEach((value, pc) => { total[pc] += value / max; });
+    frames++;
+  }
+
+  if (frames === 0) return null;
+  const max = Math.max(...total);
+  return total.map(value => value / max);
+}
+
+function pearson(a, b) {
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const ma = mean(a);
+  const mb = mean(b);
+  let covariance = 0, va = 0, vb = 0;
+  for (let i = 0; i < a.length; i++) {
+    covariance += (a[i] - ma) * (b[i] - mb);
+    va += (a[i] - ma) ** 2;
+    vb += (b[i] - mb) ** 2;
+  }
+  return va > 0 && vb > 0 ? covariance / Math.sqrt(va * vb) : 0;
+}
@@ -0,0 +1,244 @@
+/**
+ * Loudness (EBU R128 / ITU-R BS.1770)
+ *
+ * Measures how loud a clip's mix is the way the platforms do, instead of a single RMS
+ * level:
+ *   - integratedLufs: K-weighted loudness of the whole clip with the -70 LUFS absolute
+ *     and -10 LU relative gates
+ *   - loudnessRange: spread (10th to 95th percentile, in LU) of the 3s short-term
+ *     loudness with a -20 LU relative gate (EBU Tech 3342)
+ *   - truePeakDbtp: peak of the 4x oversampled signal, which catches inter-sample
+ *     peaks that clip once the platform re-encodes the audio
+ *   - crestFactorDb: sample peak over RMS, low for heavily limited mixes
+ *
+ * The samples are the mono downmix detect_bpm.js extracts; it is measured as dual mono
+ * (the same signal on both channels, +3dB), which matches a stereo measurement for
+ * phone recordings where both channels are nearly identical.
+ */
+
+export const LOUDNESS_VERSION = 1;
+
+// Loudness normalization targets (integrated LUFS and max true peak) commonly given for
+// each platform; louder uploads get turned down, quieter ones are mostly left quiet
+export const PLATFORM_LOUDNESS_TARGETS = {
+  instagram: { integratedLufs: -14, truePeakDbtp: -1 },
+  tiktok: { integratedLufs: -13, truePeakDbtp: -1 }
+};
+
+const TARGET_TOLERANCE_LU = 2;
+const QUIET_WARNING_LU = 6;           // this far below a target is flagged as too quiet
+const CLIP_LEVEL = 0.999;             // |sample| at or above this counts as clipped
+const MIN_CLIPPED_SAMPLES = 3;
+
+const MOMENTARY_SECONDS = 0.4;
+const SHORT_TERM_SECONDS = 3;
+const BLOCK_STEP_SECONDS = 0.1;
+const ABSOLUTE_GATE_LUFS = -70;
+const INTEGRATED_RELATIVE_GATE_LU = -10;
+const RANGE_RELATIVE_GATE_LU = -20;
+const DUAL_MONO_DB = 10 * Math.log10(2);
+
+const TRUE_PEAK_OVERSAMPLING = 4;
+const TRUE_PEAK_TAPS_PER_PHASE = 12;
+
+/**
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {object} - { version, integratedLufs, loudnessRange, truePeakDbtp, samplePeakDbfs, rmsDbfs, crestFactorDb,
+ *                     clippedSamples, platforms: { instagram, tiktok }, warnings } where each platform is
+ *                     { targetLufs, deltaLu, status: 'too_quiet' | 'on_target' | 'too_loud' } and warnings are
+ *                     readable strings for the upload response
+ */
+export function measureLoudness(samples, sampleRate) {
+  const weighted = kWeight(samples, sampleRate);
+
+  // Mean square of every BLOCK_STEP_SECONDS slice; blocks are sums of consecutive slices
+  const step = Math.round(BLOCK_STEP_SECONDS * sampleRate);
+  const slices = [];
+  for (let start = 0; start + step <= weighted.length; start += step) {
+    let sum = 0;
+    for (let i = start; i < start + step; i++) sum += weighted[i] * weighted[i];
+    slices.push(sum / step);
+  }
+
+  const blockPowers = (seconds) => {
+    const length = Math.round(seconds / BLOCK_STEP_SECONDS);
+    const powers = [];
+    for (let i = 0; i + length <= slices.length; i++) {
+      let sum = 0;
+      for (let j = i; j < i + length; j++) sum += slices[j];
+      powers.push(sum / length);
+    }
+    return powers;
+  };
+
+  const integratedLufs = gatedLoudness(blockPowers(MOMENTARY_SECONDS));
+  const loudnessRange = rangeOf(blockPowers(SHORT_TERM_SECONDS));
+
+  let peak = 0;
+  let sumSquares = 0;
+  let clippedSamples = 0;
+  for (let i = 0; i < samples.length; i++) {
+    const level = Math.abs(samples[i]);
+    if (level > peak) peak = level;
+    if (level >= CLIP_LEVEL) clippedSamples++;
+    sumSquares += samples[i] * samples[i];
+  }
+  const rms = samples.length > 0 ? Math.sqrt(sumSquares / samples.length) : 0;
+
+  const samplePeakDbfs = toDb(peak);
+  const rmsDbfs = toDb(rms);
+  const truePeakDbtp = toDb(Math.max(peak, truePeak(samples)));
+
+  const platforms = {};
+  Object.entries(PLATFORM_LOUDNESS_TARGETS).forEach(([platform, target]) => {
+    const deltaLu = integratedLufs === null ? null : round(integratedLufs - target.integratedLufs, 10);
+    let status = null;
+    if (deltaLu !== null) {
+      status = deltaLu < -TARGET_TOLERANCE_LU ? 'too_quiet' : deltaLu > TARGET_TOLERANCE_LU ? 'too_loud' : 'on_target';
+    }
+    platforms[platform] = { targetLufs: target.integratedLufs, deltaLu, status };
+  });
+
+  return {
+    version: LOUDNESS_VERSION,
+    integratedLufs,
+    loudnessRange,
+    truePeakDbtp,
+    samplePeakDbfs,
+    rmsDbfs,
+    crestFactorDb: samplePeakDbfs !== null && rmsDbfs !== null ? round(samplePeakDbfs - rmsDbfs, 10) : null,
+    clippedSamples,
+    platforms,
+    warnings: loudnessWarnings({ integratedLufs, truePeakDbtp, clippedSamples })
+  };
+}
+
+function loudnessWarnings({ integratedLufs, truePeakDbtp, clippedSamples }) {
+  const warnings = [];
+  const quietest = Math.min(...Object.values(PLATFORM_LOUDNESS_TARGETS).map(t => t.integratedLufs));
+  const maxTruePeak = Math.min(...Object.values(PLATFORM_LOUDNESS_TARGETS).map(t => t.truePeakDbtp));
+
+  if (integratedLufs !== null && integratedLufs < quietest - QUIET_WARNING_LU) {
+    warnings.push(`Mix is quiet (${integratedLufs} LUFS, Reels/TikTok aim for about ${quietest} LUFS); it will play noticeably softer than other videos`);
+  }
+  if (clippedSamples >= MIN_CLIPPED_SAMPLES) {
+    warnings.push(`Audio is clipping (${clippedSamples} samples at full scale); lower the recording or master level`);
+  } else if (truePeakDbtp !== null && truePeakDbtp > maxTruePeak) {
+    warnings.push(`True peak is ${truePeakDbtp} dBTP (above ${maxTruePeak} dBTP); it may distort after the platform re-encodes it`);
+  }
+  return warnings;
+}
+
+// Integrated loudness of 400ms block powers: absolute gate, then relative gate
+function gatedLoudness(powers) {
+  const aboveAbsolute = powers.filter(power => blockLoudness(power) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) return null;
+
+  const threshold = blockLoudness(mean(aboveAbsolute)) + INTEGRATED_RELATIVE_GATE_LU;
+  const gated = aboveAbsolute.filter(power => blockLoudness(power) > threshold);
+  return gated.length > 0 ? round(blockLoudness(mean(gated)), 10) : null;
+}
+
+// Loudness range of 3s block powers
+function rangeOf(powers) {
+  const aboveAbsolute = powers.filter(power => blockLoudness(power) > ABSOLUTE_GATE_LUFS);
+  if (aboveAbsolute.length === 0) return null;
+
+  const threshold = blockLoudness(mean(aboveAbsolute)) + RANGE_RELATIVE_GATE_LU;
+  const levels = aboveAbsolute
+    .map(blockLoudness)
+    .filter(loudness => loudness > threshold)
+    .sort((a, b) => a - b);
+  if (levels.length === 0) return null;
+
+  const percentile = (p) => levels[Math.min(levels.length - 1, Math.round(p * (levels.length - 1)))];
+  return round(percentile(0.95) - percentile(0.1), 10);
+}
+
+function blockLoudness(power) {
+  return -0.691 + 10 * Math.log10(power > 0 ? power : 1e-20) + DUAL_MONO_DB;
+}
+
+// BS.1770 K-weighting: high-shelf pre-filter followed by the RLB high-pass, designed for
+// the actual sample rate (the standard's coefficients are for 48kHz)
+function kWeight(samples, sampleRate) {
+  const shelf = (() => {
+    const f0 = 1681.974450955533;
+    const gainDb = 3.999843853973347;
+    const q = 0.7071752369554196;
+    const k = Math.tan((Math.PI * f0) / sampleRate);
+    const vh = Math.pow(10, gainDb / 20);
+    const vb = Math.pow(vh, 0.4996667741545416);
+    const a0 = 1 + k / q + k * k;
+    return {
+      b: [(vh + (vb * k) / q + k * k) / a0, (2 * (k * k - vh)) / a0, (vh - (vb * k) / q + k * k) / a0],
+      a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0]
+    };
+  })();
+
+  const highPass = (() => {
+    const f0 = 38.13547087602444;
+    const q = 0.5003270373238773;
+    const k = Math.tan((Math.PI * f0) / sampleRate);
+    const a0 = 1 + k / q + k * k;
+    return { b: [1, -2, 1], a: [(2 * (k * k - 1)) / a0, (1 - k / q + k * k) / a0] };
+  })();
+
+  return biquad(biquad(samples, shelf), highPass);
+}
+
+function biquad(input, { b, a }) {
+  const output = new Float64Array(input.length);
+  let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+  for (let i = 0; i < input.length; i++) {
+    const x = input[i];
+    const y = b[0] * x + b[1] * x1 + b[2] * x2 - a[0] * y1 - a[1] * y2;
+    x2 = x1; x1 = x;
+    y2 = y1; y1 = y;
+    output[i] = y;
+  }
+  return output;
+}
+
+// Highest absolute value of the signal upsampled TRUE_PEAK_OVERSAMPLING times with a
+// Hann-windowed sinc interpolator (the original samples are checked by the caller)
+function truePeak(samples) {
+  const factor = TRUE_PEAK_OVERSAMPLING;
+  const half = TRUE_PEAK_TAPS_PER_PHASE / 2;
+
+  const phases = [];
+  for (let phase = 1; phase < factor; phase++) {
+    const taps = [];
+    for (let k = -half + 1; k <= half; k++) {
+      const t = k - phase / factor;   // distance from the interpolated point to sample i + k
+      const sinc = Math.sin(Math.PI * t) / (Math.PI * t);
+      const window = 0.5 * (1 + Math.cos((Math.PI * t) / (half + 1)));
+      taps.push(sinc * window);
+    }
+    phases.push(taps);
+  }
+
+  let peak = 0;
+  for (let i = half - 1; i < samples.length - half; i++) {
+    for (const taps of phases) {
+      let value = 0;
+      for (let k = 0; k < taps.length; k++) value += taps[k] * samples[i - half + 1 + k];
+      const level = Math.abs(value);
+      if (level > peak) peak = level;
+    }
+  }
+  return peak;
+}
+
+function mean(values) {
+  return values.reduce((sum, value) => sum + value, 0) / values.length;
+}
+
+function toDb(amplitude) {
+  return amplitude > 0 ? round(20 * Math.log10(amplitude), 10) : null;
+}
+
+function round(value, factor) {
+  return Math.round(value * factor) / factor;
+}
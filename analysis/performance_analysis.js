@@ -6,6 +6,8 @@
  * claiming statistical certainty.
  */
 
+import { flattenVideoRecord } from './video_record.js';
+
 /**
  * Step 1: Standardize & Derive Metrics
  * Generates derived fields for every video
@@ -215,6 +217,175 @@ function classifyMetadata(video) {
     classifications.onsets = video.onsets;
   }
 
+  // Drum hit classifications (from analysis.drumStats)
+  if (video.kickDensity !== null && video.kickDensity !== undefined) {
+    if (video.kickDensity < 1) {
+      classifications.kick_density_bucket = 'low';
+    } else if (video.kickDensity <= 2) {
+      classifications.kick_density_bucket = 'medium';
+    } else {
+      classifications.kick_density_bucket = 'high';
+    }
+  }
+
+  if (video.cymbalCrashes !== null && video.cymbalCrashes !== undefined) {
+    if (video.cymbalCrashes === 0) {
+      classifications.cymbal_crashes_bucket = 'none';
+    } else if (video.cymbalCrashes <= 4) {
+      classifications.cymbal_crashes_bucket = '1-4';
+    } else {
+      classifications.cymbal_crashes_bucket = '5+';
+    }
+  }
+
+  if (video.dominantHandDrum) {
+    classifications.dominant_hand_drum = video.dominantHandDrum;
+  }
+
+  // Played faster/slower than the original recording (Spotify reference tempo)
+  if (video.tempoVsOriginal) {
+    classifications.tempo_vs_original = video.tempoVsOriginal;
+  }
+
+  // Timing tightness (from analysis.tempoStability)
+  if (video.tempoStabilityScore !== null && video.tempoStabilityScore !== undefined) {
+    if (video.tempoStabilityScore >= 80) {
+      classifications.tempo_stability_bucket = 'tight';
+    } else if (video.tempoStabilityScore >= 50) {
+      classifications.tempo_stability_bucket = 'steady';
+    } else {
+      classifications.tempo_stability_bucket = 'loose';
+    }
+  }
+
+  // Mix brightness and low end (from analysis.spectral)
+  if (video.spectralCentroid !== null && video.spectralCentroid !== undefined) {
+    if (video.spectralCentroid < 1500) {
+      classifications.brightness_bucket = 'dark';
+    } else if (video.spectralCentroid <= 3000) {
+      classifications.brightness_bucket = 'balanced';
+    } else {
+      classifications.brightness_bucket = 'bright';
+    }
+  }
+
+  if (video.lowEnergyRatio !== null && video.lowEnergyRatio !== undefined) {
+    if (video.lowEnergyRatio < 0.3) {
+      classifications.low_end_bucket = 'light';
+    } else if (video.lowEnergyRatio <= 0.6) {
+      classifications.low_end_bucket = 'moderate';
+    } else {
+      classifications.low_end_bucket = 'heavy';
+    }
+  }
+
+  // The first 3 seconds (from analysis.hook)
+  if (video.hookOnsetDensity !== null && video.hookOnsetDensity !== undefined) {
+    if (video.hookOnsetDensity < 2) {
+      classifications.hook_onset_density_bucket = 'low';
+    } else if (video.hookOnsetDensity <= 4) {
+      classifications.hook_onset_density_bucket = 'medium';
+    } else {
+      classifications.hook_onset_density_bucket = 'high';
+    }
+  }
+
+  if (video.hookLoudnessVsRest !== null && video.hookLoudnessVsRest !== undefined) {
+    if (video.hookLoudnessVsRest < -3) {
+      classifications.hook_loudness_vs_rest = 'quieter';
+    } else if (video.hookLoudnessVsRest <= 3) {
+      classifications.hook_loudness_vs_rest = 'even';
+    } else {
+      classifications.hook_loudness_vs_rest = 'louder';
+    }
+  }
+
+  if (video.timeToFirstHit !== null && video.timeToFirstHit !== undefined) {
+    if (video.timeToFirstHit < 0.5) {
+      classifications.time_to_first_hit_bucket = 'immediate';
+    } else if (video.timeToFirstHit <= 1.5) {
+      classifications.time_to_first_hit_bucket = 'quick';
+    } else {
+      classifications.time_to_first_hit_bucket = 'delayed';
+    }
+  }
+
+  if (video.hookMotion !== null && video.hookMotion !== undefined) {
+    if (video.hookMotion < 1.5) {
+      classifications.hook_motion_bucket = 'static';
+    } else if (video.hookMotion <= 5) {
+      classifications.hook_motion_bucket = 'moderate';
+    } else {
+      classifications.hook_motion_bucket = 'high';
+    }
+  }
+
+  if (video.hookSceneCut !== null && video.hookSceneCut !== undefined) {
+    classifications.hook_scene_cut = video.hookSceneCut;
+  }
+
+  // Editing and camera work (from analysis.visual): single static shot vs multi-angle edits
+  if (video.cutsPerMinute !== null && video.cutsPerMinute !== undefined) {
+    if (video.cutCount === 0) {
+      classifications.cut_rate_bucket = 'single_shot';
+    } else if (video.cutsPerMinute < 10) {
+      classifications.cut_rate_bucket = 'few_cuts';
+    } else {
+      classifications.cut_rate_bucket = 'fast_cuts';
+    }
+  }
+
+  if (video.motionIntensity !== null && video.motionIntensity !== undefined) {
+    if (video.motionIntensity < 1.5) {
+      classifications.motion_bucket = 'static';
+    } else if (video.motionIntensity <= 5) {
+      classifications.motion_bucket = 'moderate';
+    } else {
+      classifications.motion_bucket = 'high';
+    }
+  }
+
+  if (video.visualBrightness !== null && video.visualBrightness !== undefined) {
+    if (video.visualBrightness < 0.3) {
+      classifications.lighting_bucket = 'dark';
+    } else if (video.visualBrightness <= 0.6) {
+      classifications.lighting_bucket = 'normal';
+    } else {
+      classifications.lighting_bucket = 'bright';
+    }
+  }
+
+  if (video.colorfulness !== null && video.colorfulness !== undefined) {
+    if (video.colorfulness < 33) {
+      classifications.colorfulness_bucket = 'muted';
+    } else if (video.colorfulness <= 59) {
+      classifications.colorfulness_bucket = 'moderate';
+    } else {
+      classifications.colorfulness_bucket = 'colorful';
+    }
+  }
+
+  // Major or minor key (Spotify audio features, or estimated from the audio)
+  if (video.keyMode) {
+    classifications.key_mode = video.keyMode;
+  }
+
+  // Whether a fill starts in the first 3 seconds (from analysis.structure)
+  if (video.fillInHook !== null && video.fillInHook !== undefined) {
+    classifications.fill_in_hook = video.fillInHook;
+  }
+
+  // Mix loudness (from analysis.loudness, Reels/TikTok normalize to about -14 LUFS)
+  if (video.integratedLufs !== null && video.integratedLufs !== undefined) {
+    if (video.integratedLufs < -18) {
+      classifications.loudness_bucket = 'quiet';
+    } else if (video.integratedLufs <= -10) {
+      classifications.loudness_bucket = 'on_target';
+    } else {
+      classifications.loudness_bucket = 'loud';
+    }
+  }
+
   // Genre classification - individual genres from array
   if (video.genres && Array.isArray(video.genres) && video.genres.length > 0) {
     classifications.primary_genre = video.genres[0];
@@ -566,10 +737,63 @@ function computeDistributionSummary(videos) {
   return distributionResults.sort((a, b) => b.median_views_relative - a.median_views_relative);
 }
 
+/**
+ * Step 3D: Project Summary
+ * Aggregates takes of the same song (see song_projects.js) so a project's
+ * total reach can be compared with single-take songs
+ */
+function computeProjectSummary(videos, projects) {
+  const summaries = [];
+
+  projects.forEach(project => {
+    const takes = videos.filter(v => v.projectId === project.id);
+    if (takes.length === 0) return;
+
+    const totalViews = takes.reduce((sum, v) => sum + (v.views || 0), 0);
+    const totalLikes = takes.reduce((sum, v) => sum + (v.likes || 0), 0);
+    const bestTake = takes.reduce((best, v) => (!best || v.views_relative > best.views_relative ? v : best), null);
+
+    summaries.push({
+      project_id: project.id,
+      name: project.name,
+      video_count: project.s3Keys.length,
+      videos_with_metrics: takes.length,
+      total_views: totalViews,
+      total_likes: totalLikes,
+      engagement_proxy: totalViews > 0 ? Math.round((totalLikes / totalViews) * 1000) / 1000 : 0,
+      median_views_relative: Math.round(calculateMedian(takes.map(v => v.views_relative)) * 100) / 100,
+      best_take: {
+        s3Key: bestTake.s3Key,
+        platform: bestTake.platform,
+        views: bestTake.views,
+        views_relative: Math.round(bestTake.views_relative * 100) / 100
+      }
+    });
+  });
+
+  return summaries.sort((a, b) => b.total_views - a.total_views);
+}
+
 /**
  * Step 4: Generate Structured Outputs
+ * @param {object[]} records - results/{s3Key}.json documents (flattened via video_record.js); videos resolved as
+ *                             duplicates of another (duplicateOf) are left out
+ * @param {object} options - { projects } song projects ({ id, name, s3Keys }) for the project summary
  */
-function generateStructuredOutputs(videos) {
+function generateStructuredOutputs(records, { projects = [] } = {}) {
+  const projectIdByKey = new Map(projects.flatMap(p => p.s3Keys.map(s3Key => [s3Key, p.id])));
+  const videos = [];
+  records.filter(record => !record.duplicateOf).forEach(record => {
+    try {
+      videos.push({
+        ...flattenVideoRecord(record),
+        projectId: projectIdByKey.get(record.s3Key) || null
+      });
+    } catch (err) {
+      // A malformed document shouldn't take the whole analysis down
+      console.error(`Error processing metadata for ${record.s3Key}:`, err);
+    }
+  });
   const processedVideos = standardizeAndDeriveMetrics(videos);
   
   if (processedVideos.length === 0) {
@@ -590,6 +814,7 @@ function generateStructuredOutputs(videos) {
   const liftAnalysis = computeLiftAnalysis(processedVideos);
   const rankAssociation = computeRankAssociation(processedVideos);
   const distributionSummary = computeDistributionSummary(processedVideos);
+  const projectSummary = computeProjectSummary(processedVideos, projects);
 
   // Define bucket ranges for display
   const bucketRanges = {
@@ -621,6 +846,93 @@ function generateStructuredOutputs(videos) {
       'medium': '2-4 onsets/second',
       'high': '> 4 onsets/second'
     },
+    'kick_density_bucket': {
+      'low': '< 1 kick/second',
+      'medium': '1-2 kicks/second',
+      'high': '> 2 kicks/second'
+    },
+    'cymbal_crashes_bucket': {
+      'none': 'No cymbal crashes',
+      '1-4': '1-4 cymbal crashes',
+      '5+': '5 or more cymbal crashes'
+    },
+    'tempo_stability_bucket': {
+      'tight': 'Tempo stability 80-100',
+      'steady': 'Tempo stability 50-79',
+      'loose': 'Tempo stability < 50'
+    },
+    'brightness_bucket': {
+      'dark': 'Spectral centroid < 1500 Hz',
+      'balanced': 'Spectral centroid 1500-3000 Hz',
+      'bright': 'Spectral centroid > 3000 Hz'
+    },
+    'low_end_bucket': {
+      'light': '< 30% of the energy below 250 Hz',
+      'moderate': '30-60% of the energy below 250 Hz',
+      'heavy': '> 60% of the energy below 250 Hz'
+    },
+    'hook_onset_density_bucket': {
+      'low': '< 2 onsets/second in the first 3 seconds',
+      'medium': '2-4 onsets/second in the first 3 seconds',
+      'high': '> 4 onsets/second in the first 3 seconds'
+    },
+    'hook_loudness_vs_rest': {
+      'quieter': 'First 3 seconds more than 3 dB quieter than the rest',
+      'even': 'First 3 seconds within 3 dB of the rest',
+      'louder': 'First 3 seconds more than 3 dB louder than the rest'
+    },
+    'time_to_first_hit_bucket': {
+      'immediate': 'First hit within 0.5 seconds',
+      'quick': 'First hit after 0.5-1.5 seconds',
+      'delayed': 'First hit after more than 1.5 seconds'
+    },
+    'hook_motion_bucket': {
+      'static': 'Motion intensity < 1.5 in the first 3 seconds',
+      'moderate': 'Motion intensity 1.5-5 in the first 3 seconds',
+      'high': 'Motion intensity > 5 in the first 3 seconds'
+    },
+    'hook_scene_cut': {
+      'true': 'A scene cut in the first 3 seconds',
+      'false': 'No scene cut in the first 3 seconds'
+    },
+    'cut_rate_bucket': {
+      'single_shot': 'No cuts (one continuous shot)',
+      'few_cuts': 'Fewer than 10 cuts per minute',
+      'fast_cuts': '10 or more cuts per minute'
+    },
+    'motion_bucket': {
+      'static': 'Motion intensity < 1.5',
+      'moderate': 'Motion intensity 1.5-5',
+      'high': 'Motion intensity > 5'
+    },
+    'lighting_bucket': {
+      'dark': 'Average brightness < 30%',
+      'normal': 'Average brightness 30-60%',
+      'bright': 'Average brightness > 60%'
+    },
+    'colorfulness_bucket': {
+      'muted': 'Colorfulness < 33',
+      'moderate': 'Colorfulness 33-59',
+      'colorful': 'Colorfulness > 59'
+    },
+    'key_mode': {
+      'major': 'Major key',
+      'minor': 'Minor key'
+    },
+    'fill_in_hook': {
+      'true': 'A fill starts in the first 3 seconds',
+      'false': 'No fill in the first 3 seconds'
+    },
+    'loudness_bucket': {
+      'quiet': '< -18 LUFS',
+      'on_target': '-18 to -10 LUFS',
+      'loud': '> -10 LUFS'
+    },
+    'tempo_vs_original': {
+      'faster': 'More than 3% faster than the original',
+      'on_tempo': 'Within 3% of the original tempo',
+      'slower': 'More than 3% slower than the original'
+    },
     'artist_size': {
       '<100k': '< 100,000 followers',
       '100k-1M': '100,000-1,000,000 followers',
@@ -823,6 +1135,7 @@ function generateStructuredOutputs(videos) {
 
       return {
         s3Key: video.s3Key,
+        project_id: video.projectId,
         trackName: video.trackName || 'Unknown',
         artistName: video.artistName || 'Unknown',
         platform: platform,
@@ -900,7 +1213,8 @@ function generateStructuredOutputs(videos) {
     what_seems_working: whatSeemsWorking,
     per_video_comparison: perVideoComparison,
     rank_association: rankAssociation,
-    distribution_summary: distributionSummary
+    distribution_summary: distributionSummary,
+    project_summary: projectSummary
   };
 }
 
@@ -933,6 +1247,7 @@ export {
   computeLiftAnalysis,
   computeRankAssociation,
   computeDistributionSummary,
+  computeProjectSummary,
   generateStructuredOutputs
 };
 
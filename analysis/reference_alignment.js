@@ -0,0 +1,219 @@
+import fs from 'fs';
+import { fft } from './dsp.js';
+import { readWav } from './wav.js';
+import { onsetStrength, detectOnsets } from './audio_features.js';
+import { extractAudio } from './detect_bpm.js';
+
+/**
+ * Reference Track Alignment
+ *
+ * Lines a cover video up with the original recording and scores how tightly it follows
+ * it. The two onset strength envelopes (audio_features.js) are cross-correlated to find
+ * where in the reference the video starts; the video's onsets are then matched to the
+ * nearest reference onset and the remaining offsets measure the timing:
+ *   - a hit right on a reference transient gets full credit, one MATCH_WINDOW_SECONDS or
+ *     more away (or with no transient nearby) gets none, linearly in between
+ *   - tightnessScore is the average credit (0-100), overall and per section of four bars
+ *     (or SECTION_SECONDS when the tempo is unknown)
+ *
+ * Deviations are video minus reference: positive means the cover is behind the record.
+ * Phone videos usually have the track playing along, so part of the video's onsets are
+ * the reference itself; scores are best compared between covers, not read as absolutes.
+ */
+
+export const REFERENCE_ALIGNMENT_VERSION = 1;
+
+const MATCH_WINDOW_SECONDS = 0.05;
+const SECTION_SECONDS = 8;
+const SECTION_BARS = 4;
+const MIN_OVERLAP_RATIO = 0.5;        // of the shorter clip, for a lag to be considered
+const SECOND_PEAK_EXCLUSION_SECONDS = 0.1;
+
+/**
+ * Aligns a video with a reference recording on disk (any format ffmpeg reads)
+ * @param {string} videoPath - Path to the video
+ * @param {string} referencePath - Path to the original recording
+ * @param {string} tempDir - Directory for the extracted WAVs
+ * @param {object} options - { bpm } of the video, used for the section length
+ * @returns {Promise<object>} - Result of alignToReference()
+ */
+export async function alignVideoToReference(videoPath, referencePath, tempDir, options = {}) {
+  const wavPaths = [];
+  try {
+    for (const mediaPath of [videoPath, referencePath]) {
+      const wavPath = await extractAudio(mediaPath, tempDir);
+      if (!wavPath) {
+        throw new Error(`No audio could be extracted from ${mediaPath}`);
+      }
+      wavPaths.push(wavPath);
+    }
+
+    const [video, reference] = wavPaths.map(wavPath => readWav(wavPath));
+    if (video.sampleRate !== reference.sampleRate) {
+      throw new Error('Video and reference audio were extracted at different sample rates');
+    }
+    return alignToReference(video.samples, reference.samples, video.sampleRate, options);
+  } finally {
+    wavPaths.forEach(wavPath => {
+      try { fs.unlinkSync(wavPath); } catch (e) {}
+    });
+  }
+}
+
+/**
+ * Finds the sync offset between a video and its reference and scores the timing
+ * @param {Float32Array} videoSamples - Mono samples of the video's audio
+ * @param {Float32Array} referenceSamples - Mono samples of the reference (same sample rate)
+ * @param {number} sampleRate - Sample rate of both
+ * @param {object} options - { bpm } of the video, used for the section length
+ * @returns {object} - { version, offsetSeconds, confidence, onsets, matchedRatio, meanAbsDeviationMs,
+ *                     meanDeviationMs, tightnessScore, sections } where offsetSeconds is the reference time
+ *                     at the start of the video and confidence (0-1) how clearly the best offset beat the
+ *                     runner-up
+ */
+export function alignToReference(videoSamples, referenceSamples, sampleRate, { bpm = null } = {}) {
+  const video = onsetStrength(videoSamples, sampleRate);
+  const reference = onsetStrength(referenceSamples, sampleRate);
+  const { lag, confidence } = crossCorrelate(video.envelope, reference.envelope, video.frameRate);
+
+  const videoOnsets = detectOnsets(video);
+  const referenceOnsets = detectOnsets(reference);
+
+  // The envelope lag is only frame-accurate; the median offset of the matched onsets refines it
+  let offset = lag / video.frameRate;
+  const coarse = matchOnsets(videoOnsets, referenceOnsets, offset).filter(match => match.deviation !== null);
+  if (coarse.length > 0) {
+    offset += median(coarse.map(match => match.deviation));
+  }
+
+  const matches = matchOnsets(videoOnsets, referenceOnsets, offset);
+  const duration = videoSamples.length / sampleRate;
+  const sectionLength = bpm ? (SECTION_BARS * 4 * 60) / bpm : SECTION_SECONDS;
+
+  const sections = [];
+  for (let start = 0; start < duration; start += sectionLength) {
+    const end = Math.min(duration, start + sectionLength);
+    const inSection = matches.filter(match => match.time >= start && match.time < end);
+    sections.push({
+      start: Math.round(start * 100) / 100,
+      end: Math.round(end * 100) / 100,
+      ...scoreMatches(inSection)
+    });
+  }
+
+  const overall = scoreMatches(matches);
+  return {
+    version: REFERENCE_ALIGNMENT_VERSION,
+    offsetSeconds: Math.round(offset * 1000) / 1000,
+    confidence,
+    onsets: overall.onsets,
+    matchedRatio: overall.matchedRatio,
+    meanAbsDeviationMs: overall.meanAbsDeviationMs,
+    meanDeviationMs: overall.meanDeviationMs,
+    tightnessScore: overall.tightnessScore,
+    sections
+  };
+}
+
+// Lag (in frames) of the reference against the video that maximizes the correlation of the
+// mean-removed envelopes, computed with one FFT per envelope
+function crossCorrelate(videoEnvelope, referenceEnvelope, frameRate) {
+  const center = (envelope) => {
+    const mean = envelope.reduce((sum, value) => sum + value, 0) / (envelope.length || 1);
+    return envelope.map(value => value - mean);
+  };
+  const a = center(videoEnvelope);
+  const b = center(referenceEnvelope);
+
+  let size = 1;
+  while (size < a.length + b.length) size <<= 1;
+  const aRe = new Float64Array(size);
+  const aIm = new Float64Array(size);
+  const bRe = new Float64Array(size);
+  const bIm = new Float64Array(size);
+  aRe.set(a);
+  bRe.set(b);
+  fft(aRe, aIm);
+  fft(bRe, bIm);
+
+  // correlation[k] = sum a[i] * b[i + k] = IFFT(conj(A) * B); the inverse is done as a forward
+  // FFT of the conjugate (the 1/size scale doesn't move the peak)
+  const re = new Float64Array(size);
+  const im = new Float64Array(size);
+  for (let k = 0; k < size; k++) {
+    re[k] = aRe[k] * bRe[k] + aIm[k] * bIm[k];
+    im[k] = -(aRe[k] * bIm[k] - aIm[k] * bRe[k]);
+  }
+  fft(re, im);
+  const correlationAt = (lag) => re[(lag + size) % size];
+
+  const minOverlap = Math.max(1, Math.floor(MIN_OVERLAP_RATIO * Math.min(a.length, b.length)));
+  const fromLag = -(a.length - minOverlap);
+  const toLag = b.length - minOverlap;
+
+  let bestLag = 0;
+  let best = -Infinity;
+  for (let lag = fromLag; lag <= toLag; lag++) {
+    if (correlationAt(lag) > best) {
+      best = correlationAt(lag);
+      bestLag = lag;
+    }
+  }
+
+  const exclusion = Math.round(SECOND_PEAK_EXCLUSION_SECONDS * frameRate);
+  let second = -Infinity;
+  for (let lag = fromLag; lag <= toLag; lag++) {
+    if (Math.abs(lag - bestLag) > exclusion && correlationAt(lag) > second) {
+      second = correlationAt(lag);
+    }
+  }
+
+  const confidence = best > 0 && second > -Infinity ? Math.max(0, Math.min(1, (best - second) / best)) : 0;
+  return { lag: bestLag, confidence: Math.round(confidence * 100) / 100 };
+}
+
+// Nearest reference onset for each video onset that falls inside the reference
+function matchOnsets(videoOnsets, referenceOnsets, offset) {
+  if (referenceOnsets.length === 0) return [];
+  const last = referenceOnsets[referenceOnsets.length - 1];
+
+  return videoOnsets
+    .filter(time => time + offset >= 0 && time + offset <= last + MATCH_WINDOW_SECONDS)
+    .map(time => {
+      const target = time + offset;
+      let low = 0;
+      let high = referenceOnsets.length - 1;
+      while (low < high) {
+        const mid = (low + high) >> 1;
+        if (referenceOnsets[mid] < target) low = mid + 1;
+        else high = mid;
+      }
+      const candidates = [referenceOnsets[low], referenceOnsets[low - 1]].filter(t => t !== undefined);
+      const nearest = candidates.reduce((a, b) => (Math.abs(b - target) < Math.abs(a - target) ? b : a));
+      const deviation = target - nearest;
+      return { time, deviation: Math.abs(deviation) < MATCH_WINDOW_SECONDS ? deviation : null };
+    });
+}
+
+function scoreMatches(matches) {
+  const matched = matches.filter(match => match.deviation !== null);
+  if (matches.length === 0) {
+    return { onsets: 0, matchedRatio: null, meanAbsDeviationMs: null, meanDeviationMs: null, tightnessScore: null };
+  }
+
+  const credit = matched.reduce((sum, match) => sum + (1 - Math.abs(match.deviation) / MATCH_WINDOW_SECONDS), 0);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+
+  return {
+    onsets: matches.length,
+    matchedRatio: Math.round((matched.length / matches.length) * 100) / 100,
+    meanAbsDeviationMs: matched.length > 0 ? Math.round(mean(matched.map(m => Math.abs(m.deviation))) * 10000) / 10 : null,
+    meanDeviationMs: matched.length > 0 ? Math.round(mean(matched.map(m => m.deviation)) * 10000) / 10 : null,
+    tightnessScore: Math.round((credit / matches.length) * 100)
+  };
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.floor(sorted.length / 2)];
+}
@@ -0,0 +1,159 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import Ajv from 'ajv';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Results Document Schema Versions
+ *
+ * Every results/{s3Key}.json carries a schemaVersion. Documents written before the
+ * field existed are treated as version 1. Each version has a JSON Schema in
+ * analysis/schemas/, and MIGRATIONS upgrades a document one version at a time.
+ *
+ * To change the document shape: add results.v{N}.schema.json, append a migration
+ * from N-1 to N, and bump CURRENT_SCHEMA_VERSION.
+ */
+
+export const CURRENT_SCHEMA_VERSION = 3;
+
+const METRIC_COUNT_FIELDS = ['igViews', 'igLikes', 'tiktokViews', 'tiktokLikes'];
+
+const MIGRATIONS = [
+  {
+    from: 1,
+    to: 2,
+    description: 'Rename legacy keys, fill missing fields, normalize energy/onsets shapes',
+    migrate(doc) {
+      const migrated = { ...doc };
+
+      // Earliest documents used snake_case keys
+      migrated.s3Key = doc.s3Key || doc.video_key;
+      migrated.analyzedAt = doc.analyzedAt || doc.analyzed_at || null;
+      delete migrated.video_key;
+      delete migrated.analyzed_at;
+
+      migrated.originalFilename = doc.originalFilename || null;
+      migrated.videoType = doc.videoType || null;
+      migrated.snapshotKey = doc.snapshotKey || null;
+      migrated.spotify = doc.spotify || null;
+      migrated.metricsHistory = Array.isArray(doc.metricsHistory) ? doc.metricsHistory : [];
+
+      // Spotify-linked videos only stored names under spotify.*
+      migrated.artistName = doc.artistName || doc.spotify?.artist?.name || null;
+      migrated.trackName = doc.trackName || doc.spotify?.track?.name || null;
+
+      METRIC_COUNT_FIELDS.forEach(field => {
+        if (doc[field] !== undefined && doc[field] !== null) {
+          const value = Number(doc[field]);
+          migrated[field] = isFinite(value) ? value : null;
+        }
+      });
+
+      // Documents whose analysis failed or never ran keep analysis null
+      const analysis = doc.analysis ? { ...doc.analysis } : null;
+
+      // Onsets were briefly stored as the raw aubio result ({ count, rate } or a list of timestamps)
+      if (Array.isArray(analysis?.onsets)) {
+        analysis.onsets = analysis.onsets.length;
+      } else if (analysis?.onsets && typeof analysis.onsets === 'object') {
+        if (analysis.onsetRate == null) analysis.onsetRate = toNumberOrNull(analysis.onsets.rate);
+        analysis.onsets = toNumberOrNull(analysis.onsets.count);
+      }
+
+      // Energy is the RMS level in dB; older documents stored it as a string or { rmsDb }
+      if (analysis?.energy && typeof analysis.energy === 'object') {
+        analysis.energy = toNumberOrNull(analysis.energy.rmsDb ?? analysis.energy.value);
+      } else if (typeof analysis?.energy === 'string') {
+        analysis.energy = toNumberOrNull(analysis.energy);
+      }
+
+      migrated.analysis = analysis;
+      migrated.schemaVersion = 2;
+      return migrated;
+    }
+  },
+  {
+    from: 2,
+    to: 3,
+    description: 'Track which analysis pipeline version produced the analysis block',
+    migrate(doc) {
+      return {
+        ...doc,
+        // Everything analyzed before versioning came from the first pipeline
+        analysisVersion: doc.analysisVersion || 1,
+        analysisHistory: Array.isArray(doc.analysisHistory) ? doc.analysisHistory : [],
+        schemaVersion: 3
+      };
+    }
+  }
+];
+
+const ajv = new Ajv({ allErrors: true });
+const validators = new Map();
+
+function getValidator(version) {
+  if (!validators.has(version)) {
+    const schemaPath = path.join(__dirname, 'schemas', `results.v${version}.schema.json`);
+    if (!fs.existsSync(schemaPath)) {
+      throw new Error(`No schema for results schemaVersion ${version}`);
+    }
+    validators.set(version, ajv.compile(JSON.parse(fs.readFileSync(schemaPath, 'utf-8'))));
+  }
+  return validators.get(version);
+}
+
+/**
+ * @returns {number} - The schemaVersion of a results document (1 if it predates the field)
+ */
+export function getSchemaVersion(doc) {
+  return Number.isInteger(doc.schemaVersion) ? doc.schemaVersion : 1;
+}
+
+/**
+ * Validates a results document against the schema for its own version
+ * @returns {object} - { valid, version, errors } where errors are readable strings
+ */
+export function validateRecord(doc) {
+  const version = getSchemaVersion(doc);
+  const validate = getValidator(version);
+  const valid = validate(doc);
+
+  return {
+    valid,
+    version,
+    errors: valid ? [] : validate.errors.map(err => `${err.instancePath || '/'} ${err.message}`)
+  };
+}
+
+/**
+ * Upgrades a results document to CURRENT_SCHEMA_VERSION (the input is not modified)
+ * @returns {object} - { record, fromVersion, toVersion, applied } where applied lists migration descriptions
+ */
+export function migrateRecord(doc) {
+  const fromVersion = getSchemaVersion(doc);
+  let record = doc;
+  const applied = [];
+
+  if (fromVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Document schemaVersion ${fromVersion} is newer than this code (${CURRENT_SCHEMA_VERSION})`);
+  }
+
+  for (let version = fromVersion; version < CURRENT_SCHEMA_VERSION; version++) {
+    const migration = MIGRATIONS.find(m => m.from === version);
+    if (!migration) {
+      throw new Error(`No migration from results schemaVersion ${version}`);
+    }
+    record = migration.migrate(record);
+    applied.push(`v${migration.from} → v${migration.to}: ${migration.description}`);
+  }
+
+  return { record, fromVersion, toVersion: getSchemaVersion(record), applied };
+}
+
+function toNumberOrNull(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const number = Number(value);
+  return isFinite(number) ? number : null;
+}
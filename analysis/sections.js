@@ -0,0 +1,213 @@
+/**
+ * Song Section Segmentation
+ *
+ * Splits a clip into sections (intro, groove, fill, outro) from the RMS energy every 0.1s
+ * and the onset times the shock value is computed from. Boundaries are
+ * the peaks of a novelty curve, the distance between the average (normalized) energy and
+ * onset density just before and just after each frame, so a boundary is wherever the
+ * playing gets clearly louder/quieter or busier/sparser.
+ *
+ * Each section is then labeled against the clip's typical ("groove") level:
+ *   - fill: short and much busier than the groove, or mostly made of the rapid onset runs
+ *     detectTempoSpikes() counts as fills
+ *   - intro / outro: the first / last section when it is quieter or sparser than the groove
+ *   - groove: everything else
+ *
+ * fillInHook tells whether a fill starts within the first HOOK_SECONDS, where it matters
+ * most for retention.
+ */
+
+export const SECTIONS_VERSION = 1;
+export const HOOK_SECONDS = 3;
+
+const FRAME_SECONDS = 0.1;            // spacing of energyValues
+const SILENCE_FLOOR_DB = -90;
+const SMOOTHING_SECONDS = 0.5;
+const DENSITY_WINDOW_SECONDS = 1;
+const NOVELTY_WINDOW_SECONDS = 1.5;
+const NOVELTY_THRESHOLD = 1;          // in standard deviations of the features
+const MIN_ENERGY_SPREAD_DB = 3;       // features are scaled by at least this spread, so a
+const MIN_DENSITY_SPREAD = 1;         // steady clip's small wobbles don't become boundaries
+const MIN_SECTION_SECONDS = 1.5;
+const MIN_CLIP_SECONDS = 4;
+
+const FILL_DENSITY_RATIO = 1.5;       // onset density against the groove
+const FILL_SPIKE_RATIO = 0.4;         // share of onset intervals that are fill-fast
+const FILL_INTERVAL_RATIO = 0.6;      // same threshold as detectTempoSpikes()
+const MAX_FILL_SECONDS = 6;
+const EDGE_ENERGY_DROP_DB = 3;        // intro/outro: this much quieter than the groove
+const EDGE_DENSITY_RATIO = 0.7;       // ... or this much sparser
+
+/**
+ * @param {number[]} onsetTimes - Onset times in seconds
+ * @param {number[]} energyValues - RMS levels in dB every 0.1s, silent windows included (-Infinity)
+ * @param {number} [duration] - Clip length in seconds (defaults to the length of energyValues)
+ * @returns {object|null} - { version, sections, firstFillAt, fillInHook, loudestSectionStart } where each section is
+ *                          { start, end, label, meanEnergyDb, relativeEnergyDb, onsetDensity, fillDensity }; null when
+ *                          the curves are missing or the clip is shorter than MIN_CLIP_SECONDS
+ */
+export function segmentSections(onsetTimes, energyValues, duration = null) {
+  if (!Array.isArray(onsetTimes) || !Array.isArray(energyValues)) return null;
+  const frameCount = energyValues.length;
+  const clipDuration = duration || frameCount * FRAME_SECONDS;
+  if (clipDuration < MIN_CLIP_SECONDS || frameCount < MIN_CLIP_SECONDS / FRAME_SECONDS) return null;
+
+  const onsets = [...onsetTimes].filter(time => time >= 0 && time <= clipDuration).sort((a, b) => a - b);
+
+  // Per-frame features: smoothed energy (averaged as power, so a beat's decay into silence
+  // doesn't read as a level swing) and onsets per second around the frame
+  const energy = smooth(energyValues.map(toPower), Math.round(SMOOTHING_SECONDS / FRAME_SECONDS)).map(toDb);
+  const density = energy.map((_, i) => {
+    const center = (i + 0.5) * FRAME_SECONDS;
+    return countBetween(onsets, center - DENSITY_WINDOW_SECONDS / 2, center + DENSITY_WINDOW_SECONDS / 2) / DENSITY_WINDOW_SECONDS;
+  });
+
+  const boundaries = findBoundaries([normalize(energy, MIN_ENERGY_SPREAD_DB), normalize(density, MIN_DENSITY_SPREAD)], frameCount)
+    .map(frame => frame * FRAME_SECONDS)
+    .filter(time => time < clipDuration - MIN_SECTION_SECONDS);
+
+  // Average interval over the clip, for the fill-fast runs
+  const intervals = onsets.slice(1).map((time, i) => time - onsets[i]).filter(interval => interval > 0);
+  const averageInterval = intervals.length > 0 ? intervals.reduce((sum, i) => sum + i, 0) / intervals.length : null;
+
+  const edges = [0, ...boundaries, clipDuration];
+  const sections = edges.slice(0, -1).map((start, i) => {
+    const end = edges[i + 1];
+    const fromFrame = Math.floor(start / FRAME_SECONDS);
+    const toFrame = Math.max(fromFrame + 1, Math.min(frameCount, Math.floor(end / FRAME_SECONDS)));
+    const inSection = onsets.filter(time => time >= start && time < end);
+    const sectionIntervals = inSection.slice(1).map((time, j) => time - inSection[j]);
+    const fastIntervals = averageInterval
+      ? sectionIntervals.filter(interval => interval < averageInterval * FILL_INTERVAL_RATIO).length
+      : 0;
+
+    return {
+      start,
+      end,
+      meanEnergyDb: meanDb(energyValues.slice(fromFrame, toFrame)),
+      onsetDensity: inSection.length / (end - start),
+      fillDensity: sectionIntervals.length > 0 ? fastIntervals / sectionIntervals.length : 0
+    };
+  });
+
+  // The groove level is the duration-weighted median over the sections
+  const grooveEnergy = weightedMedian(sections.map(s => [s.meanEnergyDb, s.end - s.start]));
+  const grooveDensity = weightedMedian(sections.map(s => [s.onsetDensity, s.end - s.start]));
+
+  const labeled = sections.map((section, i) => {
+    const length = section.end - section.start;
+    const relativeEnergyDb = section.meanEnergyDb - grooveEnergy;
+    const isQuietOrSparse = relativeEnergyDb <= -EDGE_ENERGY_DROP_DB || section.onsetDensity < grooveDensity * EDGE_DENSITY_RATIO;
+
+    let label = 'groove';
+    if (sections.length > 1 && length <= MAX_FILL_SECONDS &&
+        (section.onsetDensity >= grooveDensity * FILL_DENSITY_RATIO || section.fillDensity >= FILL_SPIKE_RATIO)) {
+      label = 'fill';
+    } else if (sections.length > 1 && i === 0 && isQuietOrSparse) {
+      label = 'intro';
+    } else if (sections.length > 1 && i === sections.length - 1 && isQuietOrSparse) {
+      label = 'outro';
+    }
+
+    return {
+      start: round(section.start, 100),
+      end: round(section.end, 100),
+      label,
+      meanEnergyDb: round(section.meanEnergyDb, 10),
+      relativeEnergyDb: round(relativeEnergyDb, 10),
+      onsetDensity: round(section.onsetDensity, 100),
+      fillDensity: round(section.fillDensity, 100)
+    };
+  });
+
+  const firstFill = labeled.find(section => section.label === 'fill');
+  const loudest = labeled.reduce((a, b) => (b.meanEnergyDb > a.meanEnergyDb ? b : a));
+
+  return {
+    version: SECTIONS_VERSION,
+    sections: labeled,
+    firstFillAt: firstFill ? firstFill.start : null,
+    fillInHook: !!firstFill && firstFill.start < HOOK_SECONDS,
+    loudestSectionStart: loudest.start
+  };
+}
+
+// Frames where the features change the most, strongest first, at least MIN_SECTION_SECONDS apart
+function findBoundaries(features, frameCount) {
+  const window = Math.round(NOVELTY_WINDOW_SECONDS / FRAME_SECONDS);
+  const minGap = Math.round(MIN_SECTION_SECONDS / FRAME_SECONDS);
+
+  const novelty = new Array(frameCount).fill(0);
+  for (let i = window; i <= frameCount - window; i++) {
+    let distance = 0;
+    features.forEach(feature => {
+      const before = mean(feature.slice(i - window, i));
+      const after = mean(feature.slice(i, i + window));
+      distance += (after - before) ** 2;
+    });
+    novelty[i] = Math.sqrt(distance);
+  }
+
+  const peaks = [];
+  for (let i = 1; i < frameCount - 1; i++) {
+    if (novelty[i] >= NOVELTY_THRESHOLD && novelty[i] >= novelty[i - 1] && novelty[i] > novelty[i + 1]) {
+      peaks.push(i);
+    }
+  }
+
+  const accepted = [];
+  peaks
+    .sort((a, b) => novelty[b] - novelty[a])
+    .forEach(frame => {
+      if (frame < minGap || frame > frameCount - minGap) return;
+      if (accepted.every(other => Math.abs(other - frame) >= minGap)) accepted.push(frame);
+    });
+  return accepted.sort((a, b) => a - b);
+}
+
+function normalize(values, minSpread) {
+  const average = mean(values);
+  const spread = Math.max(minSpread, Math.sqrt(mean(values.map(value => (value - average) ** 2))));
+  return values.map(value => (value - average) / spread);
+}
+
+function smooth(values, width) {
+  const half = Math.floor(width / 2);
+  return values.map((_, i) => mean(values.slice(Math.max(0, i - half), i + half + 1)));
+}
+
+// Level of the average power of dB values
+function meanDb(values) {
+  return toDb(mean(values.map(toPower)));
+}
+
+function toPower(db) {
+  return Number.isFinite(db) ? Math.pow(10, db / 10) : 0;
+}
+
+function toDb(power) {
+  return power > 0 ? Math.max(SILENCE_FLOOR_DB, 10 * Math.log10(power)) : SILENCE_FLOOR_DB;
+}
+
+function weightedMedian(pairs) {
+  const sorted = [...pairs].sort((a, b) => a[0] - b[0]);
+  const total = sorted.reduce((sum, [, weight]) => sum + weight, 0);
+  let accumulated = 0;
+  for (const [value, weight] of sorted) {
+    accumulated += weight;
+    if (accumulated >= total / 2) return value;
+  }
+  return sorted[sorted.length - 1][0];
+}
+
+function countBetween(sortedTimes, from, to) {
+  return sortedTimes.filter(time => time >= from && time < to).length;
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : 0;
+}
+
+function round(value, factor) {
+  return Math.round(value * factor) / factor;
+}
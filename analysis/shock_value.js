@@ -0,0 +1,344 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { flattenVideoRecord } from './video_record.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Shock Value
+ *
+ * Scores how surprising a performance sounds (0-100) from three components:
+ *   - tempoSpikes: fills, onset intervals much shorter than the clip's average
+ *   - volumeSpikes: accents, 0.1s energy levels far above the clip's average
+ *   - unusualPatterns: irregular timing, the spread and variety of the onset intervals
+ *
+ * The weights and detection thresholds come from a profile in shock_profiles.json;
+ * SHOCK_VALUE_PROFILE picks the one used at analysis time ("default" otherwise). Every
+ * tempo and volume spike is kept as an event in the breakdown, and the inputs are stored
+ * with the analysis (analysis.shockInputs) so any profile can be recomputed later without
+ * re-analyzing the audio.
+ */
+
+const ENERGY_FRAME_SECONDS = 0.1;     // spacing of energyValues
+const COMPONENTS = ['tempoSpikes', 'volumeSpikes', 'unusualPatterns'];
+const THRESHOLDS = ['tempoSpikeIntervalRatio', 'volumeSpikeStdDevs', 'unusualCv'];
+
+export const SHOCK_PROFILES = loadProfiles(path.join(__dirname, 'shock_profiles.json'));
+export const DEFAULT_SHOCK_PROFILE = process.env.SHOCK_VALUE_PROFILE || 'default';
+
+/**
+ * @param {string} name - Profile name in shock_profiles.json
+ * @returns {object} - { description, weights, fallbackWeights, thresholds }
+ */
+export function getShockProfile(name = DEFAULT_SHOCK_PROFILE) {
+  const profile = SHOCK_PROFILES[name];
+  if (!profile) {
+    throw new Error(`Unknown shock value profile "${name}" (available: ${Object.keys(SHOCK_PROFILES).join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * Scores tempo spikes, volume spikes and unusual patterns (shared by both backends)
+ * @param {object} inputs - { onsetTimes, energyValues } with onset times in seconds and RMS levels in dB every
+ *                          0.1s (silent windows as null/-Infinity, or left out when the source drops them)
+ * @param {string} profileName - Profile to score with
+ * @returns {object} - { tempoSpikes, volumeSpikes, unusualPatterns, shockValue, shockBreakdown } with the scores
+ *                     0-100 and shockBreakdown { profile, usedFallbackWeights, components, events } where each
+ *                     component is { score, weight, points } and events are
+ *                     [{ time, type: 'tempo_spike' | 'volume_spike', intensity }]; shockBreakdown is null with
+ *                     fewer than 3 onsets
+ */
+export function scoreShockValue({ onsetTimes, energyValues }, profileName = DEFAULT_SHOCK_PROFILE) {
+  const { weights, fallbackWeights, thresholds } = getShockProfile(profileName);
+  const onsets = (onsetTimes || []).filter(time => Number.isFinite(time));
+
+  if (onsets.length < 3) {
+    return {
+      tempoSpikes: 0,
+      volumeSpikes: 0,
+      unusualPatterns: 0,
+      shockValue: 0,
+      shockBreakdown: null
+    };
+  }
+
+  const frames = (energyValues || [])
+    .map((db, i) => ({ time: i * ENERGY_FRAME_SECONDS, db }))
+    .filter(frame => Number.isFinite(frame.db));
+
+  const tempo = safely(() => detectTempoSpikes(onsets, thresholds.tempoSpikeIntervalRatio), 'Tempo spike detection');
+  const volume = safely(() => detectVolumeSpikes(frames, thresholds.volumeSpikeStdDevs), 'Volume spike detection');
+  const unusual = safely(() => ({ score: detectUnusualPatterns(onsets, thresholds.unusualCv), events: [] }), 'Unusual pattern detection');
+
+  // Without an energy curve the profile's fallback weights apply (no volume component)
+  const usedFallbackWeights = frames.length < 3;
+  const activeWeights = usedFallbackWeights ? fallbackWeights : weights;
+
+  const scores = {
+    tempoSpikes: clampScore(tempo.score),
+    volumeSpikes: clampScore(volume.score),
+    unusualPatterns: clampScore(unusual.score)
+  };
+
+  const components = {};
+  COMPONENTS.forEach(component => {
+    components[component] = {
+      score: scores[component],
+      weight: activeWeights[component],
+      points: Math.round(scores[component] * activeWeights[component] * 10) / 10
+    };
+  });
+
+  const raw = { tempoSpikes: tempo.score, volumeSpikes: volume.score, unusualPatterns: unusual.score };
+  const shockValue = Math.min(100, Math.max(0, Math.round(
+    COMPONENTS.reduce((sum, component) => sum + raw[component] * activeWeights[component], 0)
+  )));
+
+  return {
+    ...scores,
+    shockValue,
+    shockBreakdown: {
+      profile: profileName,
+      usedFallbackWeights,
+      components,
+      events: [...tempo.events, ...volume.events].sort((a, b) => a.time - b.time)
+    }
+  };
+}
+
+/**
+ * Compact copy of the scoring inputs for storing with the analysis
+ * @param {number[]} onsetTimes - Onset times in seconds
+ * @param {number[]} energyValues - RMS levels in dB every 0.1s
+ * @returns {object} - { frameSeconds, onsetTimes, energyValues } with silent windows as null
+ */
+export function toShockInputs(onsetTimes, energyValues) {
+  return {
+    frameSeconds: ENERGY_FRAME_SECONDS,
+    onsetTimes: (onsetTimes || []).map(time => Math.round(time * 1000) / 1000),
+    energyValues: (energyValues || []).map(db => (Number.isFinite(db) ? Math.round(db * 10) / 10 : null))
+  };
+}
+
+/**
+ * Recomputes the shock value of stored videos under two profiles and compares how well
+ * each ranks the videos by views
+ * @param {object[]} records - Results documents (with analysis.shockInputs)
+ * @param {string} profileName - Profile to evaluate
+ * @param {string} baselineName - Profile to compare it with
+ * @returns {object} - { profile, baseline, videos, skipped, correlation } where videos are
+ *                     [{ s3Key, artistName, trackName, storedShockValue, baselineShockValue, profileShockValue,
+ *                     igViews, tiktokViews }], skipped lists the s3Keys without stored inputs and correlation
+ *                     holds the Spearman rank correlation of each profile's scores with igViews and tiktokViews
+ */
+export function compareShockProfiles(records, profileName, baselineName = DEFAULT_SHOCK_PROFILE) {
+  getShockProfile(profileName);
+  getShockProfile(baselineName);
+
+  const videos = [];
+  const skipped = [];
+  records.forEach(record => {
+    const inputs = record.analysis?.shockInputs;
+    if (!inputs) {
+      skipped.push(record.s3Key);
+      return;
+    }
+    const video = flattenVideoRecord(record);
+    videos.push({
+      s3Key: record.s3Key,
+      artistName: video.artistName,
+      trackName: video.trackName,
+      storedShockValue: record.analysis?.shockValue ?? null,
+      baselineShockValue: scoreShockValue(inputs, baselineName).shockValue,
+      profileShockValue: scoreShockValue(inputs, profileName).shockValue,
+      igViews: video.igViews ?? null,
+      tiktokViews: video.tiktokViews ?? null
+    });
+  });
+
+  const correlationWith = (scoreField) => {
+    const result = {};
+    ['igViews', 'tiktokViews'].forEach(metric => {
+      const pairs = videos.filter(video => video[metric] !== null && video[metric] !== undefined);
+      result[metric] = {
+        videos: pairs.length,
+        spearman: spearman(pairs.map(video => video[scoreField]), pairs.map(video => video[metric]))
+      };
+    });
+    return result;
+  };
+
+  return {
+    profile: profileName,
+    baseline: baselineName,
+    videos,
+    skipped,
+    correlation: {
+      [baselineName]: correlationWith('baselineShockValue'),
+      [profileName]: correlationWith('profileShockValue')
+    }
+  };
+}
+
+/**
+ * Detect tempo spikes (fills) - onset intervals much shorter than average
+ * @returns {object} - { score, events } with score 0-100 and one event per fast interval, at the onset ending it
+ */
+function detectTempoSpikes(onsets, intervalRatio) {
+  const intervals = [];
+  for (let i = 1; i < onsets.length; i++) {
+    const interval = onsets[i] - onsets[i - 1];
+    if (interval > 0 && isFinite(interval)) {
+      intervals.push({ interval, time: onsets[i] });
+    }
+  }
+
+  if (intervals.length < 2) return { score: 0, events: [] };
+
+  const avgInterval = intervals.reduce((sum, i) => sum + i.interval, 0) / intervals.length;
+  if (!isFinite(avgInterval) || avgInterval <= 0) return { score: 0, events: [] };
+
+  const events = [];
+  intervals.forEach(({ interval, time }) => {
+    if (interval < avgInterval * intervalRatio) {
+      // Intensity: how much faster than average (0-100 scale)
+      const intensity = Math.min(100, Math.max(0, ((avgInterval - interval) / avgInterval) * 200));
+      events.push({ time, type: 'tempo_spike', intensity });
+    }
+  });
+
+  if (events.length === 0) return { score: 0, events };
+
+  // Score based on spike frequency and intensity
+  const spikeFrequency = (events.length / intervals.length) * 100;
+  const avgIntensity = events.reduce((sum, event) => sum + event.intensity, 0) / events.length;
+  return { score: (spikeFrequency * 0.5) + (avgIntensity * 0.5), events: events.map(roundEvent) };
+}
+
+/**
+ * Detect volume spikes (accents) - energy levels far above average
+ * @returns {object} - { score, events } with score 0-100 and one event per loud 0.1s frame
+ */
+function detectVolumeSpikes(frames, stdDevs) {
+  if (frames.length < 3) return { score: 0, events: [] };
+
+  const avgEnergy = frames.reduce((sum, frame) => sum + frame.db, 0) / frames.length;
+  const variance = frames.reduce((sum, frame) => sum + Math.pow(frame.db - avgEnergy, 2), 0) / frames.length;
+  const stdDev = Math.sqrt(variance);
+
+  const events = [];
+  frames.forEach(({ time, db }) => {
+    if (db > avgEnergy + (stdDev * stdDevs)) {
+      // Intensity: how much louder than average
+      const intensity = Math.min(100, ((db - avgEnergy) / Math.abs(avgEnergy)) * 50);
+      events.push({ time, type: 'volume_spike', intensity });
+    }
+  });
+
+  // Score based on spike frequency and intensity
+  const spikeFrequency = (events.length / frames.length) * 100;
+  const avgIntensity = events.length > 0 ? events.reduce((sum, event) => sum + event.intensity, 0) / events.length : 0;
+  return { score: Math.min(100, (spikeFrequency * 0.5) + (avgIntensity * 0.5)), events: events.map(roundEvent) };
+}
+
+/**
+ * Detect unusual patterns (complex hits, odd timing) - high variance in timing
+ * Returns score 0-100
+ */
+function detectUnusualPatterns(onsets, cvThreshold) {
+  const intervals = [];
+  for (let i = 1; i < onsets.length; i++) {
+    const interval = onsets[i] - onsets[i - 1];
+    if (interval > 0 && isFinite(interval)) {
+      intervals.push(interval);
+    }
+  }
+
+  if (intervals.length < 2) return 0;
+
+  // Coefficient of variation (CV) = std dev / mean; higher CV = more irregular timing
+  const avgInterval = intervals.reduce((sum, i) => sum + i, 0) / intervals.length;
+  if (!isFinite(avgInterval) || avgInterval <= 0) return 0;
+
+  const variance = intervals.reduce((sum, i) => sum + Math.pow(i - avgInterval, 2), 0) / intervals.length;
+  const stdDev = Math.sqrt(variance);
+  if (!isFinite(stdDev) || stdDev <= 0) return 0;
+
+  const coefficientOfVariation = stdDev / avgInterval;
+  if (!isFinite(coefficientOfVariation)) return 0;
+
+  // Also check for polyrhythmic patterns (multiple interval lengths)
+  const uniqueIntervals = new Set(intervals.map(i => Math.round(i * 100) / 100));
+  const intervalDiversity = (uniqueIntervals.size / intervals.length) * 100;
+
+  // Score combines CV and diversity (0-100 scale); a CV at the threshold scores 100
+  const cvScore = Math.min(100, Math.max(0, (coefficientOfVariation / cvThreshold) * 100));
+  const diversityScore = Math.min(100, Math.max(0, intervalDiversity * 2));
+
+  return Math.min(100, Math.max(0, (cvScore * 0.6) + (diversityScore * 0.4)));
+}
+
+function safely(detect, label) {
+  try {
+    const result = detect();
+    return isFinite(result.score) ? result : { score: 0, events: result.events || [] };
+  } catch (error) {
+    console.log(`${label} failed:`, error.message);
+    return { score: 0, events: [] };
+  }
+}
+
+function clampScore(score) {
+  return Math.round(Math.max(0, Math.min(100, score)) * 10) / 10;
+}
+
+// Spearman rank correlation (average ranks for ties); null with fewer than 3 pairs or no variation
+function spearman(xs, ys) {
+  if (xs.length < 3) return null;
+  const rx = ranks(xs);
+  const ry = ranks(ys);
+  const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+  const mx = mean(rx);
+  const my = mean(ry);
+
+  let covariance = 0, vx = 0, vy = 0;
+  for (let i = 0; i < rx.length; i++) {
+    covariance += (rx[i] - mx) * (ry[i] - my);
+    vx += (rx[i] - mx) ** 2;
+    vy += (ry[i] - my) ** 2;
+  }
+  return vx > 0 && vy > 0 ? Math.round((covariance / Math.sqrt(vx * vy)) * 1000) / 1000 : null;
+}
+
+function ranks(values) {
+  const order = values.map((value, index) => ({ value, index })).sort((a, b) => a.value - b.value);
+  const result = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1].value === order[i].value) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) result[order[k].index] = rank;
+    i = j + 1;
+  }
+  return result;
+}
+
+function roundEvent(event) {
+  return { ...event, time: Math.round(event.time * 1000) / 1000, intensity: Math.round(event.intensity * 10) / 10 };
+}
+
+function loadProfiles(profilesPath) {
+  const profiles = JSON.parse(fs.readFileSync(profilesPath, 'utf8'));
+  Object.entries(profiles).forEach(([name, profile]) => {
+    const hasNumbers = (values, keys) => !!values && keys.every(key => typeof values[key] === 'number');
+    const complete = hasNumbers(profile.weights, COMPONENTS) &&
+      hasNumbers(profile.fallbackWeights, COMPONENTS) &&
+      hasNumbers(profile.thresholds, THRESHOLDS);
+    if (!complete) {
+      throw new Error(`Shock value profile "${name}" in ${profilesPath} needs weights, fallbackWeights and thresholds`);
+    }
+  });
+  return profiles;
+}
@@ -0,0 +1,143 @@
+import { artistNameOf, trackNameOf } from './video_record.js';
+
+/**
+ * Song Projects
+ *
+ * Several takes and camera angles of the same cover are separate uploads, but they are
+ * one piece of content: comparing them against each other in successRank says more about
+ * which take was posted first than about what works. A project groups those videos so
+ * they can be ranked and reported as one unit.
+ *
+ * Videos belong to the same song when they share a Spotify trackId, or (for Originals and
+ * older uploads without Spotify data) the same artist and track name ignoring case,
+ * punctuation and "feat." credits.
+ */
+
+/**
+ * @param {object} record - Results document or catalog entry
+ * @returns {string|null} - Key shared by every take of the same song, or null if the track is unknown
+ */
+export function projectKeyOf(record) {
+  if (record.trackId) {
+    return `track:${record.trackId}`;
+  }
+
+  const artist = normalizeName(artistNameOf(record));
+  const track = normalizeName(trackNameOf(record));
+  if (!artist || !track) {
+    return null;
+  }
+  return `name:${artist}|${track}`;
+}
+
+/**
+ * Describes the song a set of videos share, for naming a new project
+ * @param {object[]} records - Results documents of the project's videos
+ * @returns {object} - { name, trackId, artistName, trackName } taken from the first video that has them
+ */
+export function projectIdentityOf(records) {
+  const source = records.find(r => r.trackId) || records.find(r => trackNameOf(r)) || records[0] || {};
+  const artistName = artistNameOf(source);
+  const trackName = trackNameOf(source);
+
+  return {
+    name: [artistName, trackName].filter(Boolean).join(' - ') || 'Untitled project',
+    trackId: source.trackId || null,
+    artistName,
+    trackName
+  };
+}
+
+/**
+ * Suggests projects for videos that aren't in one yet
+ * @param {object[]} records - All results documents (catalog entries)
+ * @param {object[]} projects - Existing projects ({ id, name, s3Keys, ... })
+ * @returns {object[]} - Suggestions, largest first. { action: 'add', projectId, projectName, s3Keys } when
+ *                       the videos match an existing project, otherwise { action: 'create', name, trackId,
+ *                       artistName, trackName, s3Keys } for two or more unassigned takes of the same song
+ */
+export function suggestProjects(records, projects) {
+  const byKey = new Map(records.map(r => [r.s3Key, r]));
+  const assigned = new Set(projects.flatMap(p => p.s3Keys));
+
+  // The song each existing project is about, from its videos
+  const projectsByKey = new Map();
+  projects.forEach(project => {
+    project.s3Keys.forEach(s3Key => {
+      const record = byKey.get(s3Key);
+      const key = record && projectKeyOf(record);
+      if (key && !projectsByKey.has(key)) projectsByKey.set(key, project);
+    });
+  });
+
+  const unassigned = new Map();
+  records.forEach(record => {
+    if (assigned.has(record.s3Key)) return;
+    const key = projectKeyOf(record);
+    if (!key) return;
+    if (!unassigned.has(key)) unassigned.set(key, []);
+    unassigned.get(key).push(record);
+  });
+
+  const suggestions = [];
+  unassigned.forEach((group, key) => {
+    const s3Keys = group.map(r => r.s3Key).sort();
+    const project = projectsByKey.get(key);
+
+    if (project) {
+      suggestions.push({ action: 'add', projectId: project.id, projectName: project.name, s3Keys });
+    } else if (group.length > 1) {
+      suggestions.push({ action: 'create', ...projectIdentityOf(group), s3Keys });
+    }
+  });
+
+  return suggestions.sort((a, b) => b.s3Keys.length - a.s3Keys.length);
+}
+
+/**
+ * Aggregates the metrics of a project's videos
+ * @param {object[]} videos - Flattened videos (flattenVideoRecord), optionally with successScore
+ * @returns {object} - Summed views/likes per platform, overall engagement rate and the best take
+ */
+export function aggregateProjectMetrics(videos) {
+  const sum = (field) => videos.reduce((total, v) => total + (v[field] || 0), 0);
+
+  const igViews = sum('igViews');
+  const igLikes = sum('igLikes');
+  const tiktokViews = sum('tiktokViews');
+  const tiktokLikes = sum('tiktokLikes');
+  const totalViews = igViews + tiktokViews;
+  const totalLikes = igLikes + tiktokLikes;
+
+  const scored = videos.filter(v => v.successScore !== null && v.successScore !== undefined);
+  const best = scored.reduce((top, v) => (!top || v.successScore > top.successScore ? v : top), null);
+
+  return {
+    videoCount: videos.length,
+    igViews,
+    igLikes,
+    tiktokViews,
+    tiktokLikes,
+    totalViews,
+    totalLikes,
+    engagementRate: totalViews > 0 ? Math.round((totalLikes / totalViews) * 10000) / 10000 : null,
+    bestS3Key: best ? best.s3Key : null,
+    bestSuccessScore: best ? best.successScore : null,
+    averageSuccessScore: scored.length > 0
+      ? Math.round(scored.reduce((total, v) => total + v.successScore, 0) / scored.length)
+      : null
+  };
+}
+
+// Lowercase, drop "(feat. ...)"/"- Remastered" style suffixes and punctuation
+function normalizeName(name) {
+  if (!name) return '';
+  return String(name)
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\s*[([].*?(feat\.?|ft\.?|featuring|remaster(ed)?|version|edit)\b.*?[)\]]/g, '')
+    .replace(/\s+-\s+.*\b(remaster(ed)?|version|edit|mix)\b.*$/, '')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
@@ -0,0 +1,107 @@
+import { powerSpectrum } from './dsp.js';
+
+/**
+ * Spectral / Timbral Descriptors
+ *
+ * Describes what the mix sounds like rather than what is played, so a bright,
+ * cymbal-heavy clip and a dark tom groove at the same tempo can be told apart:
+ *   - centroidHz: center of mass of the spectrum (brightness)
+ *   - rolloffHz: frequency below which ROLLOFF_SHARE of the energy lies
+ *   - flatness: geometric over arithmetic mean of the power spectrum, 0 (tonal) to 1 (noise)
+ *   - zeroCrossingRate: sign changes per sample, high for hi-hats and noisy recordings
+ *   - bandEnergy: share of the energy below LOW_MID_HZ, up to MID_HIGH_HZ and above
+ *
+ * Frame descriptors are averaged over the frames that aren't silent; the band shares are
+ * taken over the summed spectrum of the whole clip.
+ */
+
+export const SPECTRAL_VERSION = 1;
+
+const FRAME_SIZE = 2048;
+const HOP_SIZE = 1024;
+const SILENT_FRAME_DB = -60;
+const ROLLOFF_SHARE = 0.85;
+const LOW_MID_HZ = 250;               // kick, toms and bass below
+const MID_HIGH_HZ = 4000;             // cymbals, hi-hats and snare crack above
+
+/**
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @returns {object|null} - { version, centroidHz, rolloffHz, flatness, zeroCrossingRate, bandEnergy: { low, mid, high } }
+ *                          or null when every frame is silent
+ */
+export function computeSpectralFeatures(samples, sampleRate) {
+  const binHz = sampleRate / FRAME_SIZE;
+  const lowBin = Math.round(LOW_MID_HZ / binHz);
+  const highBin = Math.round(MID_HIGH_HZ / binHz);
+  const silentPower = Math.pow(10, SILENT_FRAME_DB / 10);
+
+  const totals = new Float64Array(FRAME_SIZE / 2 + 1);
+  let frames = 0;
+  let centroidSum = 0;
+  let rolloffSum = 0;
+  let flatnessSum = 0;
+  let zeroCrossingSum = 0;
+
+  for (let start = 0; start + FRAME_SIZE <= samples.length; start += HOP_SIZE) {
+    let sumSquares = 0;
+    let crossings = 0;
+    for (let i = start; i < start + FRAME_SIZE; i++) {
+      sumSquares += samples[i] * samples[i];
+      if (i > start && (samples[i] >= 0) !== (samples[i - 1] >= 0)) crossings++;
+    }
+    if (sumSquares / FRAME_SIZE < silentPower) continue;
+
+    const power = powerSpectrum(samples, start, FRAME_SIZE);
+
+    // The DC bin says nothing about timbre
+    let total = 0;
+    let weighted = 0;
+    let logSum = 0;
+    for (let k = 1; k < power.length; k++) {
+      total += power[k];
+      weighted += k * binHz * power[k];
+      logSum += Math.log(power[k] + 1e-20);
+      totals[k] += power[k];
+    }
+    if (total <= 0) continue;
+
+    let rolloffBin = 1;
+    for (let cumulative = 0; rolloffBin < power.length; rolloffBin++) {
+      cumulative += power[rolloffBin];
+      if (cumulative >= ROLLOFF_SHARE * total) break;
+    }
+
+    const bins = power.length - 1;
+    centroidSum += weighted / total;
+    rolloffSum += rolloffBin * binHz;
+    flatnessSum += Math.exp(logSum / bins) / (total / bins);
+    zeroCrossingSum += crossings / (FRAME_SIZE - 1);
+    frames++;
+  }
+
+  if (frames === 0) return null;
+
+  const bandSum = (from, to) => {
+    let sum = 0;
+    for (let k = from; k < to; k++) sum += totals[k];
+    return sum;
+  };
+  const low = bandSum(1, lowBin);
+  const mid = bandSum(lowBin, highBin);
+  const high = bandSum(highBin, totals.length);
+  const all = low + mid + high;
+
+  return {
+    version: SPECTRAL_VERSION,
+    centroidHz: Math.round(centroidSum / frames),
+    rolloffHz: Math.round(rolloffSum / frames),
+    flatness: Math.round((flatnessSum / frames) * 1000) / 1000,
+    zeroCrossingRate: Math.round((zeroCrossingSum / frames) * 1000) / 1000,
+    bandEnergy: {
+      low: Math.round((low / all) * 1000) / 1000,
+      mid: Math.round((mid / all) * 1000) / 1000,
+      high: Math.round((high / all) * 1000) / 1000
+    }
+  };
+}
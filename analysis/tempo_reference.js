@@ -0,0 +1,56 @@
+/**
+ * Tempo vs. the Original Recording
+ *
+ * Compares the BPM detected in a cover with the tempo Spotify reports for the original
+ * track (spotify.audio_features.tempo). Beat trackers on both sides often land on half or
+ * double the tempo (and on 3:2 for songs in 3/4 or 6/8), so the detected tempo is first
+ * moved to the metrical level closest to the reference before taking the difference.
+ *
+ * A cover counts as "faster" or "slower" once it is more than NOTICEABLE_DELTA_PERCENT
+ * away from the record; anything closer is "on_tempo".
+ */
+
+const NOTICEABLE_DELTA_PERCENT = 3;
+
+/**
+ * @param {number|null} bpm - Detected tempo of the video (analysis.bpm)
+ * @param {object|null} audioFeatures - spotify.audio_features of the original ({ tempo, time_signature })
+ * @returns {object|null} - { referenceBpm, alignedBpm, ratio, deltaBpm, deltaPercent, verdict } where ratio is
+ *                          the factor applied to bpm ("1:1", "2:1" = detected at half time, ...) and verdict is
+ *                          "faster", "slower" or "on_tempo"; null if either tempo is unknown
+ */
+export function compareToReferenceTempo(bpm, audioFeatures) {
+  const referenceBpm = audioFeatures?.tempo;
+  if (!bpm || bpm <= 0 || !referenceBpm || referenceBpm <= 0) {
+    return null;
+  }
+
+  // Metrical levels a detection can be off by: [factor applied to bpm, label]
+  const levels = [[1, '1:1'], [2, '2:1'], [0.5, '1:2']];
+  if (audioFeatures.time_signature === 3 || audioFeatures.time_signature === 6) {
+    levels.push([1.5, '3:2'], [2 / 3, '2:3']);
+  }
+
+  const [factor, ratio] = levels.reduce((best, level) =>
+    Math.abs(Math.log(bpm * level[0] / referenceBpm)) < Math.abs(Math.log(bpm * best[0] / referenceBpm)) ? level : best
+  );
+
+  const alignedBpm = bpm * factor;
+  const deltaPercent = ((alignedBpm - referenceBpm) / referenceBpm) * 100;
+
+  let verdict = 'on_tempo';
+  if (deltaPercent > NOTICEABLE_DELTA_PERCENT) {
+    verdict = 'faster';
+  } else if (deltaPercent < -NOTICEABLE_DELTA_PERCENT) {
+    verdict = 'slower';
+  }
+
+  return {
+    referenceBpm: Math.round(referenceBpm * 10) / 10,
+    alignedBpm: Math.round(alignedBpm * 10) / 10,
+    ratio,
+    deltaBpm: Math.round((alignedBpm - referenceBpm) * 10) / 10,
+    deltaPercent: Math.round(deltaPercent * 10) / 10,
+    verdict
+  };
+}
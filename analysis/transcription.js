@@ -0,0 +1,269 @@
+/**
+ * Drum Transcription Export
+ *
+ * Turns the classified drum hits of a video (analysis.drumHits, see drum_hits.js) into a
+ * simple drum part: hits are quantized to a 16th-note grid at the detected BPM and written
+ * as a General MIDI drum track (.mid) or as percussion notation (.musicxml) with the hands
+ * (snare, hi-hat, toms, cymbals; stems up) and the kick (stems down) in separate voices.
+ *
+ * The grid phase is chosen to minimize the total quantization error, and the first hit is
+ * taken as the downbeat of bar 1 (clips are usually cut to start on the one). Everything
+ * is 4/4.
+ */
+
+const STEPS_PER_BEAT = 4;      // 16th notes
+const STEPS_PER_MEASURE = 16;  // 4/4
+const PHASE_CANDIDATES = 32;
+const MIDI_TICKS_PER_BEAT = 480;
+const ACCENT_VELOCITY = 0.85;
+
+// General MIDI percussion notes and where they sit on a percussion staff
+const DRUMS = {
+  kick: { name: 'Bass Drum', midi: 36, step: 'F', octave: 4, voice: 2 },
+  snare: { name: 'Snare Drum', midi: 38, step: 'C', octave: 5, voice: 1 },
+  hihat: { name: 'Closed Hi-Hat', midi: 42, step: 'G', octave: 5, voice: 1, notehead: 'x' },
+  tom: { name: 'Low Floor Tom', midi: 41, step: 'A', octave: 4, voice: 1 },
+  cymbal: { name: 'Crash Cymbal', midi: 49, step: 'A', octave: 5, voice: 1, notehead: 'x' }
+};
+
+// Note values representable without ties, in 16ths
+const NOTE_VALUES = [
+  { steps: 16, type: 'whole', dot: false },
+  { steps: 12, type: 'half', dot: true },
+  { steps: 8, type: 'half', dot: false },
+  { steps: 6, type: 'quarter', dot: true },
+  { steps: 4, type: 'quarter', dot: false },
+  { steps: 3, type: 'eighth', dot: true },
+  { steps: 2, type: 'eighth', dot: false },
+  { steps: 1, type: '16th', dot: false }
+];
+
+/**
+ * Quantizes drum hits to a 16th-note grid
+ * @param {object[]} hits - [{ time, type, velocity }] from classifyDrumHits()
+ * @param {number} bpm - Tempo of the grid
+ * @returns {object} - { bpm, offsetSeconds, measures, notes: [{ step, type, velocity }] } where step counts
+ *                     16ths from the start of the first measure and offsetSeconds is where that measure starts
+ */
+export function quantizeHits(hits, bpm) {
+  if (!bpm || bpm <= 0) {
+    throw new Error('A tempo is required to quantize the transcription');
+  }
+
+  const stepSeconds = 60 / bpm / STEPS_PER_BEAT;
+  const known = hits.filter(hit => DRUMS[hit.type]);
+  if (known.length === 0) {
+    return { bpm, offsetSeconds: 0, measures: 0, notes: [] };
+  }
+
+  // Grid phase that puts the hits closest to grid lines
+  let phase = 0;
+  let bestError = Infinity;
+  for (let c = 0; c < PHASE_CANDIDATES; c++) {
+    const candidate = (c / PHASE_CANDIDATES) * stepSeconds;
+    const error = known.reduce((sum, hit) => {
+      const position = (hit.time - candidate) / stepSeconds;
+      return sum + Math.pow(position - Math.round(position), 2);
+    }, 0);
+    if (error < bestError) {
+      bestError = error;
+      phase = candidate;
+    }
+  }
+
+  const stepOf = (time) => Math.round((time - phase) / stepSeconds);
+  const firstMeasureStep = Math.min(...known.map(hit => stepOf(hit.time)));
+
+  // One note per drum per step; the louder hit wins
+  const byStepAndType = new Map();
+  known.forEach(hit => {
+    const step = stepOf(hit.time) - firstMeasureStep;
+    const key = `${step}:${hit.type}`;
+    const velocity = hit.velocity ?? 0.8;
+    if (!byStepAndType.has(key) || byStepAndType.get(key).velocity < velocity) {
+      byStepAndType.set(key, { step, type: hit.type, velocity });
+    }
+  });
+
+  const notes = [...byStepAndType.values()].sort((a, b) => a.step - b.step);
+  return {
+    bpm,
+    offsetSeconds: Math.round((phase + firstMeasureStep * stepSeconds) * 1000) / 1000,
+    measures: Math.floor(notes[notes.length - 1].step / STEPS_PER_MEASURE) + 1,
+    notes
+  };
+}
+
+/**
+ * Standard MIDI file (format 0) with one drum track on channel 10
+ * @param {object} transcription - Result of quantizeHits()
+ * @param {object} options - { title }
+ * @returns {Buffer}
+ */
+export function toMidi({ bpm, notes }, { title = 'Drums' } = {}) {
+  const ticksPerStep = MIDI_TICKS_PER_BEAT / STEPS_PER_BEAT;
+  const events = [];
+
+  notes.forEach(note => {
+    const tick = note.step * ticksPerStep;
+    const key = DRUMS[note.type].midi;
+    const velocity = Math.max(1, Math.min(127, Math.round(20 + note.velocity * 107)));
+    events.push({ tick, order: 1, bytes: [0x99, key, velocity] });
+    events.push({ tick: tick + ticksPerStep, order: 0, bytes: [0x89, key, 0] });
+  });
+  // Note-offs before note-ons on the same tick so repeated notes retrigger
+  events.sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+  const microsecondsPerBeat = Math.round(60000000 / bpm);
+  const nameBytes = [...Buffer.from(title, 'utf-8')].slice(0, 127);
+  const track = [
+    0x00, 0xff, 0x03, nameBytes.length, ...nameBytes,
+    0x00, 0xff, 0x51, 0x03, (microsecondsPerBeat >> 16) & 0xff, (microsecondsPerBeat >> 8) & 0xff, microsecondsPerBeat & 0xff,
+    0x00, 0xff, 0x58, 0x04, 0x04, 0x02, 0x18, 0x08
+  ];
+
+  let lastTick = 0;
+  events.forEach(event => {
+    track.push(...variableLength(event.tick - lastTick), ...event.bytes);
+    lastTick = event.tick;
+  });
+  track.push(0x00, 0xff, 0x2f, 0x00);
+
+  const header = Buffer.alloc(14);
+  header.write('MThd', 0, 'ascii');
+  header.writeUInt32BE(6, 4);
+  header.writeUInt16BE(0, 8); // format 0
+  header.writeUInt16BE(1, 10); // one track
+  header.writeUInt16BE(MIDI_TICKS_PER_BEAT, 12);
+
+  const trackHeader = Buffer.alloc(8);
+  trackHeader.write('MTrk', 0, 'ascii');
+  trackHeader.writeUInt32BE(track.length, 4);
+
+  return Buffer.concat([header, trackHeader, Buffer.from(track)]);
+}
+
+/**
+ * MusicXML (partwise) percussion part
+ * @param {object} transcription - Result of quantizeHits()
+ * @param {object} options - { title, artist }
+ * @returns {string}
+ */
+export function toMusicXml({ bpm, measures, notes }, { title = 'Drums', artist = null } = {}) {
+  const instruments = Object.entries(DRUMS);
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8" standalone="no"?>',
+    '<!DOCTYPE score-partwise PUBLIC "-//Recordare//DTD MusicXML 4.0 Partwise//EN" "http://www.musicxml.org/dtds/partwise.dtd">',
+    '<score-partwise version="4.0">',
+    `  <work><work-title>${escapeXml(title)}</work-title></work>`,
+    '  <identification>',
+    ...(artist ? [`    <creator type="composer">${escapeXml(artist)}</creator>`] : []),
+    '    <encoding><software>DrumAnalytics</software></encoding>',
+    '  </identification>',
+    '  <part-list>',
+    '    <score-part id="P1">',
+    '      <part-name>Drums</part-name>',
+    ...instruments.map(([type, drum]) => `      <score-instrument id="P1-${type}"><instrument-name>${drum.name}</instrument-name></score-instrument>`),
+    ...instruments.map(([type, drum]) =>
+      `      <midi-instrument id="P1-${type}"><midi-channel>10</midi-channel><midi-unpitched>${drum.midi + 1}</midi-unpitched></midi-instrument>`),
+    '    </score-part>',
+    '  </part-list>',
+    '  <part id="P1">'
+  ];
+
+  const measureCount = Math.max(1, measures);
+  for (let m = 0; m < measureCount; m++) {
+    lines.push(`    <measure number="${m + 1}">`);
+    if (m === 0) {
+      const tempo = Math.round(bpm * 10) / 10;
+      lines.push(
+        `      <attributes><divisions>${STEPS_PER_BEAT}</divisions><key><fifths>0</fifths></key><time><beats>4</beats><beat-type>4</beat-type></time><clef><sign>percussion</sign></clef></attributes>`,
+        `      <direction placement="above"><direction-type><metronome><beat-unit>quarter</beat-unit><per-minute>${tempo}</per-minute></metronome></direction-type><sound tempo="${tempo}"/></direction>`
+      );
+    }
+
+    const inMeasure = notes.filter(note => Math.floor(note.step / STEPS_PER_MEASURE) === m);
+    [1, 2].forEach((voice, index) => {
+      if (index > 0) {
+        lines.push(`      <backup><duration>${STEPS_PER_MEASURE}</duration></backup>`);
+      }
+      const voiceNotes = inMeasure.filter(note => DRUMS[note.type].voice === voice);
+      lines.push(...voiceXml(voiceNotes, voice, m * STEPS_PER_MEASURE));
+    });
+
+    lines.push('    </measure>');
+  }
+
+  lines.push('  </part>', '</score-partwise>', '');
+  return lines.join('\n');
+}
+
+// Notes and rests for one voice of one measure; each chord lasts until the voice's next
+// chord (as a single untied value), and whatever is left over becomes rests
+function voiceXml(voiceNotes, voice, measureStart) {
+  if (voiceNotes.length === 0) {
+    return [`      <note><rest measure="yes"/><duration>${STEPS_PER_MEASURE}</duration><voice>${voice}</voice></note>`];
+  }
+
+  const chords = new Map();
+  voiceNotes.forEach(note => {
+    const position = note.step - measureStart;
+    if (!chords.has(position)) chords.set(position, []);
+    chords.get(position).push(note);
+  });
+  const positions = [...chords.keys()].sort((a, b) => a - b);
+
+  const lines = [];
+  const rests = (length) => {
+    while (length > 0) {
+      const value = NOTE_VALUES.find(v => v.steps <= length);
+      lines.push(`      <note><rest/><duration>${value.steps}</duration><voice>${voice}</voice><type>${value.type}</type>${value.dot ? '<dot/>' : ''}</note>`);
+      length -= value.steps;
+    }
+  };
+
+  rests(positions[0]);
+  positions.forEach((position, i) => {
+    const gap = (i + 1 < positions.length ? positions[i + 1] : STEPS_PER_MEASURE) - position;
+    const value = NOTE_VALUES.find(v => v.steps <= gap);
+    const stem = voice === 1 ? 'up' : 'down';
+
+    chords.get(position).forEach((note, n) => {
+      const drum = DRUMS[note.type];
+      lines.push([
+        '      <note>',
+        n > 0 ? '<chord/>' : '',
+        `<unpitched><display-step>${drum.step}</display-step><display-octave>${drum.octave}</display-octave></unpitched>`,
+        `<duration>${value.steps}</duration>`,
+        `<instrument id="P1-${note.type}"/>`,
+        `<voice>${voice}</voice>`,
+        `<type>${value.type}</type>`,
+        value.dot ? '<dot/>' : '',
+        `<stem>${stem}</stem>`,
+        drum.notehead ? `<notehead>${drum.notehead}</notehead>` : '',
+        note.velocity >= ACCENT_VELOCITY ? '<notations><articulations><accent/></articulations></notations>' : '',
+        '</note>'
+      ].join(''));
+    });
+
+    rests(gap - value.steps);
+  });
+
+  return lines;
+}
+
+function variableLength(value) {
+  const bytes = [value & 0x7f];
+  while ((value >>= 7) > 0) {
+    bytes.unshift((value & 0x7f) | 0x80);
+  }
+  return bytes;
+}
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
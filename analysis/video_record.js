@@ -0,0 +1,399 @@
+import { migrateRecord } from './results_schema.js';
+import { compareToReferenceTempo } from './tempo_reference.js';
+import { keyName } from './key_detection.js';
+
+/**
+ * Video Record Model
+ *
+ * One place for everything that reads or writes a results/{s3Key}.json document:
+ * loading it from storage, resolving the latest social metrics, flattening it into
+ * the shape the routes and performance analysis use, and serializing it back.
+ *
+ * To add a new metric (e.g. comments or saves), add it to METRIC_FIELDS; to expose a
+ * new analysis value, add it to flattenVideoRecord(). Changes to the stored document
+ * shape also need a schema version and migration in results_schema.js.
+ */
+
+/**
+ * Manually entered social media metrics, with how each value is stored
+ * ('count' values are coerced to numbers, 'text' values are stored as-is)
+ */
+export const METRIC_FIELDS = {
+  igHashtags: 'text',
+  tiktokHashtags: 'text',
+  igViews: 'count',
+  igLikes: 'count',
+  tiktokViews: 'count',
+  tiktokLikes: 'count',
+  postedDate: 'text'
+};
+
+// Keep at most this many metrics history entries per video
+const MAX_METRICS_HISTORY = 50;
+
+// Keep at most this many superseded analysis blocks per video
+const MAX_ANALYSIS_HISTORY = 10;
+
+export function resultsKeyFor(s3Key) {
+  return `results/${s3Key}.json`;
+}
+
+/**
+ * Loads a results document from storage
+ * @param {object} storage - Storage backend from createStorage()
+ * @param {string} s3Key - Video key
+ * @returns {Promise<object>} - Normalized results document (rejects if it doesn't exist)
+ */
+export async function loadVideoRecord(storage, s3Key) {
+  const metadata = await storage.getJson(resultsKeyFor(s3Key));
+  return normalizeVideoRecord(metadata, s3Key);
+}
+
+/**
+ * Writes a results document back to storage
+ */
+export async function saveVideoRecord(storage, metadata) {
+  await storage.put(resultsKeyFor(metadata.s3Key), serializeVideoRecord(metadata), {
+    contentType: 'application/json'
+  });
+}
+
+/**
+ * Migrates a document to the current schema version (in memory only; run
+ * `npm run migrate-results` to rewrite stored documents) so callers can rely on its fields
+ * @param {object} metadata - Parsed results document
+ * @param {string} s3Key - Video key (used when the document predates the s3Key field)
+ */
+export function normalizeVideoRecord(metadata, s3Key = null) {
+  const { record } = migrateRecord({
+    ...metadata,
+    s3Key: metadata.s3Key || metadata.video_key || s3Key
+  });
+  return {
+    ...record,
+    snapshotKey: record.snapshotKey || null,
+    metricsHistory: record.metricsHistory || []
+  };
+}
+
+export function serializeVideoRecord(metadata) {
+  return JSON.stringify(metadata, null, 2);
+}
+
+export function artistNameOf(metadata) {
+  return metadata.artistName || metadata.spotify?.artist?.name || null;
+}
+
+export function trackNameOf(metadata) {
+  return metadata.trackName || metadata.spotify?.track?.name || null;
+}
+
+/**
+ * Audio features block for a video, in Spotify's audio_features shape plus a source field:
+ * Spotify's own values ('spotify') when the track has them, otherwise what the local analysis
+ * measured ('local': key/mode from key_detection.js, tempo and duration of the clip itself, the
+ * perceptual features Spotify estimates null). Spotify reports key -1 when it detected none; the
+ * local key/mode fill in then, and key_source says which of the two the key came from. Returns
+ * null when neither is available.
+ */
+export function audioFeaturesOf(metadata) {
+  const spotifyFeatures = metadata.spotify?.audio_features;
+  const analysis = metadata.analysis || {};
+  const localKey = analysis.key && analysis.key.key !== null ? analysis.key : null;
+
+  if (spotifyFeatures) {
+    const spotifyHasKey = spotifyFeatures.key !== null && spotifyFeatures.key !== undefined && spotifyFeatures.key >= 0;
+    if (!spotifyHasKey && localKey) {
+      return {
+        ...spotifyFeatures,
+        key: localKey.key,
+        mode: localKey.mode,
+        key_confidence: localKey.confidence,
+        key_source: 'local',
+        source: 'spotify'
+      };
+    }
+    return { ...spotifyFeatures, key_source: spotifyHasKey ? 'spotify' : null, source: 'spotify' };
+  }
+
+  if (!localKey) return null;
+
+  return {
+    danceability: null,
+    energy: null,
+    key: localKey.key,
+    loudness: null,
+    mode: localKey.mode,
+    speechiness: null,
+    acousticness: null,
+    instrumentalness: null,
+    liveness: null,
+    valence: null,
+    tempo: analysis.bpm || null,
+    time_signature: null,
+    duration_ms: analysis.duration ? Math.round(analysis.duration * 1000) : null,
+    key_confidence: localKey.confidence,
+    key_source: 'local',
+    source: 'local'
+  };
+}
+
+/**
+ * Returns the most recent metrics for a video
+ * The top-level fields are always updated alongside metricsHistory, but if the latest
+ * history entry is newer (shouldn't happen) its values win as a safety check.
+ */
+export function getLatestMetrics(metadata) {
+  const latestMetrics = {};
+  Object.keys(METRIC_FIELDS).forEach(field => {
+    latestMetrics[field] = metadata[field] || null;
+  });
+  latestMetrics.metricsUpdatedAt = metadata.metricsUpdatedAt || null;
+
+  const mostRecentHistory = metadata.metricsHistory && metadata.metricsHistory[0];
+  if (mostRecentHistory && mostRecentHistory.current && mostRecentHistory.timestamp) {
+    const historyTimestamp = new Date(mostRecentHistory.timestamp);
+    const metadataTimestamp = metadata.metricsUpdatedAt ? new Date(metadata.metricsUpdatedAt) : null;
+
+    if (!metadataTimestamp || historyTimestamp > metadataTimestamp) {
+      Object.keys(METRIC_FIELDS).forEach(field => {
+        if (mostRecentHistory.current[field] !== undefined) {
+          latestMetrics[field] = mostRecentHistory.current[field];
+        }
+      });
+      latestMetrics.metricsUpdatedAt = mostRecentHistory.timestamp;
+    }
+  }
+
+  return latestMetrics;
+}
+
+/**
+ * Applies a metrics update to a results document, recording a history entry if anything changed
+ * @param {object} metadata - Results document (modified in place)
+ * @param {object} input - New metric values (e.g. a PUT request body)
+ * @returns {object} - { changes, historyEntry } (historyEntry is null when nothing changed)
+ */
+export function applyMetricsUpdate(metadata, input) {
+  const toStored = (field, value) => {
+    if (value === undefined || value === null) return null;
+    if (METRIC_FIELDS[field] === 'count') return Number(value);
+    return value || null;
+  };
+
+  // Capture previous and new values for history tracking
+  const previous = {};
+  const current = {};
+  const changes = {};
+  Object.keys(METRIC_FIELDS).forEach(field => {
+    previous[field] = toStored(field, metadata[field]);
+    current[field] = toStored(field, input[field]);
+    if (previous[field] !== current[field]) {
+      changes[field] = { from: previous[field], to: current[field] };
+    }
+  });
+
+  if (!metadata.metricsHistory) {
+    metadata.metricsHistory = [];
+  }
+
+  // Only create history entry if there are actual changes
+  let historyEntry = null;
+  if (Object.keys(changes).length > 0) {
+    historyEntry = {
+      timestamp: new Date().toISOString(),
+      previous,
+      current,
+      changes
+    };
+
+    // Add to history (most recent first), limited to prevent unbounded growth
+    metadata.metricsHistory.unshift(historyEntry);
+    metadata.metricsHistory = metadata.metricsHistory.slice(0, MAX_METRICS_HISTORY);
+  }
+
+  Object.assign(metadata, current);
+  metadata.metricsUpdatedAt = new Date().toISOString();
+
+  return { changes, historyEntry };
+}
+
+/**
+ * Replaces the analysis block with a fresh one, keeping the previous block in analysisHistory
+ * @param {object} metadata - Results document (modified in place)
+ * @param {object} analysis - New analyzeVideo() result
+ * @param {number} analysisVersion - ANALYSIS_VERSION that produced it
+ * @returns {object} - The history entry for the replaced analysis
+ */
+export function applyReanalysis(metadata, analysis, analysisVersion) {
+  const now = new Date().toISOString();
+  const historyEntry = {
+    analysis: metadata.analysis,
+    analysisVersion: metadata.analysisVersion || 1,
+    analyzedAt: metadata.analyzedAt || null,
+    replacedAt: now
+  };
+
+  // Most recent first, limited to prevent unbounded growth
+  metadata.analysisHistory = [historyEntry, ...(metadata.analysisHistory || [])].slice(0, MAX_ANALYSIS_HISTORY);
+  metadata.analysis = analysis;
+  metadata.analysisVersion = analysisVersion;
+  metadata.analyzedAt = now;
+
+  return historyEntry;
+}
+
+/**
+ * Flattens a results document into the video object returned by /api/videos and
+ * consumed by the performance analysis
+ */
+export function flattenVideoRecord(metadata) {
+  const latestMetrics = getLatestMetrics(metadata);
+  const analysis = metadata.analysis || {};
+  const tempoVsReference = compareToReferenceTempo(analysis.bpm, metadata.spotify?.audio_features);
+  const audioFeatures = audioFeaturesOf(metadata);
+  // Spotify uses key -1 when it couldn't detect one
+  const hasKey = audioFeatures && audioFeatures.key !== null && audioFeatures.key >= 0;
+
+  return {
+    s3Key: metadata.s3Key,
+    originalFilename: metadata.originalFilename,
+    videoType: metadata.videoType || null,
+    artistName: artistNameOf(metadata) || 'Unknown Artist',
+    trackName: trackNameOf(metadata) || 'Unknown Track',
+    album: metadata.spotify?.track?.album || null,
+    releaseDate: metadata.spotify?.track?.release_date || null,
+    popularity: metadata.spotify?.track?.popularity || null,
+    artistFollowers: metadata.spotify?.artist?.followers || null,
+    genres: metadata.spotify?.artist?.genres || [],
+    albumImageUrl: metadata.spotify?.track?.album_image_url || null,
+    snapshotKey: metadata.snapshotKey || null,
+    waveformKey: metadata.waveformKey || null,
+    duplicateOf: metadata.duplicateOf || null,
+    analyzedAt: metadata.analyzedAt || null,
+    analysisVersion: metadata.analysisVersion || null,
+    uploadTimestamp: metadata.s3Key ? parseInt(metadata.s3Key.split('-')[0]) : null,
+    // Social media metrics - always use the most recent values
+    ...latestMetrics,
+    // Analysis data
+    duration: analysis.duration || null,
+    size_mb: analysis.size_mb || null,
+    resolution: analysis.video ? `${analysis.video.width}x${analysis.video.height}` : null,
+    videoCodec: analysis.video?.codec || null,
+    fps: analysis.video?.fps || null,
+    audioCodec: analysis.audio?.codec || null,
+    sampleRate: analysis.audio?.sample_rate || null,
+    bpm: analysis.bpm || null,
+    pitch: analysis.pitch || null,
+    pitchConfidence: analysis.pitchConfidence || null,
+    onsets: analysis.onsets || null,
+    onsetRate: analysis.onsetRate || null,
+    energy: analysis.energy || null,
+    silenceRatio: analysis.silenceRatio || null,
+    tempoSpikes: analysis.tempoSpikes || null,
+    volumeSpikes: analysis.volumeSpikes || null,
+    unusualPatterns: analysis.unusualPatterns || null,
+    shockValue: analysis.shockValue || null,
+    shockProfile: analysis.shockBreakdown?.profile || null,
+    // Drum hit summary (drum_hits.js)
+    kickHits: analysis.drumStats?.byType.kick ?? null,
+    snareHits: analysis.drumStats?.byType.snare ?? null,
+    hihatHits: analysis.drumStats?.byType.hihat ?? null,
+    tomHits: analysis.drumStats?.byType.tom ?? null,
+    cymbalCrashes: analysis.drumStats?.cymbalCrashes ?? null,
+    kickDensity: analysis.drumStats?.kickDensity ?? null,
+    dominantHandDrum: analysis.drumStats?.dominantHandDrum || null,
+    // Tempo stability (beat_grid.js)
+    tempoStabilityScore: analysis.tempoStability?.stabilityScore ?? null,
+    tempoStdDev: analysis.tempoStability?.stdDev ?? null,
+    maxRush: analysis.tempoStability?.maxRush ?? null,
+    maxDrag: analysis.tempoStability?.maxDrag ?? null,
+    tempoDrift: analysis.tempoStability?.driftPerMinute ?? null,
+    // Loudness (loudness.js)
+    integratedLufs: analysis.loudness?.integratedLufs ?? null,
+    loudnessRange: analysis.loudness?.loudnessRange ?? null,
+    truePeak: analysis.loudness?.truePeakDbtp ?? null,
+    crestFactor: analysis.loudness?.crestFactorDb ?? null,
+    // Mix character (spectral.js)
+    spectralCentroid: analysis.spectral?.centroidHz ?? null,
+    spectralRolloff: analysis.spectral?.rolloffHz ?? null,
+    spectralFlatness: analysis.spectral?.flatness ?? null,
+    zeroCrossingRate: analysis.spectral?.zeroCrossingRate ?? null,
+    lowEnergyRatio: analysis.spectral?.bandEnergy.low ?? null,
+    midEnergyRatio: analysis.spectral?.bandEnergy.mid ?? null,
+    highEnergyRatio: analysis.spectral?.bandEnergy.high ?? null,
+    // What the viewer sees (visual_features.js)
+    cutCount: analysis.visual?.cutCount ?? null,
+    cutsPerMinute: analysis.visual?.cutsPerMinute ?? null,
+    averageShotSeconds: analysis.visual?.averageShotSeconds ?? null,
+    motionIntensity: analysis.visual?.motionIntensity ?? null,
+    visualBrightness: analysis.visual?.brightness ?? null,
+    colorfulness: analysis.visual?.colorfulness ?? null,
+    // The first 3 seconds (hook.js)
+    hookOnsetDensity: analysis.hook?.onsetDensity ?? null,
+    hookLoudnessVsRest: analysis.hook?.loudnessVsRestDb ?? null,
+    timeToFirstHit: analysis.hook?.timeToFirstHit ?? null,
+    hookMotion: analysis.hook?.motionIntensity ?? null,
+    hookSceneCut: analysis.hook?.sceneCut ?? null,
+    // Key and mode, from Spotify or estimated locally (audioFeaturesOf)
+    musicalKey: hasKey ? audioFeatures.key : null,
+    keyMode: hasKey ? (audioFeatures.mode === 0 ? 'minor' : 'major') : null,
+    keyName: hasKey ? keyName(audioFeatures.key, audioFeatures.mode) : null,
+    audioFeaturesSource: audioFeatures?.source || null,
+    audioFeatures,
+    // Song sections (sections.js)
+    sections: analysis.structure?.sections || null,
+    firstFillAt: analysis.structure?.firstFillAt ?? null,
+    fillInHook: analysis.structure ? analysis.structure.fillInHook : null,
+    // Detected tempo against the original recording (tempo_reference.js)
+    referenceBpm: tempoVsReference?.referenceBpm ?? null,
+    tempoDeltaBpm: tempoVsReference?.deltaBpm ?? null,
+    tempoDeltaPercent: tempoVsReference?.deltaPercent ?? null,
+    tempoRatio: tempoVsReference?.ratio || null,
+    tempoVsOriginal: tempoVsReference?.verdict || null,
+    // Timing against an uploaded original recording (reference_alignment.js)
+    tightnessScore: metadata.referenceAlignment?.tightnessScore ?? null,
+    referenceOffset: metadata.referenceAlignment?.offsetSeconds ?? null,
+  };
+}
+
+/**
+ * Compact summary of a flattened video used as GPT insights context
+ */
+export function toInsightSummary(video) {
+  return {
+    trackName: video.trackName,
+    artistName: video.artistName,
+    videoType: video.videoType,
+    popularity: video.popularity,
+    artistFollowers: video.artistFollowers,
+    genres: video.genres,
+    igViews: video.igViews,
+    igLikes: video.igLikes,
+    tiktokViews: video.tiktokViews,
+    tiktokLikes: video.tiktokLikes,
+    igHashtags: video.igHashtags,
+    tiktokHashtags: video.tiktokHashtags,
+    shockValue: video.shockValue,
+    bpm: video.bpm,
+    kickDensity: video.kickDensity,
+    cymbalCrashes: video.cymbalCrashes,
+    dominantHandDrum: video.dominantHandDrum,
+    tempoStabilityScore: video.tempoStabilityScore,
+    integratedLufs: video.integratedLufs,
+    spectralCentroid: video.spectralCentroid,
+    keyName: video.keyName,
+    cutsPerMinute: video.cutsPerMinute,
+    motionIntensity: video.motionIntensity,
+    hookOnsetDensity: video.hookOnsetDensity,
+    hookLoudnessVsRest: video.hookLoudnessVsRest,
+    timeToFirstHit: video.timeToFirstHit,
+    hookMotion: video.hookMotion,
+    hookSceneCut: video.hookSceneCut,
+    fillInHook: video.fillInHook,
+    firstFillAt: video.firstFillAt,
+    tempoVsOriginal: video.tempoVsOriginal,
+    tempoDeltaPercent: video.tempoDeltaPercent,
+    tightnessScore: video.tightnessScore,
+  };
+}
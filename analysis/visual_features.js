@@ -0,0 +1,206 @@
+import { exec } from 'child_process';
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Visual Features
+ *
+ * What the viewer sees, from frames ffmpeg decodes at SAMPLE_FPS and scales down to
+ * FRAME_SIZE x FRAME_SIZE RGB (CPU only; the small frames keep this cheap next to the
+ * audio analysis):
+ *   - sceneCuts: times where the luma histogram changes abruptly against the frames around
+ *     it (hard cuts between camera angles); cutsPerMinute and averageShotSeconds follow
+ *   - motionIntensity: mean absolute luma difference between consecutive frames in percent
+ *     of the full range, leaving out the cut frames; motionCurve has it per CURVE_SECONDS
+ *   - brightness: mean luma (0-1); brightnessCurve per CURVE_SECONDS
+ *   - colorfulness: Hasler & Suesstrunk (2003) metric, about 15 "slightly", 33 "moderately",
+ *     59 "quite" and 82+ "highly colorful"
+ */
+
+export const VISUAL_FEATURES_VERSION = 1;
+
+const SAMPLE_FPS = 10;
+const FRAME_SIZE = 64;
+const HISTOGRAM_BINS = 32;
+const CURVE_SECONDS = 0.5;
+const CUT_MIN_DIFF = 0.35;             // histogram distance (0-1) a cut needs at least
+const CUT_CONTRAST = 3;                // ... and this many times the median distance around it
+const CUT_CONTEXT_FRAMES = 10;
+const MIN_SHOT_SECONDS = 0.5;          // flashes and whip pans shorter than this are one cut
+
+/**
+ * Decodes the video's frames with ffmpeg and measures them
+ * @param {string} videoPath - Path to the video file
+ * @param {string} tempDir - Directory for the temporary raw frame file
+ * @param {object} options - { duration } in seconds, to scale the ffmpeg timeout
+ * @returns {Promise<object|null>} - See computeVisualFeatures()
+ */
+export async function extractVisualFeatures(videoPath, tempDir, { duration = 0 } = {}) {
+  const framesPath = path.join(tempDir, `frames_${Date.now()}.rgb`);
+  const cmd = `ffmpeg -v error -i "${videoPath}" -an -vf "fps=${SAMPLE_FPS},scale=${FRAME_SIZE}:${FRAME_SIZE}" -pix_fmt rgb24 -f rawvideo -y "${framesPath}"`;
+  const timeout = 60000 + duration * 2000;
+
+  try {
+    await new Promise((resolve, reject) => {
+      exec(cmd, { timeout }, (error, stdout, stderr) => {
+        if (error) {
+          reject(new Error(`Frame extraction failed: ${error.message}. ${stderr || ''}`));
+          return;
+        }
+        resolve();
+      });
+    });
+
+    return computeVisualFeatures(readFrames(framesPath, FRAME_SIZE * FRAME_SIZE * 3), { fps: SAMPLE_FPS });
+  } finally {
+    try { fs.unlinkSync(framesPath); } catch (e) {}
+  }
+}
+
+/**
+ * @param {Iterable<Uint8Array>} frames - Packed RGB frames, all the same size
+ * @param {object} options - { fps } the frames were sampled at
+ * @returns {object|null} - { version, sampleFps, sceneCuts, cutCount, cutsPerMinute, averageShotSeconds, motionIntensity,
+ *                          brightness, colorfulness, curveSeconds, motionCurve, brightnessCurve }, or null without frames
+ */
+export function computeVisualFeatures(frames, { fps = SAMPLE_FPS } = {}) {
+  const histogramDiffs = [0];
+  const motion = [null];
+  const brightness = [];
+  let colorfulnessSum = 0;
+  let previousLuma = null;
+  let previousHistogram = null;
+
+  for (const frame of frames) {
+    const stats = measureFrame(frame);
+    brightness.push(stats.brightness);
+    colorfulnessSum += stats.colorfulness;
+
+    if (previousLuma) {
+      let diff = 0;
+      for (let i = 0; i < stats.luma.length; i++) diff += Math.abs(stats.luma[i] - previousLuma[i]);
+      motion.push((diff / stats.luma.length / 255) * 100);
+
+      let distance = 0;
+      for (let bin = 0; bin < HISTOGRAM_BINS; bin++) distance += Math.abs(stats.histogram[bin] - previousHistogram[bin]);
+      histogramDiffs.push(distance / 2);
+    }
+    previousLuma = stats.luma;
+    previousHistogram = stats.histogram;
+  }
+
+  const frameCount = brightness.length;
+  if (frameCount === 0) return null;
+
+  const cutFrames = detectCuts(histogramDiffs, fps);
+  cutFrames.forEach(index => { motion[index] = null; });
+
+  const duration = frameCount / fps;
+  const framesPerPoint = Math.max(1, Math.round(CURVE_SECONDS * fps));
+  const motionCurve = [];
+  const brightnessCurve = [];
+  for (let start = 0; start < frameCount; start += framesPerPoint) {
+    const window = Math.min(frameCount, start + framesPerPoint);
+    const windowMotion = mean(motion.slice(start, window));
+    motionCurve.push(windowMotion === null ? null : round(windowMotion, 2));
+    brightnessCurve.push(round(mean(brightness.slice(start, window)), 3));
+  }
+
+  const motionIntensity = mean(motion);
+
+  return {
+    version: VISUAL_FEATURES_VERSION,
+    sampleFps: fps,
+    sceneCuts: cutFrames.map(index => round(index / fps, 2)),
+    cutCount: cutFrames.length,
+    cutsPerMinute: round(cutFrames.length / (duration / 60), 1),
+    averageShotSeconds: round(duration / (cutFrames.length + 1), 2),
+    motionIntensity: motionIntensity === null ? null : round(motionIntensity, 2),
+    brightness: round(mean(brightness), 3),
+    colorfulness: round(colorfulnessSum / frameCount, 1),
+    curveSeconds: framesPerPoint / fps,
+    motionCurve,
+    brightnessCurve
+  };
+}
+
+// Rec. 601 luma, its normalized histogram, mean brightness and colorfulness of one frame
+function measureFrame(frame) {
+  const pixels = frame.length / 3;
+  const luma = new Float32Array(pixels);
+  const histogram = new Array(HISTOGRAM_BINS).fill(0);
+  let lumaSum = 0;
+  let rgSum = 0, rgSquares = 0, ybSum = 0, ybSquares = 0;
+
+  for (let p = 0; p < pixels; p++) {
+    const r = frame[p * 3];
+    const g = frame[p * 3 + 1];
+    const b = frame[p * 3 + 2];
+    const y = 0.299 * r + 0.587 * g + 0.114 * b;
+    luma[p] = y;
+    lumaSum += y;
+    histogram[Math.min(HISTOGRAM_BINS - 1, Math.floor((y / 256) * HISTOGRAM_BINS))] += 1 / pixels;
+
+    const rg = r - g;
+    const yb = 0.5 * (r + g) - b;
+    rgSum += rg;
+    rgSquares += rg * rg;
+    ybSum += yb;
+    ybSquares += yb * yb;
+  }
+
+  const rgMean = rgSum / pixels;
+  const ybMean = ybSum / pixels;
+  const rgVariance = Math.max(0, rgSquares / pixels - rgMean * rgMean);
+  const ybVariance = Math.max(0, ybSquares / pixels - ybMean * ybMean);
+
+  return {
+    luma,
+    histogram,
+    brightness: lumaSum / pixels / 255,
+    colorfulness: Math.sqrt(rgVariance + ybVariance) + 0.3 * Math.sqrt(rgMean * rgMean + ybMean * ybMean)
+  };
+}
+
+// Frames whose histogram distance to the previous frame stands out from the frames around it
+function detectCuts(histogramDiffs, fps) {
+  const cuts = [];
+  const minGap = Math.round(MIN_SHOT_SECONDS * fps);
+
+  for (let i = 1; i < histogramDiffs.length; i++) {
+    if (histogramDiffs[i] < CUT_MIN_DIFF) continue;
+    if (cuts.length > 0 && i - cuts[cuts.length - 1] < minGap) continue;
+
+    const context = [];
+    for (let j = Math.max(1, i - CUT_CONTEXT_FRAMES); j <= Math.min(histogramDiffs.length - 1, i + CUT_CONTEXT_FRAMES); j++) {
+      if (j !== i) context.push(histogramDiffs[j]);
+    }
+    const sorted = context.sort((a, b) => a - b);
+    const localMedian = sorted.length > 0 ? sorted[Math.floor(sorted.length / 2)] : 0;
+    if (histogramDiffs[i] >= CUT_CONTRAST * Math.max(localMedian, 0.02)) cuts.push(i);
+  }
+
+  return cuts;
+}
+
+function* readFrames(filePath, frameBytes) {
+  const fd = fs.openSync(filePath, 'r');
+  try {
+    const buffer = Buffer.alloc(frameBytes);
+    while (fs.readSync(fd, buffer, 0, frameBytes, null) === frameBytes) {
+      yield buffer;
+    }
+  } finally {
+    fs.closeSync(fd);
+  }
+}
+
+function mean(values) {
+  const present = values.filter(value => value !== null && value !== undefined);
+  return present.length > 0 ? present.reduce((sum, value) => sum + value, 0) / present.length : null;
+}
+
+function round(value, decimals) {
+  const factor = Math.pow(10, decimals);
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,88 @@
+import fs from 'fs';
+
+/**
+ * Reads a PCM WAV file (as written by the ffmpeg extraction in detect_bpm.js)
+ * @param {string} wavPath - Path to a 16-bit, 24-bit, 32-bit or float PCM WAV file
+ * @returns {object} - { sampleRate, channels, duration, samples } where samples is a mono Float32Array in [-1, 1]
+ */
+export function readWav(wavPath) {
+  return decodeWav(fs.readFileSync(wavPath));
+}
+
+/**
+ * Decodes a WAV file already in memory
+ * @param {Buffer} buffer - Whole WAV file
+ */
+export function decodeWav(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let dataOffset = null;
+  let dataLength = 0;
+
+  // Walk the RIFF chunks; ffmpeg may add LIST chunks before the data
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const chunkId = buffer.toString('ascii', offset, offset + 4);
+    const chunkSize = buffer.readUInt32LE(offset + 4);
+    const body = offset + 8;
+
+    if (chunkId === 'fmt ') {
+      format = {
+        audioFormat: buffer.readUInt16LE(body),
+        channels: buffer.readUInt16LE(body + 2),
+        sampleRate: buffer.readUInt32LE(body + 4),
+        bitsPerSample: buffer.readUInt16LE(body + 14)
+      };
+      // WAVE_FORMAT_EXTENSIBLE keeps the real format in the sub-format GUID
+      if (format.audioFormat === 0xfffe && chunkSize >= 26) {
+        format.audioFormat = buffer.readUInt16LE(body + 24);
+      }
+    } else if (chunkId === 'data') {
+      dataOffset = body;
+      // Streamed WAVs can have a 0 or oversized length; clamp to what is actually there
+      dataLength = Math.min(chunkSize || buffer.length, buffer.length - body);
+      break;
+    }
+
+    offset = body + chunkSize + (chunkSize % 2);
+  }
+
+  if (!format) throw new Error('WAV file has no fmt chunk');
+  if (dataOffset === null) throw new Error('WAV file has no data chunk');
+
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+  const bytesPerSample = bitsPerSample / 8;
+  const readSample = sampleReader(buffer, audioFormat, bitsPerSample);
+
+  const frameCount = Math.floor(dataLength / (bytesPerSample * channels));
+  const samples = new Float32Array(frameCount);
+
+  // Mix down to mono
+  for (let frame = 0; frame < frameCount; frame++) {
+    let sum = 0;
+    const frameOffset = dataOffset + frame * bytesPerSample * channels;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample(frameOffset + channel * bytesPerSample);
+    }
+    samples[frame] = sum / channels;
+  }
+
+  return { sampleRate, channels, duration: frameCount / sampleRate, samples };
+}
+
+function sampleReader(buffer, audioFormat, bitsPerSample) {
+  if (audioFormat === 1) {
+    if (bitsPerSample === 16) return (pos) => buffer.readInt16LE(pos) / 32768;
+    if (bitsPerSample === 24) return (pos) => buffer.readIntLE(pos, 3) / 8388608;
+    if (bitsPerSample === 32) return (pos) => buffer.readInt32LE(pos) / 2147483648;
+    if (bitsPerSample === 8) return (pos) => (buffer.readUInt8(pos) - 128) / 128;
+  }
+  if (audioFormat === 3) {
+    if (bitsPerSample === 32) return (pos) => buffer.readFloatLE(pos);
+    if (bitsPerSample === 64) return (pos) => buffer.readDoubleLE(pos);
+  }
+  throw new Error(`Unsupported WAV format ${audioFormat} with ${bitsPerSample} bits per sample`);
+}
@@ -0,0 +1,48 @@
+/**
+ * Waveform Peaks
+ *
+ * Downsamples the clip's audio to POINTS_PER_SECOND min/max pairs, enough to draw the
+ * waveform under the video player without shipping the audio. Stored next to the results
+ * document (waveforms/{s3Key}.json) rather than in it, since it grows with the clip length.
+ */
+
+export const WAVEFORM_VERSION = 1;
+
+const POINTS_PER_SECOND = 50;
+
+/**
+ * @param {Float32Array} samples - Mono samples in [-1, 1]
+ * @param {number} sampleRate - Sample rate of samples
+ * @param {object} options - { pointsPerSecond }
+ * @returns {object} - { version, pointsPerSecond, duration, min, max } where min[i]/max[i] are the lowest and
+ *                     highest sample in the i-th 1/pointsPerSecond window (3 decimals)
+ */
+export function computeWaveformPeaks(samples, sampleRate, { pointsPerSecond = POINTS_PER_SECOND } = {}) {
+  const windowSize = Math.max(1, Math.round(sampleRate / pointsPerSecond));
+  const min = [];
+  const max = [];
+
+  for (let start = 0; start < samples.length; start += windowSize) {
+    const end = Math.min(samples.length, start + windowSize);
+    let lo = 0;
+    let hi = 0;
+    for (let i = start; i < end; i++) {
+      if (samples[i] < lo) lo = samples[i];
+      if (samples[i] > hi) hi = samples[i];
+    }
+    min.push(round(Math.max(-1, lo)));
+    max.push(round(Math.min(1, hi)));
+  }
+
+  return {
+    version: WAVEFORM_VERSION,
+    pointsPerSecond: sampleRate / windowSize,
+    duration: Math.round((samples.length / sampleRate) * 1000) / 1000,
+    min,
+    max
+  };
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
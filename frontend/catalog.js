@@ -0,0 +1,166 @@
+import { normalizeVideoRecord } from "../analysis/video_record.js";
+
+/**
+ * Video catalog index
+ *
+ * Keeps a single index object (catalog/index.json) with one entry per video so the
+ * list and analytics routes read one object instead of listing results/ and fetching
+ * every results/{s3Key}.json on each request.
+ *
+ * The results/{s3Key}.json documents stay the source of truth: the catalog is updated
+ * on upload, metrics update and delete, and can always be rebuilt from them.
+ */
+
+export const CATALOG_KEY = "catalog/index.json";
+const CATALOG_VERSION = 1;
+
+/**
+ * Creates a catalog backed by the given storage backend
+ * @param {object} storage - Storage backend from createStorage()
+ * @param {object} options - { key } to override where the index is stored
+ * @returns {object} - Catalog with all/get/upsert/remove/rebuild
+ */
+export function createCatalog(storage, { key = CATALOG_KEY } = {}) {
+  let entries = null;    // Map of s3Key -> catalog entry
+  let loadedFrom = null; // { size, lastModified } of the index object we last read
+  let writeQueue = Promise.resolve();
+
+  // Read the index from storage, re-reading only if another process has rewritten it
+  async function load() {
+    const info = await storage.head(key);
+
+    if (!info) {
+      if (!entries) {
+        console.log("Catalog index not found, rebuilding from results/");
+        await rebuildEntries();
+      }
+      return entries;
+    }
+
+    const unchanged = loadedFrom &&
+      loadedFrom.size === info.size &&
+      loadedFrom.lastModified === info.lastModified;
+
+    if (!entries || !unchanged) {
+      const index = await storage.getJson(key);
+      entries = new Map(Object.entries(index.videos || {}));
+      loadedFrom = { size: info.size, lastModified: info.lastModified };
+    }
+
+    return entries;
+  }
+
+  async function save() {
+    const index = {
+      version: CATALOG_VERSION,
+      updatedAt: new Date().toISOString(),
+      videos: Object.fromEntries(entries),
+    };
+    await storage.putJson(key, index);
+
+    const info = await storage.head(key);
+    loadedFrom = info ? { size: info.size, lastModified: info.lastModified } : null;
+  }
+
+  // Serialize writes so concurrent requests don't overwrite each other's changes
+  function mutate(fn) {
+    const run = writeQueue.then(async () => {
+      await load();
+      fn(entries);
+      await save();
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function rebuildEntries() {
+    const rebuilt = new Map();
+    const items = await storage.listAll("results/");
+
+    for (const obj of items) {
+      if (!obj.key || !obj.key.endsWith(".json")) continue;
+
+      try {
+        // Extract s3Key from metadata filename (results/{s3Key}.json)
+        const s3Key = obj.key.replace("results/", "").replace(".json", "");
+
+        // Only catalog videos whose video file still exists
+        if (!(await storage.head(s3Key))) {
+          console.log(`Skipping ${obj.key} - video file ${s3Key} does not exist`);
+          continue;
+        }
+
+        const metadata = await storage.getJson(obj.key);
+        rebuilt.set(s3Key, toCatalogEntry(normalizeVideoRecord(metadata, s3Key)));
+      } catch (err) {
+        console.error(`Error processing metadata for ${obj.key}:`, err);
+      }
+    }
+
+    entries = rebuilt;
+    await save();
+    return entries;
+  }
+
+  return {
+    /**
+     * @returns {Promise<object[]>} - All catalog entries (results documents)
+     */
+    async all() {
+      return [...(await load()).values()];
+    },
+
+    /**
+     * @returns {Promise<object|null>} - Catalog entry for a video, or null if not cataloged
+     */
+    async get(s3Key) {
+      return (await load()).get(s3Key) || null;
+    },
+
+    /**
+     * Add or replace the entry for a results document (call after writing results/{s3Key}.json)
+     */
+    upsert(metadata) {
+      return mutate(map => map.set(metadata.s3Key, toCatalogEntry(metadata)));
+    },
+
+    remove(s3Key) {
+      return mutate(map => map.delete(s3Key));
+    },
+
+    /**
+     * Reconstruct the index from results/*.json
+     * @returns {Promise<number>} - Number of videos cataloged
+     */
+    rebuild() {
+      const run = writeQueue.then(async () => (await rebuildEntries()).size);
+      writeQueue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+// The catalog only needs the latest metrics history entry, no superseded analyses and
+// no per-hit drum list, per-beat tempo map, shock value events and inputs, visual curves
+// (drumStats, tempoStability, the shock value components and the visual averages summarize
+// them) or audio fingerprint hashes (the duplicate checks read them from fingerprints.js);
+// the full documents stay in results/
+function toCatalogEntry(metadata) {
+  const { analysisHistory, ...record } = normalizeVideoRecord(metadata);
+  if (record.analysis?.drumHits || record.analysis?.tempoMap || record.analysis?.shockInputs || record.analysis?.shockBreakdown || record.analysis?.visual || record.analysis?.audioFingerprint) {
+    const { drumHits, tempoMap, shockInputs, shockBreakdown, audioFingerprint, ...analysis } = record.analysis;
+    if (shockBreakdown) {
+      const { events, ...summary } = shockBreakdown;
+      analysis.shockBreakdown = summary;
+    }
+    if (analysis.visual) {
+      const { motionCurve, brightnessCurve, ...summary } = analysis.visual;
+      analysis.visual = summary;
+    }
+    record.analysis = analysis;
+  }
+  return {
+    ...record,
+    metricsHistory: record.metricsHistory.slice(0, 1),
+  };
+}
@@ -0,0 +1,142 @@
+import { normalizeVideoRecord } from "../analysis/video_record.js";
+
+/**
+ * Fingerprint index
+ *
+ * The duplicate check on every upload and GET /api/videos/duplicates compare against
+ * every video's content hash and audio fingerprint. The catalog leaves the fingerprint
+ * hashes out (they are most of an entry's size), so they are kept in their own index
+ * object (fingerprints/index.json) instead of being read from each results/{s3Key}.json.
+ *
+ * Entries keep the shape analysis/duplicates.js reads from results documents:
+ *   { s3Key, originalFilename, contentSha256, analysis: { audioFingerprint } }
+ * Like the catalog, the index is updated wherever the catalog is and can always be
+ * rebuilt from results/.
+ */
+
+export const FINGERPRINTS_KEY = "fingerprints/index.json";
+const FINGERPRINTS_VERSION = 1;
+
+/**
+ * Creates a fingerprint index backed by the given storage backend
+ * @param {object} storage - Storage backend from createStorage()
+ * @param {object} options - { key } to override where the index is stored
+ * @returns {object} - Index with all/upsert/remove/rebuild
+ */
+export function createFingerprintIndex(storage, { key = FINGERPRINTS_KEY } = {}) {
+  let entries = null;    // Map of s3Key -> fingerprint entry
+  let loadedFrom = null; // { size, lastModified } of the index object we last read
+  let writeQueue = Promise.resolve();
+
+  // Read the index from storage, re-reading only if another process has rewritten it
+  async function load() {
+    const info = await storage.head(key);
+
+    if (!info) {
+      if (!entries) {
+        console.log("Fingerprint index not found, rebuilding from results/");
+        await rebuildEntries();
+      }
+      return entries;
+    }
+
+    const unchanged = loadedFrom &&
+      loadedFrom.size === info.size &&
+      loadedFrom.lastModified === info.lastModified;
+
+    if (!entries || !unchanged) {
+      const index = await storage.getJson(key);
+      entries = new Map(Object.entries(index.videos || {}));
+      loadedFrom = { size: info.size, lastModified: info.lastModified };
+    }
+
+    return entries;
+  }
+
+  async function save() {
+    const index = {
+      version: FINGERPRINTS_VERSION,
+      updatedAt: new Date().toISOString(),
+      videos: Object.fromEntries(entries),
+    };
+    await storage.putJson(key, index);
+
+    const info = await storage.head(key);
+    loadedFrom = info ? { size: info.size, lastModified: info.lastModified } : null;
+  }
+
+  // Serialize writes so concurrent requests don't overwrite each other's changes
+  function mutate(fn) {
+    const run = writeQueue.then(async () => {
+      await load();
+      fn(entries);
+      await save();
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  async function rebuildEntries() {
+    const rebuilt = new Map();
+    const items = await storage.listAll("results/");
+
+    for (const obj of items) {
+      if (!obj.key || !obj.key.endsWith(".json")) continue;
+
+      try {
+        const s3Key = obj.key.replace("results/", "").replace(".json", "");
+
+        // Only index videos whose video file still exists (same as the catalog)
+        if (!(await storage.head(s3Key))) continue;
+
+        const metadata = await storage.getJson(obj.key);
+        rebuilt.set(s3Key, toFingerprintEntry(normalizeVideoRecord(metadata, s3Key)));
+      } catch (err) {
+        console.error(`Error indexing fingerprint of ${obj.key}:`, err);
+      }
+    }
+
+    entries = rebuilt;
+    await save();
+    return entries;
+  }
+
+  return {
+    /**
+     * @returns {Promise<object[]>} - All fingerprint entries
+     */
+    async all() {
+      return [...(await load()).values()];
+    },
+
+    /**
+     * Add or replace the entry for a results document (call after writing results/{s3Key}.json)
+     */
+    upsert(metadata) {
+      return mutate(map => map.set(metadata.s3Key, toFingerprintEntry(metadata)));
+    },
+
+    remove(s3Key) {
+      return mutate(map => map.delete(s3Key));
+    },
+
+    /**
+     * Reconstruct the index from results/*.json
+     * @returns {Promise<number>} - Number of videos indexed
+     */
+    rebuild() {
+      const run = writeQueue.then(async () => (await rebuildEntries()).size);
+      writeQueue = run.catch(() => {});
+      return run;
+    },
+  };
+}
+
+function toFingerprintEntry(metadata) {
+  return {
+    s3Key: metadata.s3Key,
+    originalFilename: metadata.originalFilename || null,
+    contentSha256: metadata.contentSha256 || null,
+    analysis: { audioFingerprint: metadata.analysis?.audioFingerprint || null },
+  };
+}
@@ -0,0 +1,212 @@
+import crypto from "crypto";
+import { EventEmitter } from "events";
+
+/**
+ * Background job queue
+ *
+ * Long-running work (ffprobe, audio feature detection, snapshot extraction) runs here
+ * instead of inside the HTTP request. Jobs run in FIFO order with at most `concurrency`
+ * running at once, and every state change is written to jobs/{id}.json in the storage
+ * backend so job status survives a restart and is visible to every server process.
+ *
+ * Job shape:
+ *   { id, type, status, stage, stages, progress, input, result, error,
+ *     createdAt, startedAt, finishedAt, updatedAt }
+ * status is "queued" | "running" | "completed" | "failed"; progress is 0-100.
+ *
+ * Finished jobs are kept for `retentionMs` (long enough for clients to read the result):
+ * after that they are dropped from memory and storage, and recover() deletes finished job
+ * files a previous process left behind once they are that old.
+ */
+
+export const JOBS_PREFIX = "jobs/";
+const DEFAULT_RETENTION_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates a job queue backed by the given storage backend
+ * @param {object} storage - Storage backend from createStorage()
+ * @param {object} options - { concurrency, handlers, retentionMs } where handlers maps job type to
+ *                           async (job, { stage }) => result (call stage(name) when a stage starts) and
+ *                           retentionMs is how long finished jobs are kept
+ * @returns {object} - Queue with enqueue/get/active/subscribe/recover
+ */
+export function createJobQueue(storage, { concurrency = 1, handlers = {}, retentionMs = DEFAULT_RETENTION_MS } = {}) {
+  const jobs = new Map();      // id -> job (jobs created or resumed by this process)
+  const pending = [];          // ids waiting to run
+  const events = new EventEmitter();
+  let running = 0;
+
+  events.setMaxListeners(0); // One listener per open SSE connection
+
+  const jobKey = (id) => `${JOBS_PREFIX}${id}.json`;
+
+  async function update(job, changes) {
+    Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+    events.emit(job.id, job);
+    try {
+      await storage.putJson(jobKey(job.id), job);
+    } catch (err) {
+      // The in-memory state is still correct; only other processes miss this update
+      console.error(`Failed to persist job ${job.id}:`, err.message);
+    }
+  }
+
+  // Forget a finished job once clients have had retentionMs to read its result
+  function expire(job) {
+    const timer = setTimeout(async () => {
+      jobs.delete(job.id);
+      try {
+        await storage.delete(jobKey(job.id));
+      } catch (err) {
+        console.error(`Failed to delete expired job ${job.id}:`, err.message);
+      }
+    }, retentionMs);
+    timer.unref(); // Don't keep the process alive just to expire jobs
+  }
+
+  function pump() {
+    while (running < concurrency && pending.length > 0) {
+      const job = jobs.get(pending.shift());
+      running++;
+      run(job).finally(() => {
+        running--;
+        pump();
+      });
+    }
+  }
+
+  async function run(job) {
+    const handler = handlers[job.type];
+    await update(job, { status: "running", startedAt: new Date().toISOString(), error: null });
+
+    const stage = (name) => {
+      const index = job.stages.indexOf(name);
+      const progress = index === -1 ? job.progress : Math.round((index / job.stages.length) * 100);
+      return update(job, { stage: name, progress });
+    };
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler for job type "${job.type}"`);
+      }
+      const result = await handler(job, { stage });
+      await update(job, {
+        status: "completed",
+        stage: null,
+        progress: 100,
+        result: result ?? null,
+        finishedAt: new Date().toISOString(),
+      });
+    } catch (err) {
+      console.error(`Job ${job.id} (${job.type}) failed during ${job.stage || "startup"}:`, err);
+      await update(job, {
+        status: "failed",
+        error: err.message,
+        finishedAt: new Date().toISOString(),
+      });
+    }
+    expire(job);
+  }
+
+  return {
+    /**
+     * Queue a job
+     * @param {string} type - Handler name
+     * @param {object} input - Job input (must be JSON-serializable, it is persisted)
+     * @param {object} options - { stages } list of stage names used for progress reporting
+     * @returns {Promise<object>} - The queued job
+     */
+    async enqueue(type, input, { stages = [] } = {}) {
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: "queued",
+        stage: null,
+        stages,
+        progress: 0,
+        input,
+        result: null,
+        error: null,
+        createdAt: now,
+        startedAt: null,
+        finishedAt: null,
+        updatedAt: now,
+      };
+
+      jobs.set(job.id, job);
+      await update(job, {});
+      pending.push(job.id);
+      pump();
+      return job;
+    },
+
+    /**
+     * @returns {Promise<object|null>} - Job state, or null if no such job exists
+     */
+    async get(id) {
+      if (jobs.has(id)) return jobs.get(id);
+      // Job ids are UUIDs; anything else could be a path traversal attempt
+      if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+      try {
+        return await storage.getJson(jobKey(id));
+      } catch (err) {
+        if (err.code === "NotFound") return null;
+        throw err;
+      }
+    },
+
+    /**
+     * @returns {object[]} - Queued and running jobs in this process, optionally of one type
+     */
+    active(type = null) {
+      return [...jobs.values()].filter(job =>
+        (job.status === "queued" || job.status === "running") && (!type || job.type === type)
+      );
+    },
+
+    /**
+     * Calls listener with the job every time it changes
+     * @returns {Function} - Unsubscribe
+     */
+    subscribe(id, listener) {
+      events.on(id, listener);
+      return () => events.off(id, listener);
+    },
+
+    /**
+     * Re-queue jobs a previous process left queued or running and delete finished jobs older
+     * than retentionMs (call once at startup)
+     * @returns {Promise<number>} - Number of jobs resumed
+     */
+    async recover() {
+      const items = await storage.listAll(JOBS_PREFIX);
+      const cutoff = Date.now() - retentionMs;
+      let resumed = 0;
+
+      for (const obj of items) {
+        try {
+          const job = await storage.getJson(obj.key);
+          if (job.status !== "queued" && job.status !== "running") {
+            const finishedAt = Date.parse(job.finishedAt || job.updatedAt || obj.lastModified);
+            if (!(finishedAt > cutoff)) {
+              await storage.delete(obj.key);
+            }
+            continue;
+          }
+          if (jobs.has(job.id)) continue;
+
+          jobs.set(job.id, job);
+          await update(job, { status: "queued", stage: null });
+          pending.push(job.id);
+          resumed++;
+        } catch (err) {
+          console.error(`Error recovering job ${obj.key}:`, err.message);
+        }
+      }
+
+      pump();
+      return resumed;
+    },
+  };
+}
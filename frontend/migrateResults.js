@@ -0,0 +1,95 @@
+/**
+ * Migrates every results/{s3Key}.json document to the current schema version
+ *
+ * Usage: npm run migrate-results             (dry run - reports what would change)
+ *        npm run migrate-results -- --apply  (writes migrated documents and rebuilds the catalog)
+ *
+ * Documents that fail validation after migration are reported and never written.
+ * Uses the same STORAGE_BACKEND / S3 settings as server2.js.
+ */
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { createStorage } from "./storage.js";
+import { createCatalog } from "./catalog.js";
+import { CURRENT_SCHEMA_VERSION, migrateRecord, validateRecord } from "../analysis/results_schema.js";
+import { serializeVideoRecord } from "../analysis/video_record.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from frontend/.env and the root .env (same locations as server2.js)
+dotenv.config({ path: path.join(__dirname, ".env") });
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+const apply = process.argv.includes("--apply");
+
+try {
+  const storage = createStorage();
+  if (!storage.isConfigured()) {
+    console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+    process.exit(1);
+  }
+
+  console.log(`${apply ? "Migrating" : "Dry run: checking"} results in ${storage.name} storage (target schemaVersion ${CURRENT_SCHEMA_VERSION})...`);
+
+  const summary = { total: 0, current: 0, migrated: 0, invalid: 0, failed: 0 };
+  const items = await storage.listAll("results/");
+
+  for (const obj of items) {
+    if (!obj.key || !obj.key.endsWith(".json")) continue;
+    summary.total++;
+
+    try {
+      const s3Key = obj.key.replace("results/", "").replace(".json", "");
+      const original = await storage.getJson(obj.key);
+      const { record, fromVersion, toVersion, applied } = migrateRecord({
+        ...original,
+        s3Key: original.s3Key || original.video_key || s3Key,
+      });
+
+      const validation = validateRecord(record);
+      if (!validation.valid) {
+        summary.invalid++;
+        console.warn(`❌ ${obj.key} (v${fromVersion} → v${toVersion}) fails validation:`);
+        validation.errors.forEach(error => console.warn(`     ${error}`));
+        continue;
+      }
+
+      const changed = serializeVideoRecord(record) !== serializeVideoRecord(original);
+      if (!changed) {
+        summary.current++;
+        continue;
+      }
+
+      summary.migrated++;
+      console.log(`${apply ? "✅" : "•"} ${obj.key}: v${fromVersion} → v${toVersion}`);
+      applied.forEach(step => console.log(`     ${step}`));
+
+      if (apply) {
+        await storage.put(obj.key, serializeVideoRecord(record), { contentType: "application/json" });
+      }
+    } catch (err) {
+      summary.failed++;
+      console.error(`Error migrating ${obj.key}:`, err.message);
+    }
+  }
+
+  console.log(
+    `\n${summary.total} documents: ${summary.current} already current, ` +
+    `${summary.migrated} ${apply ? "migrated" : "to migrate"}, ${summary.invalid} invalid, ${summary.failed} errors`
+  );
+
+  if (apply && summary.migrated > 0) {
+    const count = await createCatalog(storage).rebuild();
+    console.log(`✅ Catalog rebuilt with ${count} videos`);
+  } else if (!apply && summary.migrated > 0) {
+    console.log("Run with --apply to write these changes");
+  }
+
+  if (summary.invalid > 0 || summary.failed > 0) {
+    process.exitCode = 1;
+  }
+} catch (err) {
+  console.error("Failed to migrate results:", err);
+  process.exit(1);
+}
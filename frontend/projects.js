@@ -0,0 +1,255 @@
+import crypto from "crypto";
+
+/**
+ * Song project index
+ *
+ * Projects group several takes/angles of one song (see analysis/song_projects.js). They
+ * live in a single index object (projects/index.json) like the catalog, so creating,
+ * merging and splitting projects is one write and a video can never end up in two.
+ *
+ * A video belongs to at most one project; assigning it to another project moves it.
+ * Projects left without videos are deleted.
+ */
+
+export const PROJECTS_KEY = "projects/index.json";
+const PROJECTS_VERSION = 1;
+
+/**
+ * Creates a project store backed by the given storage backend
+ * @param {object} storage - Storage backend from createStorage()
+ * @param {object} options - { key } to override where the index is stored
+ * @returns {object} - Project store with all/get/projectOf/create/update/merge/split/remove/removeVideo
+ */
+export function createProjectStore(storage, { key = PROJECTS_KEY } = {}) {
+  let projects = null;   // Map of id -> project
+  let loadedFrom = null; // { size, lastModified } of the index object we last read
+  let writeQueue = Promise.resolve();
+
+  // Read the index from storage, re-reading only if another process has rewritten it
+  async function load() {
+    const info = await storage.head(key);
+
+    if (!info) {
+      if (!projects) projects = new Map();
+      return projects;
+    }
+
+    const unchanged = loadedFrom &&
+      loadedFrom.size === info.size &&
+      loadedFrom.lastModified === info.lastModified;
+
+    if (!projects || !unchanged) {
+      const index = await storage.getJson(key);
+      projects = new Map(Object.entries(index.projects || {}));
+      loadedFrom = { size: info.size, lastModified: info.lastModified };
+    }
+
+    return projects;
+  }
+
+  async function save() {
+    const index = {
+      version: PROJECTS_VERSION,
+      updatedAt: new Date().toISOString(),
+      projects: Object.fromEntries(projects),
+    };
+    await storage.putJson(key, index);
+
+    const info = await storage.head(key);
+    loadedFrom = info ? { size: info.size, lastModified: info.lastModified } : null;
+  }
+
+  // Serialize writes so concurrent requests don't overwrite each other's changes.
+  // fn may throw (e.g. unknown project) before anything is saved.
+  function mutate(fn) {
+    const run = writeQueue.then(async () => {
+      await load();
+      const result = fn(projects);
+      await save();
+      return result;
+    });
+    writeQueue = run.catch(() => {});
+    return run;
+  }
+
+  function requireProject(map, id) {
+    const project = map.get(id);
+    if (!project) {
+      throw projectError(`Project ${id} not found`, 404);
+    }
+    return project;
+  }
+
+  // Moves videos into a project, taking them out of whichever project had them
+  function assign(map, s3Keys, target) {
+    const moving = new Set(s3Keys);
+    map.forEach(project => {
+      if (project === target) return;
+      const remaining = project.s3Keys.filter(s3Key => !moving.has(s3Key));
+      if (remaining.length !== project.s3Keys.length) {
+        project.s3Keys = remaining;
+        project.updatedAt = new Date().toISOString();
+      }
+    });
+    target.s3Keys = [...new Set([...target.s3Keys, ...s3Keys])];
+    target.updatedAt = new Date().toISOString();
+    pruneEmpty(map);
+  }
+
+  function pruneEmpty(map) {
+    map.forEach((project, id) => {
+      if (project.s3Keys.length === 0) map.delete(id);
+    });
+  }
+
+  function newProject({ name, trackId = null, artistName = null, trackName = null }) {
+    const now = new Date().toISOString();
+    return {
+      id: crypto.randomUUID(),
+      name,
+      trackId,
+      artistName,
+      trackName,
+      s3Keys: [],
+      createdAt: now,
+      updatedAt: now,
+    };
+  }
+
+  return {
+    /**
+     * @returns {Promise<object[]>} - All projects, oldest first
+     */
+    async all() {
+      return [...(await load()).values()].sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+    },
+
+    /**
+     * @returns {Promise<object|null>} - The project, or null if it doesn't exist
+     */
+    async get(id) {
+      return (await load()).get(id) || null;
+    },
+
+    /**
+     * @returns {Promise<object|null>} - The project a video belongs to, or null
+     */
+    async projectOf(s3Key) {
+      return [...(await load()).values()].find(project => project.s3Keys.includes(s3Key)) || null;
+    },
+
+    /**
+     * Creates a project from videos (moving them out of any project they were in)
+     * @param {object} details - { name, trackId, artistName, trackName, s3Keys }
+     * @returns {Promise<object>} - The new project
+     */
+    create({ s3Keys, ...details }) {
+      if (!details.name) {
+        return Promise.reject(projectError("name is required"));
+      }
+      if (!Array.isArray(s3Keys) || s3Keys.length === 0) {
+        return Promise.reject(projectError("s3Keys must be a non-empty array"));
+      }
+      return mutate(map => {
+        const project = newProject(details);
+        map.set(project.id, project);
+        assign(map, s3Keys, project);
+        return project;
+      });
+    },
+
+    /**
+     * Renames a project and/or adds and removes videos
+     * @param {string} id - Project id
+     * @param {object} changes - { name, addS3Keys, removeS3Keys }
+     * @returns {Promise<object|null>} - The updated project, or null if removing its last videos deleted it
+     */
+    update(id, { name, addS3Keys = [], removeS3Keys = [] }) {
+      return mutate(map => {
+        const project = requireProject(map, id);
+        if (name !== undefined) {
+          project.name = name;
+          project.updatedAt = new Date().toISOString();
+        }
+        if (addS3Keys.length > 0) {
+          assign(map, addS3Keys, project);
+        }
+        if (removeS3Keys.length > 0) {
+          project.s3Keys = project.s3Keys.filter(s3Key => !removeS3Keys.includes(s3Key));
+          project.updatedAt = new Date().toISOString();
+          pruneEmpty(map);
+        }
+        return map.get(id) || null;
+      });
+    },
+
+    /**
+     * Moves every video of the source projects into the target and deletes the sources
+     * @param {string} id - Target project id
+     * @param {string[]} sourceIds - Projects to merge into the target
+     * @returns {Promise<object>} - The merged project
+     */
+    merge(id, sourceIds) {
+      return mutate(map => {
+        const target = requireProject(map, id);
+        const sources = sourceIds.filter(sourceId => sourceId !== id).map(sourceId => requireProject(map, sourceId));
+        assign(map, sources.flatMap(source => source.s3Keys), target);
+        return target;
+      });
+    },
+
+    /**
+     * Moves some of a project's videos into a new project
+     * @param {string} id - Project to split
+     * @param {string[]} s3Keys - Videos to move (must all belong to the project)
+     * @param {object} details - { name } of the new project (defaults to the original's name)
+     * @returns {Promise<object>} - { project, newProject }; project is null if every video was moved
+     */
+    split(id, s3Keys, { name } = {}) {
+      return mutate(map => {
+        const project = requireProject(map, id);
+        const notInProject = s3Keys.filter(s3Key => !project.s3Keys.includes(s3Key));
+        if (s3Keys.length === 0 || notInProject.length > 0) {
+          throw projectError(
+            notInProject.length > 0
+              ? `Videos not in project ${id}: ${notInProject.join(", ")}`
+              : "s3Keys must be a non-empty array"
+          );
+        }
+
+        const created = newProject({ ...project, name: name || project.name });
+        map.set(created.id, created);
+        assign(map, s3Keys, created);
+        return { project: map.get(id) || null, newProject: created };
+      });
+    },
+
+    /**
+     * Deletes a project; its videos become unassigned
+     */
+    async remove(id) {
+      if (!(await load()).has(id)) return false;
+      await mutate(map => map.delete(id));
+      return true;
+    },
+
+    /**
+     * Takes a deleted video out of its project
+     */
+    removeVideo(s3Key) {
+      return mutate(map => {
+        map.forEach(project => {
+          project.s3Keys = project.s3Keys.filter(key => key !== s3Key);
+        });
+        pruneEmpty(map);
+      });
+    },
+  };
+}
+
+// Errors carry the HTTP status the route should respond with
+function projectError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
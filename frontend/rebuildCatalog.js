@@ -0,0 +1,37 @@
+/**
+ * Rebuilds the video catalog index (catalog/index.json) and the fingerprint index
+ * (fingerprints/index.json) from results/*.json
+ *
+ * Usage: npm run rebuild-catalog   (from the frontend folder)
+ * Uses the same STORAGE_BACKEND / S3 settings as server2.js.
+ */
+import path from "path";
+import dotenv from "dotenv";
+import { fileURLToPath } from "url";
+import { createStorage } from "./storage.js";
+import { createCatalog } from "./catalog.js";
+import { createFingerprintIndex } from "./fingerprints.js";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Load environment variables from frontend/.env and the root .env (same locations as server2.js)
+dotenv.config({ path: path.join(__dirname, ".env") });
+dotenv.config({ path: path.join(__dirname, "..", ".env") });
+
+try {
+  const storage = createStorage();
+  if (!storage.isConfigured()) {
+    console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+    process.exit(1);
+  }
+
+  console.log(`Rebuilding catalog from ${storage.name} storage...`);
+  const count = await createCatalog(storage).rebuild();
+  console.log(`✅ Catalog rebuilt with ${count} videos`);
+
+  const fingerprintCount = await createFingerprintIndex(storage).rebuild();
+  console.log(`✅ Fingerprint index rebuilt with ${fingerprintCount} videos`);
+} catch (err) {
+  console.error("Failed to rebuild catalog:", err);
+  process.exit(1);
+}
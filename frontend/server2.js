@@ -3,15 +3,38 @@ import multer from "multer";
 import cors from "cors";
 import path from "path";
 import { fileURLToPath } from "url";
-import { S3Client, PutObjectCommand, GetObjectCommand, ListObjectsV2Command, DeleteObjectCommand, HeadObjectCommand } from "@aws-sdk/client-s3";
-import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
 import dotenv from "dotenv";
 import fs from "fs";
-import { Readable } from "stream";
-import { analyzeVideo } from "../analysis/analyze_video.js";
+import crypto from "crypto";
+import { analyzeVideo, ANALYSIS_VERSION } from "../analysis/analyze_video.js";
 import { extractVideoSnapshot } from "../analysis/extract_snapshot.js";
 import { generateStructuredOutputs } from "../analysis/performance_analysis.js";
+import {
+  loadVideoRecord,
+  saveVideoRecord,
+  serializeVideoRecord,
+  resultsKeyFor,
+  applyMetricsUpdate,
+  applyReanalysis,
+  getLatestMetrics,
+  flattenVideoRecord,
+  toInsightSummary,
+  artistNameOf,
+  trackNameOf,
+} from "../analysis/video_record.js";
+import { CURRENT_SCHEMA_VERSION } from "../analysis/results_schema.js";
+import { findDuplicatesFor, findDuplicateGroups } from "../analysis/duplicates.js";
+import { projectIdentityOf, suggestProjects, aggregateProjectMetrics } from "../analysis/song_projects.js";
+import { quantizeHits, toMidi, toMusicXml } from "../analysis/transcription.js";
+import { alignVideoToReference } from "../analysis/reference_alignment.js";
+import { SHOCK_PROFILES, DEFAULT_SHOCK_PROFILE, compareShockProfiles } from "../analysis/shock_value.js";
 import spotifyRoutes from "./spotifyRoutes.js";
+import { createStorage, localStorageRoutes, hashFile } from "./storage.js";
+import { createCatalog } from "./catalog.js";
+import { createFingerprintIndex } from "./fingerprints.js";
+import { createProjectStore } from "./projects.js";
+import { createJobQueue } from "./jobs.js";
+import { createUploadSessions } from "./uploadSessions.js";
 import OpenAI from "openai";
 import rateLimit from "express-rate-limit";
 
@@ -69,27 +92,29 @@ app.use(express.static(publicDir));
 app.use("/api/spotify", spotifyRoutes);
 
 // ----------------------
-// AWS S3 Client
+// Storage Backend (S3 or local filesystem, see STORAGE_BACKEND)
 // ----------------------
-const s3 = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY,
-  },
-});
+const storage = createStorage();
+console.log(`Using ${storage.name} storage backend`);
+
+if (storage.name === "local") {
+  app.use("/api/storage", localStorageRoutes(storage));
+}
+
+// Catalog index of all videos (see catalog.js), kept in the same storage backend
+const catalog = createCatalog(storage);
+
+// Content hashes and audio fingerprints for the duplicate checks (see fingerprints.js)
+const fingerprints = createFingerprintIndex(storage);
+
+// Song projects grouping takes/angles of the same song (see projects.js)
+const projects = createProjectStore(storage);
 
 // ----------------------
-// Helper: Download from S3
+// Helper: Download from storage
 // ----------------------
-async function downloadFromS3(key, localPath) {
-  const command = new GetObjectCommand({
-    Bucket: process.env.S3_BUCKET_NAME,
-    Key: key,
-  });
-
-  const response = await s3.send(command);
-  const stream = response.Body;
+async function downloadFromStorage(key, localPath) {
+  const stream = await storage.getStream(key);
 
   await new Promise((resolve, reject) => {
     const write = fs.createWriteStream(localPath);
@@ -99,127 +124,186 @@ async function downloadFromS3(key, localPath) {
   });
 }
 
+// ----------------------
+// Helper: Load all results documents
+// ----------------------
+// For what the catalog leaves out (shock value inputs); documents that fail to load are skipped
+async function loadAllVideoRecords(purpose) {
+  const records = [];
+  for (const entry of await catalog.all()) {
+    try {
+      records.push(await loadVideoRecord(storage, entry.s3Key));
+    } catch (err) {
+      console.warn(`Skipping ${entry.s3Key} in ${purpose}:`, err.message);
+    }
+  }
+  return records;
+}
+
+// ----------------------
+// Helper: Update the catalog and fingerprint index after saving a results document
+// ----------------------
+// The results document is the source of truth and is already saved, so a failed index write
+// is logged rather than failing the request; the entry stays stale until the video is saved
+// again or the indexes are rebuilt (npm run rebuild-catalog). Returns whether both are current.
+async function upsertCatalogEntry(record) {
+  let current = true;
+  try {
+    await catalog.upsert(record);
+  } catch (err) {
+    console.error(`Saved ${resultsKeyFor(record.s3Key)} but failed to update the catalog index:`, err.message);
+    current = false;
+  }
+  try {
+    await fingerprints.upsert(record);
+  } catch (err) {
+    console.error(`Saved ${resultsKeyFor(record.s3Key)} but failed to update the fingerprint index:`, err.message);
+    current = false;
+  }
+  return current;
+}
+
+// ----------------------
+// Helper: Flatten results documents for the API
+// ----------------------
+// A malformed document is logged and left out instead of failing the whole list
+function flattenVideoRecords(records) {
+  const videos = [];
+  for (const metadata of records) {
+    try {
+      videos.push(flattenVideoRecord(metadata));
+    } catch (err) {
+      console.error(`Error processing metadata for ${metadata.s3Key}:`, err);
+      // Continue with next video
+    }
+  }
+  return videos;
+}
+
+// ----------------------
+// Helper: Delete a video with its results, snapshot, waveform and reference
+// ----------------------
+async function deleteVideoAndAssets(s3Key) {
+  // An uploaded reference recording (POST /api/videos/:s3Key/reference) goes with the video
+  const referenceKey = (await catalog.get(s3Key))?.referenceAlignment?.referenceKey;
+
+  // Delete the video file, the JSON metadata file and the snapshot image file in parallel
+  await Promise.all([
+    storage.delete(s3Key),
+    storage.delete(`results/${s3Key}.json`),
+    storage.delete(`snapshots/${s3Key}.jpg`).catch(err => {
+      // Snapshot might not exist for older videos, so don't fail if it's missing
+      console.log(`Snapshot not found for ${s3Key}, skipping deletion`);
+    }),
+    storage.delete(`waveforms/${s3Key}.json`).catch(err => {
+      console.log(`Waveform not found for ${s3Key}, skipping deletion`);
+    }),
+    referenceKey && storage.delete(referenceKey).catch(err => {
+      console.log(`Reference ${referenceKey} not found, skipping deletion`);
+    }),
+  ]);
+
+  await catalog.remove(s3Key);
+  await fingerprints.remove(s3Key);
+  await projects.removeVideo(s3Key);
+
+  // Videos resolved as duplicates of this one are scored again
+  for (const entry of (await catalog.all()).filter(entry => entry.duplicateOf === s3Key)) {
+    const record = await loadVideoRecord(storage, entry.s3Key);
+    record.duplicateOf = null;
+    await saveVideoRecord(storage, record);
+    await upsertCatalogEntry(record);
+  }
+
+  console.log(`Deleted video and metadata for: ${s3Key}`);
+}
+
 // ----------------------
 // Multer Setup
 // ----------------------
-const storage = multer.diskStorage({
+const diskStorage = multer.diskStorage({
   destination: (req, file, cb) => cb(null, uploadDir),
   filename: (req, file, cb) => cb(null, Date.now() + "-" + file.originalname),
 });
 
 const upload = multer({
-  storage,
+  storage: diskStorage,
   limits: { fileSize: 500 * 1024 * 1024 }, // 500MB
 });
 
 // ----------------------
-// Upload + Analysis Endpoint (ENHANCED)
+// Background Analysis Jobs (see jobs.js)
 // ----------------------
-app.post("/upload", upload.single("video"), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).send("No file uploaded");
-    }
-
-    const file = req.file;
-    const { artistId, trackId, artistName, trackName, videoType, spotifyMetadata } = req.body;
+// ffprobe + audio feature detection can take minutes for 4K videos, so uploads are
+// analyzed by the job queue and the client follows progress via /api/jobs/:id
+const UPLOAD_STAGES = ["upload", "analyze", "snapshot", "save"];
+const REANALYZE_STAGES = ["download", "analyze", "save"];
+const REFERENCE_STAGES = ["download", "align", "save"];
+
+const jobQueue = createJobQueue(storage, {
+  concurrency: Math.max(1, parseInt(process.env.ANALYSIS_CONCURRENCY) || 1),
+  handlers: { upload: runUploadJob, reanalyze: runReanalyzeJob, "align-reference": runReferenceAlignmentJob },
+});
 
-    if (!videoType) {
-      return res.status(400).send("Video type must be selected");
-    }
+jobQueue.recover()
+  .then(count => count > 0 && console.log(`Resumed ${count} analysis job(s) from a previous run`))
+  .catch(err => console.error("Failed to recover analysis jobs:", err));
 
-    // For Original type, require artistName and trackName
-    if (videoType === 'Original') {
-      if (!artistName || !trackName) {
-        return res.status(400).send("Artist and track names are required for Original type");
-      }
-    } else {
-      // For other types, require Spotify artistId and trackId
-    if (!artistId || !trackId) {
-        return res.status(400).send("Artist and track must be selected from Spotify");
-      }
-    }
+async function runUploadJob(job, { stage }) {
+  const { localPath, s3Key, originalFilename, mimetype, videoType, artistId, trackId, artistName, trackName, spotify } = job.input;
 
+  // The local file is deleted when the job ends, also when the upload itself fails (a failed
+  // job isn't retried, so nothing else would clean it up)
+  try {
     // ----------------------
-    // Parse Spotify metadata (JSON string → object)
+    // Upload video to storage (skipped if a resumed job already uploaded it)
     // ----------------------
-    let spotifyData = null;
+    await stage("upload");
+    const alreadyUploaded = await storage.head(s3Key);
 
-    if (spotifyMetadata) {
-      spotifyData = JSON.parse(spotifyMetadata);
+    if (!fs.existsSync(localPath)) {
+      if (!alreadyUploaded) {
+        throw new Error("Uploaded file is no longer available; please upload the video again");
+      }
+      await downloadFromStorage(s3Key, localPath);
     }
 
-    console.log("Spotify metadata received:", spotifyData);
-
-    // ----------------------
-    // Normalize Spotify metadata
-    // ----------------------
-    const spotifyDataForStorage = spotifyData
-      ? {
-          artist: {
-            id: spotifyData.artist.id,
-            name: spotifyData.artist.name,
-            genres: spotifyData.artist.genres,
-            followers: spotifyData.artist.followers,
-          },
-          track: {
-            id: spotifyData.track.id,
-            name: spotifyData.track.name,
-            album: spotifyData.track.album,
-            release_date: spotifyData.track.release_date,
-            popularity: spotifyData.track.popularity,
-            duration_ms: spotifyData.track.duration_ms,
-            album_image_url: spotifyData.track.album_image_url || null,
-          },
-          audio_features: spotifyData.audio_features || null,
-        }
-      : null;
+    // Both upload routes hash the file when it arrives; hash here for jobs queued without one
+    const sha256 = job.input.sha256 || await hashFile(localPath);
 
-    // ----------------------
-    // Upload video to S3
-    // ----------------------
-    const s3Key = `${Date.now()}-${file.originalname}`;
-    const fileContent = fs.readFileSync(file.path);
-
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: s3Key,
-        Body: fileContent,
-        ContentType: file.mimetype,
-        Metadata: {
-          spotify: spotifyDataForStorage
-            ? Buffer.from(JSON.stringify(spotifyDataForStorage)).toString("base64")
+    if (!alreadyUploaded) {
+      // Streamed from disk (multipart on S3) so large videos are never held in memory
+      await storage.putFile(s3Key, localPath, {
+        contentType: mimetype,
+        metadata: {
+          spotify: spotify
+            ? Buffer.from(JSON.stringify(spotify)).toString("base64")
             : "",
+          sha256,
         },
-      })
-    );
+      });
 
-    console.log("Uploaded video to S3:", s3Key);
+      console.log(`Uploaded video to ${storage.name} storage:`, s3Key);
+    }
 
     // ----------------------
     // Analyze video directly from local file (more efficient)
     // ----------------------
+    await stage("analyze");
     console.log("Starting video analysis...");
     let analysis;
+    let waveform = null;
     try {
-      analysis = await analyzeVideo(file.path);
+      ({ waveform = null, ...analysis } = await analyzeVideo(localPath));
       console.log("Analysis result:", analysis);
       if (analysis.bpm) {
         console.log(`BPM detected: ${analysis.bpm}`);
       }
     } catch (analysisError) {
       console.error("Video analysis error:", analysisError);
-      // Clean up uploaded file from S3 if analysis fails
+      // Record the failure next to the uploaded video
       try {
-        await s3.send(
-          new PutObjectCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: `failed-${s3Key}`,
-            Body: JSON.stringify({ error: "Analysis failed", message: analysisError.message }),
-            ContentType: "application/json",
-          })
-        );
+        await storage.putJson(`failed-${s3Key}`, { error: "Analysis failed", message: analysisError.message });
       } catch (cleanupError) {
         console.error("Cleanup error:", cleanupError);
       }
@@ -229,27 +313,21 @@ app.post("/upload", upload.single("video"), async (req, res) => {
     // ----------------------
     // Extract video snapshot
     // ----------------------
+    await stage("snapshot");
     let snapshotKey = null;
     try {
       console.log("Extracting video snapshot...");
       const snapshotPath = path.join(uploadDir, `snapshot_${Date.now()}.jpg`);
-      await extractVideoSnapshot(file.path, snapshotPath);
-      
-      // Upload snapshot to S3
+      await extractVideoSnapshot(localPath, snapshotPath);
+
+      // Upload snapshot to storage
       const snapshotContent = fs.readFileSync(snapshotPath);
       snapshotKey = `snapshots/${s3Key}.jpg`;
-      
-      await s3.send(
-        new PutObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: snapshotKey,
-          Body: snapshotContent,
-          ContentType: "image/jpeg",
-        })
-      );
-      
-      console.log("Snapshot uploaded to S3:", snapshotKey);
-      
+
+      await storage.put(snapshotKey, snapshotContent, { contentType: "image/jpeg" });
+
+      console.log("Snapshot uploaded to storage:", snapshotKey);
+
       // Clean up local snapshot file
       try {
         fs.unlinkSync(snapshotPath);
@@ -264,18 +342,26 @@ app.post("/upload", upload.single("video"), async (req, res) => {
     // ----------------------
     // Save analysis JSON locally
     // ----------------------
+    await stage("save");
     const resultsDir = path.join(uploadDir, "results");
     if (!fs.existsSync(resultsDir)) fs.mkdirSync(resultsDir, { recursive: true });
 
     const localJsonPath = path.join(resultsDir, `${s3Key}.json`);
+    const waveformKey = await saveWaveform(s3Key, waveform);
 
     const jsonData = {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       s3Key,
-      originalFilename: file.originalname,
+      originalFilename,
       videoType,
       analysis,
       analyzedAt: new Date().toISOString(),
       snapshotKey: snapshotKey || null,
+      waveformKey,
+      contentSha256: sha256,
+      analysisVersion: ANALYSIS_VERSION,
+      analysisHistory: [],
+      metricsHistory: [],
     };
 
     // Add artist and track information based on type
@@ -288,46 +374,344 @@ app.post("/upload", upload.single("video"), async (req, res) => {
       // For other types, store Spotify IDs and metadata
       jsonData.artistId = artistId;
       jsonData.trackId = trackId;
-      jsonData.spotify = spotifyDataForStorage;
+      jsonData.spotify = spotify;
     }
 
-    fs.writeFileSync(localJsonPath, JSON.stringify(jsonData, null, 2));
+    fs.writeFileSync(localJsonPath, serializeVideoRecord(jsonData));
+
+    // Warn about exact copies and re-encoded/trimmed versions of videos we already have
+    const duplicates = findDuplicatesFor(jsonData, await fingerprints.all());
+    if (duplicates.length > 0) {
+      console.warn(`${s3Key} looks like a duplicate of:`, duplicates.map(d => `${d.s3Key} (${d.reason})`).join(", "));
+    }
 
     // ----------------------
-    // Upload analysis JSON to S3
+    // Upload analysis JSON to storage
     // ----------------------
-    const analysisKey = `results/${s3Key}.json`;
-
-    await s3.send(
-      new PutObjectCommand({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: analysisKey,
-        Body: JSON.stringify(jsonData, null, 2),
-        ContentType: "application/json",
-      })
-    );
+    await saveVideoRecord(storage, jsonData);
+    const catalogUpdated = await upsertCatalogEntry(jsonData);
+
+    console.log("Analysis + metadata saved to storage:", resultsKeyFor(s3Key));
 
-    console.log("Analysis + metadata saved to S3:", analysisKey);
+    const loudnessWarnings = analysis.loudness?.warnings || [];
+    if (loudnessWarnings.length > 0) {
+      console.warn(`${s3Key} loudness:`, loudnessWarnings.join("; "));
+    }
 
+    return { s3Key, sha256, bpm: analysis.bpm || null, shockValue: analysis.shockValue ?? null, duplicates, loudnessWarnings, catalogStale: !catalogUpdated };
+  } finally {
     // ----------------------
     // Cleanup local file
     // ----------------------
     try {
-    fs.unlinkSync(file.path);
+      fs.unlinkSync(localPath);
     } catch (cleanupError) {
-      console.warn("Failed to delete local file:", cleanupError);
+      console.warn("Failed to delete local file:", cleanupError.message);
     }
+  }
+}
 
-    // ----------------------
-    // Response
-    // ----------------------
-    res.json({
-      message: "Upload complete; analytics and metadata saved",
+// Deletes an uploaded reference recording unless the video's record still refers to it
+async function deleteUnusedReference(s3Key, referenceKey) {
+  try {
+    let storedKey = null;
+    try {
+      storedKey = (await loadVideoRecord(storage, s3Key)).referenceAlignment?.referenceKey || null;
+    } catch (err) {
+      if (err.code !== "NotFound") throw err;
+    }
+    if (storedKey !== referenceKey) {
+      await storage.delete(referenceKey);
+    }
+  } catch (err) {
+    console.warn(`Failed to delete unused reference ${referenceKey}:`, err.message);
+  }
+}
+
+// Stores the waveform peaks analyzeVideo returns next to the results document (too large to keep
+// in it); returns the storage key, or null when there are none or the upload fails
+async function saveWaveform(s3Key, waveform) {
+  if (!waveform) return null;
+
+  const waveformKey = `waveforms/${s3Key}.json`;
+  try {
+    await storage.putJson(waveformKey, waveform);
+    return waveformKey;
+  } catch (err) {
+    console.warn("Waveform upload failed:", err.message);
+    return null;
+  }
+}
+
+// Re-runs analyzeVideo on a stored video, keeping the previous analysis in analysisHistory
+async function runReanalyzeJob(job, { stage }) {
+  const { s3Key } = job.input;
+
+  // ----------------------
+  // Pull the original video from storage
+  // ----------------------
+  await stage("download");
+  const localPath = path.join(uploadDir, `reanalyze_${Date.now()}_${path.basename(s3Key)}`);
+  await downloadFromStorage(s3Key, localPath);
+
+  try {
+    await stage("analyze");
+    console.log(`Re-analyzing ${s3Key} with analysis version ${ANALYSIS_VERSION}...`);
+    const { waveform = null, ...analysis } = await analyzeVideo(localPath);
+
+    // Reload right before writing so metrics edited during the analysis aren't lost
+    await stage("save");
+    const metadata = await loadVideoRecord(storage, s3Key);
+    const previous = applyReanalysis(metadata, analysis, ANALYSIS_VERSION);
+    metadata.waveformKey = (await saveWaveform(s3Key, waveform)) || metadata.waveformKey || null;
+
+    // Videos uploaded before content hashing get their hash now, for duplicate detection
+    if (!metadata.contentSha256) {
+      metadata.contentSha256 = await hashFile(localPath);
+    }
+
+    await saveVideoRecord(storage, metadata);
+    const catalogUpdated = await upsertCatalogEntry(metadata);
+
+    console.log(`Re-analysis saved for ${s3Key} (v${previous.analysisVersion} → v${ANALYSIS_VERSION})`);
+
+    return {
       s3Key,
-      spotify: spotifyDataForStorage,
+      analysisVersion: ANALYSIS_VERSION,
+      previousAnalysisVersion: previous.analysisVersion,
+      bpm: analysis.bpm || null,
+      previousBpm: previous.analysis?.bpm || null,
+      shockValue: analysis.shockValue ?? null,
+      previousShockValue: previous.analysis?.shockValue ?? null,
+      catalogStale: !catalogUpdated,
+    };
+  } finally {
+    try {
+      fs.unlinkSync(localPath);
+    } catch (cleanupError) {
+      console.warn("Failed to delete local file:", cleanupError.message);
+    }
+  }
+}
+
+// Aligns a stored video with the original recording and saves the tightness scores
+// in referenceAlignment (see analysis/reference_alignment.js)
+async function runReferenceAlignmentJob(job, { stage }) {
+  const { s3Key, referenceKey, referencePath, referenceFilename } = job.input;
+
+  await stage("download");
+  const localPath = path.join(uploadDir, `align_${Date.now()}_${path.basename(s3Key)}`);
+  const localReferencePath = referenceKey
+    ? path.join(uploadDir, `reference_${Date.now()}_${path.basename(referenceKey)}`)
+    : referencePath;
+
+  try {
+    await downloadFromStorage(s3Key, localPath);
+    if (referenceKey) {
+      await downloadFromStorage(referenceKey, localReferencePath);
+    } else if (!fs.existsSync(localReferencePath)) {
+      throw new Error(`Reference file not found: ${referencePath}`);
+    }
+
+    await stage("align");
+    const { analysis } = await loadVideoRecord(storage, s3Key);
+    const alignment = await alignVideoToReference(localPath, localReferencePath, uploadDir, { bpm: analysis?.bpm || null });
+
+    // Reload right before writing so metrics edited during the alignment aren't lost
+    await stage("save");
+    const metadata = await loadVideoRecord(storage, s3Key);
+    const previousReferenceKey = metadata.referenceAlignment?.referenceKey;
+    metadata.referenceAlignment = {
+      ...alignment,
+      referenceFilename,
+      referenceKey: referenceKey || null,
+      alignedAt: new Date().toISOString(),
+    };
+    await saveVideoRecord(storage, metadata);
+    const catalogUpdated = await upsertCatalogEntry(metadata);
+
+    // A reference uploaded under another name replaces the old one
+    if (previousReferenceKey && previousReferenceKey !== referenceKey) {
+      await storage.delete(previousReferenceKey).catch(err => console.warn("Failed to delete old reference:", err.message));
+    }
+
+    console.log(`Reference alignment saved for ${s3Key} (tightness ${alignment.tightnessScore})`);
+
+    return {
+      s3Key,
+      offsetSeconds: alignment.offsetSeconds,
+      confidence: alignment.confidence,
+      tightnessScore: alignment.tightnessScore,
+      catalogStale: !catalogUpdated,
+    };
+  } catch (err) {
+    // The uploaded reference only gets onto the record when the alignment is saved, so nothing
+    // else would delete it; keep it if the record already points at the same key (a re-upload
+    // under the same name)
+    if (referenceKey) {
+      await deleteUnusedReference(s3Key, referenceKey);
+    }
+    throw err;
+  } finally {
+    const tempFiles = referenceKey ? [localPath, localReferencePath] : [localPath];
+    tempFiles.forEach(file => {
+      try {
+        fs.unlinkSync(file);
+      } catch (cleanupError) {
+        console.warn("Failed to delete local file:", cleanupError.message);
+      }
     });
+  }
+}
+
+// Queues a re-analysis unless one is already queued or running for this video
+async function queueReanalysis(s3Key) {
+  const existing = jobQueue.active("reanalyze").find(job => job.input.s3Key === s3Key);
+  if (existing) {
+    return { job: existing, alreadyQueued: true };
+  }
+  const job = await jobQueue.enqueue("reanalyze", { s3Key }, { stages: REANALYZE_STAGES });
+  return { job, alreadyQueued: false };
+}
+
+// ----------------------
+// Upload Helpers
+// ----------------------
+// Validates the video type / artist / track form fields shared by both upload routes
+// @returns {object} - { error } on invalid input, otherwise { fields } ready for the job input
+function parseUploadFields(body) {
+  const { artistId, trackId, artistName, trackName, videoType, spotifyMetadata } = body || {};
+
+  if (!videoType) {
+    return { error: "Video type must be selected" };
+  }
+
+  // For Original type, require artistName and trackName
+  if (videoType === 'Original') {
+    if (!artistName || !trackName) {
+      return { error: "Artist and track names are required for Original type" };
+    }
+  } else {
+    // For other types, require Spotify artistId and trackId
+    if (!artistId || !trackId) {
+      return { error: "Artist and track must be selected from Spotify" };
+    }
+  }
+
+  // ----------------------
+  // Parse Spotify metadata (JSON string → object)
+  // ----------------------
+  let spotifyData = null;
+
+  if (spotifyMetadata) {
+    spotifyData = typeof spotifyMetadata === "string" ? JSON.parse(spotifyMetadata) : spotifyMetadata;
+  }
+
+  console.log("Spotify metadata received:", spotifyData);
+
+  // ----------------------
+  // Normalize Spotify metadata
+  // ----------------------
+  const spotifyDataForStorage = spotifyData
+    ? {
+        artist: {
+          id: spotifyData.artist.id,
+          name: spotifyData.artist.name,
+          genres: spotifyData.artist.genres,
+          followers: spotifyData.artist.followers,
+        },
+        track: {
+          id: spotifyData.track.id,
+          name: spotifyData.track.name,
+          album: spotifyData.track.album,
+          release_date: spotifyData.track.release_date,
+          popularity: spotifyData.track.popularity,
+          duration_ms: spotifyData.track.duration_ms,
+          album_image_url: spotifyData.track.album_image_url || null,
+        },
+        audio_features: spotifyData.audio_features || null,
+      }
+    : null;
+
+  return {
+    fields: {
+      videoType,
+      artistId: artistId || null,
+      trackId: trackId || null,
+      artistName: artistName || null,
+      trackName: trackName || null,
+      spotify: spotifyDataForStorage,
+    },
+  };
+}
+
+// s3Keys start with the upload time in ms; batches queue several files with the same name
+// (e.g. IMG_0001.MOV from two cameras) within a millisecond, so never reuse a timestamp
+let lastUploadTimestamp = 0;
+
+// Queues the analysis job for a file that is fully on local disk
+// @param {object[]} pendingRecords - Other uploads not cataloged yet to check for exact duplicates (batch siblings)
+async function queueUploadAnalysis({ localPath, originalFilename, mimetype, sha256 }, fields, pendingRecords = []) {
+  lastUploadTimestamp = Math.max(Date.now(), lastUploadTimestamp + 1);
+  const s3Key = `${lastUploadTimestamp}-${originalFilename}`;
+
+  // Exact duplicates are known from the hash right away; audio matches are reported in the job result
+  const duplicates = sha256
+    ? findDuplicatesFor({ s3Key, contentSha256: sha256 }, [...(await catalog.all()), ...pendingRecords])
+    : [];
+
+  const job = await jobQueue.enqueue("upload", {
+    localPath,
+    s3Key,
+    originalFilename,
+    mimetype,
+    sha256,
+    ...fields,
+  }, { stages: UPLOAD_STAGES });
+
+  console.log(`Queued analysis job ${job.id} for ${s3Key}`);
+
+  return {
+    message: "Upload received; analysis queued",
+    jobId: job.id,
+    s3Key,
+    statusUrl: `/api/jobs/${job.id}`,
+    eventsUrl: `/api/jobs/${job.id}/events`,
+    spotify: fields.spotify,
+    duplicates,
+    warning: duplicates.length > 0
+      ? `This file is identical to ${duplicates.map(d => d.originalFilename || d.s3Key).join(", ")}`
+      : null,
+  };
+}
+
+// ----------------------
+// Upload Endpoint
+// ----------------------
+// Single-request upload (multer); validates the request and queues the analysis,
+// responding 202 with the job to follow. Large files should use /api/uploads instead.
+app.post("/upload", upload.single("video"), async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).send("No file uploaded");
+    }
+
+    const file = req.file;
+    const { error, fields } = parseUploadFields(req.body);
+    if (error) {
+      return res.status(400).send(error);
+    }
+
+    const response = await queueUploadAnalysis({
+      localPath: file.path,
+      originalFilename: file.originalname,
+      mimetype: file.mimetype,
+      sha256: await hashFile(file.path),
+    }, fields);
+
+    res.status(202).json(response);
   } catch (err) {
-    console.error("Upload or analysis error:", err);
+    console.error("Upload error:", err);
     // Clean up uploaded file if it exists
     if (req.file && req.file.path) {
       try {
@@ -336,622 +720,1487 @@ app.post("/upload", upload.single("video"), async (req, res) => {
         console.warn("Failed to cleanup file:", cleanupError);
       }
     }
-    res.status(500).json({ error: "Upload or analysis failed", message: err.message });
+    res.status(500).json({ error: "Upload failed", message: err.message });
   }
 });
 
 // ----------------------
-// List All Videos Endpoint
+// Resumable Upload Endpoints (see uploadSessions.js)
 // ----------------------
-app.get("/api/videos", async (req, res) => {
+// 1. POST /api/uploads { filename, size, mimetype }           -> session with chunkSize/totalChunks
+// 2. PUT /api/uploads/:id/chunks/:index (raw bytes, X-Chunk-SHA256 header), any order, retry freely
+// 3. GET /api/uploads/:id                                       -> receivedChunks, to resume after a drop
+// 4. POST /api/uploads/:id/complete { videoType, ..., sha256 } -> 202 with the analysis job (like /upload)
+const uploadSessions = createUploadSessions({
+  dir: path.join(uploadDir, "sessions"),
+  maxFileSize: (parseInt(process.env.MAX_UPLOAD_SIZE_MB) || 10240) * 1024 * 1024,
+});
+
+uploadSessions.pruneStale()
+  .then(count => count > 0 && console.log(`Removed ${count} abandoned upload session(s)`))
+  .catch(err => console.error("Failed to prune upload sessions:", err));
+
+function sessionResponse(session) {
+  return {
+    uploadId: session.id,
+    filename: session.filename,
+    totalSize: session.totalSize,
+    chunkSize: session.chunkSize,
+    totalChunks: session.totalChunks,
+    receivedChunks: Object.keys(session.received).map(Number).sort((a, b) => a - b),
+  };
+}
+
+function sendUploadError(res, err, fallbackMessage) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message, missingChunks: err.missingChunks });
+  }
+  console.error(`${fallbackMessage}:`, err);
+  res.status(500).json({ error: fallbackMessage, message: err.message });
+}
+
+app.post("/api/uploads", async (req, res) => {
   try {
-    // Validate environment variable
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
-      return res.status(500).json({ error: "Server configuration error" });
+    const session = await uploadSessions.create(req.body || {});
+    console.log(`Started resumable upload ${session.id} for ${session.filename} (${session.totalChunks} chunks)`);
+    res.status(201).json(sessionResponse(session));
+  } catch (err) {
+    sendUploadError(res, err, "Failed to start upload");
+  }
+});
+
+app.get("/api/uploads/:id", async (req, res) => {
+  try {
+    const session = await uploadSessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Upload session not found" });
     }
+    res.json(sessionResponse(session));
+  } catch (err) {
+    sendUploadError(res, err, "Failed to fetch upload");
+  }
+});
 
-    // List all objects in the S3 bucket
-    const listCommand = new ListObjectsV2Command({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Prefix: "results/", // Only get metadata files
-    });
+app.put(
+  "/api/uploads/:id/chunks/:index",
+  express.raw({ type: () => true, limit: uploadSessions.chunkSize + 1024 }),
+  async (req, res) => {
+    try {
+      const session = await uploadSessions.writeChunk(
+        req.params.id,
+        req.params.index,
+        req.body,
+        req.get("X-Chunk-SHA256")
+      );
+      res.json(sessionResponse(session));
+    } catch (err) {
+      sendUploadError(res, err, "Failed to store chunk");
+    }
+  }
+);
 
-    const listResponse = await s3.send(listCommand);
-    
-    if (!listResponse.Contents || listResponse.Contents.length === 0) {
-      return res.json([]);
+app.post("/api/uploads/:id/complete", async (req, res) => {
+  // Set once the session is assembled: from then on no session record points at the file
+  let filePath = null;
+  try {
+    const session = await uploadSessions.get(req.params.id);
+    if (!session) {
+      return res.status(404).json({ error: "Upload session not found" });
     }
 
-    // Fetch metadata for each video
-    const allVideosData = []; // Store all video data first to calculate medians
-    
-    for (const obj of listResponse.Contents) {
-      // Skip if it's not a JSON file
-      if (!obj.Key || !obj.Key.endsWith('.json')) continue;
-      
-      try {
-        // Extract s3Key from metadata filename (results/{s3Key}.json)
-        const s3Key = obj.Key.replace('results/', '').replace('.json', '');
-        
-        // Verify that the video file exists before including it
-        const headVideoCommand = new HeadObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: s3Key,
-        });
+    // Validate the form before assembling so a bad request can be fixed and retried
+    const { error, fields } = parseUploadFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
-        try {
-          await s3.send(headVideoCommand);
-          // Video file exists, proceed to get metadata
-        } catch (headErr) {
-          // Video file doesn't exist, skip this entry
-          console.log(`Skipping ${obj.Key} - video file ${s3Key} does not exist`);
-          continue;
-        }
+    const completed = await uploadSessions.complete(req.params.id, { sha256: req.body.sha256 });
+    filePath = completed.filePath;
+    const { sha256 } = completed;
+    console.log(`Completed resumable upload ${session.id} (sha256 ${sha256})`);
 
-        // Get the metadata file
-        const getMetadataCommand = new GetObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: obj.Key,
-        });
+    const response = await queueUploadAnalysis({
+      localPath: filePath,
+      originalFilename: session.filename,
+      mimetype: session.mimetype,
+      sha256,
+    }, fields);
 
-        const metadataResponse = await s3.send(getMetadataCommand);
-        const metadataStream = metadataResponse.Body;
-        
-        // Convert stream to string - AWS SDK v3 returns a Readable stream
-        const metadataText = await new Promise((resolve, reject) => {
-          const chunks = [];
-          metadataStream.on('data', (chunk) => chunks.push(chunk));
-          metadataStream.on('end', () => {
-            try {
-              resolve(Buffer.concat(chunks).toString('utf-8'));
-            } catch (err) {
-              reject(err);
-            }
-          });
-          metadataStream.on('error', reject);
-        });
+    res.status(202).json({ ...response, sha256 });
+  } catch (err) {
+    // The job never got the assembled file, and pruneStale() only finds files with a session
+    if (filePath) {
+      fs.unlink(filePath, () => {});
+    }
+    sendUploadError(res, err, "Failed to complete upload");
+  }
+});
 
-        const metadata = JSON.parse(metadataText);
-        
-        // Ensure we're using the most recent metrics from the metadata file
-        // The metadata file always contains the latest metrics values (updated when metrics are saved)
-        // metricsHistory is for tracking changes, but the root-level metrics are always current
-        let latestMetrics = {
-          igViews: metadata.igViews || null,
-          igLikes: metadata.igLikes || null,
-          tiktokViews: metadata.tiktokViews || null,
-          tiktokLikes: metadata.tiktokLikes || null,
-          igHashtags: metadata.igHashtags || null,
-          tiktokHashtags: metadata.tiktokHashtags || null,
-          postedDate: metadata.postedDate || null,
-          metricsUpdatedAt: metadata.metricsUpdatedAt || null
-        };
-        
-        // Verify against history if it exists (safety check - metadata should always be most recent)
-        if (metadata.metricsHistory && metadata.metricsHistory.length > 0) {
-          const mostRecentHistory = metadata.metricsHistory[0];
-          if (mostRecentHistory.current && mostRecentHistory.timestamp) {
-            const historyTimestamp = new Date(mostRecentHistory.timestamp);
-            const metadataTimestamp = metadata.metricsUpdatedAt ? new Date(metadata.metricsUpdatedAt) : null;
-            
-            // If history timestamp is more recent than metadata timestamp, use history (shouldn't happen, but safety check)
-            if (!metadataTimestamp || historyTimestamp > metadataTimestamp) {
-              latestMetrics = {
-                igViews: mostRecentHistory.current.igViews !== undefined ? mostRecentHistory.current.igViews : latestMetrics.igViews,
-                igLikes: mostRecentHistory.current.igLikes !== undefined ? mostRecentHistory.current.igLikes : latestMetrics.igLikes,
-                tiktokViews: mostRecentHistory.current.tiktokViews !== undefined ? mostRecentHistory.current.tiktokViews : latestMetrics.tiktokViews,
-                tiktokLikes: mostRecentHistory.current.tiktokLikes !== undefined ? mostRecentHistory.current.tiktokLikes : latestMetrics.tiktokLikes,
-                igHashtags: mostRecentHistory.current.igHashtags !== undefined ? mostRecentHistory.current.igHashtags : latestMetrics.igHashtags,
-                tiktokHashtags: mostRecentHistory.current.tiktokHashtags !== undefined ? mostRecentHistory.current.tiktokHashtags : latestMetrics.tiktokHashtags,
-                postedDate: mostRecentHistory.current.postedDate !== undefined ? mostRecentHistory.current.postedDate : latestMetrics.postedDate,
-                metricsUpdatedAt: mostRecentHistory.timestamp
-              };
-            }
-          }
-        }
-        
-        // Extract video info - handle both Original type (free text) and Spotify-linked videos
-        const videoInfo = {
-          s3Key: metadata.s3Key || s3Key,
-          originalFilename: metadata.originalFilename,
-          videoType: metadata.videoType || null,
-          artistName: metadata.artistName || metadata.spotify?.artist?.name || 'Unknown Artist',
-          trackName: metadata.trackName || metadata.spotify?.track?.name || 'Unknown Track',
-          album: metadata.spotify?.track?.album || null,
-          releaseDate: metadata.spotify?.track?.release_date || null,
-          popularity: metadata.spotify?.track?.popularity || null,
-          artistFollowers: metadata.spotify?.artist?.followers || null,
-          genres: metadata.spotify?.artist?.genres || [],
-          albumImageUrl: metadata.spotify?.track?.album_image_url || null,
-          snapshotKey: metadata.snapshotKey || null,
-          analyzedAt: metadata.analyzedAt || null,
-          uploadTimestamp: metadata.s3Key ? parseInt(metadata.s3Key.split('-')[0]) : null,
-          // Social media metrics - always use the most recent values
-          igHashtags: latestMetrics.igHashtags,
-          tiktokHashtags: latestMetrics.tiktokHashtags,
-          igViews: latestMetrics.igViews,
-          igLikes: latestMetrics.igLikes,
-          tiktokViews: latestMetrics.tiktokViews,
-          tiktokLikes: latestMetrics.tiktokLikes,
-          postedDate: latestMetrics.postedDate,
-          metricsUpdatedAt: latestMetrics.metricsUpdatedAt,
-          // Include analysis data if available
-          duration: metadata.analysis?.duration || null,
-          size_mb: metadata.analysis?.size_mb || null,
-          resolution: metadata.analysis?.video ? `${metadata.analysis.video.width}x${metadata.analysis.video.height}` : null,
-          videoCodec: metadata.analysis?.video?.codec || null,
-          fps: metadata.analysis?.video?.fps || null,
-          audioCodec: metadata.analysis?.audio?.codec || null,
-          sampleRate: metadata.analysis?.audio?.sample_rate || null,
-          bpm: metadata.analysis?.bpm || null,
-          pitch: metadata.analysis?.pitch || null,
-          pitchConfidence: metadata.analysis?.pitchConfidence || null,
-          onsets: metadata.analysis?.onsets || null,
-          onsetRate: metadata.analysis?.onsetRate || null,
-          energy: metadata.analysis?.energy || null,
-          silenceRatio: metadata.analysis?.silenceRatio || null,
-          tempoSpikes: metadata.analysis?.tempoSpikes || null,
-          volumeSpikes: metadata.analysis?.volumeSpikes || null,
-          unusualPatterns: metadata.analysis?.unusualPatterns || null,
-          shockValue: metadata.analysis?.shockValue || null,
-        };
+app.delete("/api/uploads/:id", async (req, res) => {
+  try {
+    if (!(await uploadSessions.remove(req.params.id))) {
+      return res.status(404).json({ error: "Upload session not found" });
+    }
+    res.json({ message: "Upload cancelled" });
+  } catch (err) {
+    sendUploadError(res, err, "Failed to cancel upload");
+  }
+});
+
+// ----------------------
+// Batch Upload Endpoints
+// ----------------------
+// Several takes/angles of the same cover share one artist/track/videoType. Each file gets
+// its own analysis job; GET /api/batches/:id reports per-file status once they finish.
+const MAX_BATCH_FILES = 20;
+const batchKeyFor = (id) => `batches/${id}.json`;
+
+// Queues every file of a batch, recording per-file failures instead of aborting the batch.
+// A file that fails before its job is queued is deleted here, since no job will clean it up.
+// @param {object[]} items - [{ filename, prepare, localPath }] where prepare() resolves to the queueUploadAnalysis()
+//                           file info and localPath (optional) is the file to delete if prepare() itself fails
+async function createUploadBatch(items, fields) {
+  const batch = {
+    id: crypto.randomUUID(),
+    createdAt: new Date().toISOString(),
+    videoType: fields.videoType,
+    artistName: fields.artistName || fields.spotify?.artist?.name || null,
+    trackName: fields.trackName || fields.spotify?.track?.name || null,
+    files: [],
+  };
 
-        allVideosData.push(videoInfo);
-      } catch (err) {
-        console.error(`Error processing metadata for ${obj.Key}:`, err);
-        // Continue with next video
+  const queued = [];
+  for (const item of items) {
+    let file = null;
+    try {
+      file = await item.prepare();
+      const response = await queueUploadAnalysis(file, fields, queued);
+      queued.push({ s3Key: response.s3Key, originalFilename: file.originalFilename, contentSha256: file.sha256 });
+      batch.files.push({
+        filename: item.filename,
+        s3Key: response.s3Key,
+        jobId: response.jobId,
+        duplicates: response.duplicates,
+        error: null,
+      });
+    } catch (err) {
+      console.error(`Batch ${batch.id}: failed to queue ${item.filename}:`, err.message);
+      batch.files.push({ filename: item.filename, s3Key: null, jobId: null, duplicates: [], error: err.message });
+      const localPath = file?.localPath || item.localPath;
+      if (localPath) {
+        fs.unlink(localPath, () => {});
       }
     }
+  }
+
+  await storage.putJson(batchKeyFor(batch.id), batch);
+  console.log(`Batch ${batch.id}: queued ${batch.files.filter(f => f.jobId).length} of ${items.length} files`);
+
+  return batch;
+}
 
-    // Calculate success scores and ranks for all videos
-    // First, calculate medians for normalization
-    const igViewsValues = allVideosData
-      .filter(v => v.igViews !== null && v.igViews !== undefined && v.igViews > 0)
-      .map(v => v.igViews);
-    const igLikesValues = allVideosData
-      .filter(v => v.igLikes !== null && v.igLikes !== undefined && v.igLikes > 0)
-      .map(v => v.igLikes);
-    const tiktokViewsValues = allVideosData
-      .filter(v => v.tiktokViews !== null && v.tiktokViews !== undefined && v.tiktokViews > 0)
-      .map(v => v.tiktokViews);
-    const tiktokLikesValues = allVideosData
-      .filter(v => v.tiktokLikes !== null && v.tiktokLikes !== undefined && v.tiktokLikes > 0)
-      .map(v => v.tiktokLikes);
-
-    const calculateMedian = (values) => {
-      if (values.length === 0) return 0;
-      const sorted = [...values].sort((a, b) => a - b);
-      const mid = Math.floor(sorted.length / 2);
-      return sorted.length % 2 === 0
-        ? (sorted[mid - 1] + sorted[mid]) / 2
-        : sorted[mid];
+// Batch state merged with the current state of each file's analysis job
+async function buildBatchReport(batch) {
+  const files = await Promise.all(batch.files.map(async file => {
+    const job = file.jobId ? await jobQueue.get(file.jobId) : null;
+    const status = !file.jobId ? "failed" : job ? job.status : "unknown";
+    return {
+      filename: file.filename,
+      s3Key: file.s3Key,
+      jobId: file.jobId,
+      status,
+      stage: job?.stage || null,
+      progress: job?.progress ?? (status === "failed" ? 0 : null),
+      error: file.error || job?.error || null,
+      bpm: job?.result?.bpm ?? null,
+      shockValue: job?.result?.shockValue ?? null,
+      duplicates: job?.result?.duplicates || file.duplicates || [],
+      loudnessWarnings: job?.result?.loudnessWarnings || [],
     };
+  }));
+
+  const count = (status) => files.filter(f => f.status === status).length;
+  const summary = {
+    total: files.length,
+    completed: count("completed"),
+    failed: count("failed"),
+    pending: count("queued") + count("running"),
+  };
 
-    const igViewsMedian = calculateMedian(igViewsValues);
-    const igLikesMedian = calculateMedian(igLikesValues);
-    const tiktokViewsMedian = calculateMedian(tiktokViewsValues);
-    const tiktokLikesMedian = calculateMedian(tiktokLikesValues);
-
-    // Calculate engagement rate medians (likes/views)
-    const igEngagementRates = allVideosData
-      .filter(v => v.igViews > 0 && v.igLikes !== null && v.igLikes !== undefined && v.igLikes >= 0)
-      .map(v => v.igLikes / v.igViews);
-    const tiktokEngagementRates = allVideosData
-      .filter(v => v.tiktokViews > 0 && v.tiktokLikes !== null && v.tiktokLikes !== undefined && v.tiktokLikes >= 0)
-      .map(v => v.tiktokLikes / v.tiktokViews);
-
-    const igEngagementMedian = calculateMedian(igEngagementRates);
-    const tiktokEngagementMedian = calculateMedian(tiktokEngagementRates);
-
-    // Calculate success score for each video
-    // Equally weight all available metrics: views, likes, and engagement rate (likes/views)
-    allVideosData.forEach(video => {
-      const metrics = [];
-      let hasMetrics = false;
-
-      // IG metrics
-      if (video.igViews !== null && video.igViews !== undefined && video.igViews > 0) {
-        hasMetrics = true;
-        // Views score (normalized to median)
-        if (igViewsMedian > 0) {
-          const viewsRatio = Math.min(video.igViews / igViewsMedian, 2); // Cap at 2x median
-          metrics.push(viewsRatio);
-        }
-        
-        // Likes score (normalized to median)
-        if (video.igLikes !== null && video.igLikes !== undefined && video.igLikes >= 0 && igLikesMedian > 0) {
-          const likesRatio = Math.min(video.igLikes / igLikesMedian, 2); // Cap at 2x median
-          metrics.push(likesRatio);
-        }
-        
-        // Engagement rate score (likes/views, normalized to median engagement rate)
-        if (video.igLikes !== null && video.igLikes !== undefined && video.igLikes >= 0 && 
-            video.igViews > 0 && igEngagementMedian > 0) {
-          const engagementRate = video.igLikes / video.igViews;
-          const engagementRatio = Math.min(engagementRate / igEngagementMedian, 2); // Cap at 2x median
-          metrics.push(engagementRatio);
-        }
-      }
+  return {
+    batchId: batch.id,
+    createdAt: batch.createdAt,
+    videoType: batch.videoType,
+    artistName: batch.artistName,
+    trackName: batch.trackName,
+    done: summary.pending === 0,
+    summary,
+    files,
+  };
+}
+
+// Multipart batch: all files in one request (fine for a few small clips)
+app.post("/upload/batch", upload.array("videos", MAX_BATCH_FILES), async (req, res) => {
+  const files = req.files || [];
+  // Once createUploadBatch() has the files, it and the jobs own their cleanup
+  let handedOff = false;
+  try {
+    if (files.length === 0) {
+      return res.status(400).json({ error: "No files uploaded" });
+    }
+
+    const { error, fields } = parseUploadFields(req.body);
+    if (error) {
+      files.forEach(file => fs.unlink(file.path, () => {}));
+      return res.status(400).json({ error });
+    }
+
+    handedOff = true;
+    const batch = await createUploadBatch(files.map(file => ({
+      filename: file.originalname,
+      localPath: file.path,
+      prepare: async () => ({
+        localPath: file.path,
+        originalFilename: file.originalname,
+        mimetype: file.mimetype,
+        sha256: await hashFile(file.path),
+      }),
+    })), fields);
+
+    res.status(202).json({ ...(await buildBatchReport(batch)), statusUrl: `/api/batches/${batch.id}` });
+  } catch (err) {
+    console.error("Batch upload error:", err);
+    if (!handedOff) {
+      files.forEach(file => fs.unlink(file.path, () => {}));
+    }
+    res.status(500).json({ error: "Batch upload failed", message: err.message });
+  }
+});
+
+// Resumable batch: files were sent with /api/uploads; complete them all with the shared metadata
+app.post("/api/batches", async (req, res) => {
+  try {
+    const { uploadIds } = req.body || {};
+    if (!Array.isArray(uploadIds) || uploadIds.length === 0) {
+      return res.status(400).json({ error: "uploadIds must be a non-empty array" });
+    }
+    if (uploadIds.length > MAX_BATCH_FILES) {
+      return res.status(400).json({ error: `A batch can contain at most ${MAX_BATCH_FILES} files` });
+    }
+
+    const { error, fields } = parseUploadFields(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const items = await Promise.all(uploadIds.map(async uploadId => {
+      const session = await uploadSessions.get(uploadId);
+      return {
+        uploadId,
+        filename: session?.filename || uploadId,
+        prepare: async () => {
+          if (!session) throw new Error("Upload session not found");
+          const { filePath, sha256 } = await uploadSessions.complete(uploadId);
+          return { localPath: filePath, originalFilename: session.filename, mimetype: session.mimetype, sha256 };
+        },
+      };
+    }));
+
+    const batch = await createUploadBatch(items, fields);
+    const report = await buildBatchReport(batch);
+
+    res.status(202).json({
+      ...report,
+      // Lets the client tell which of its upload sessions were consumed
+      files: report.files.map((file, i) => ({ ...file, uploadId: items[i].uploadId })),
+      statusUrl: `/api/batches/${batch.id}`,
+    });
+  } catch (err) {
+    console.error("Batch upload error:", err);
+    res.status(500).json({ error: "Batch upload failed", message: err.message });
+  }
+});
+
+app.get("/api/batches/:id", async (req, res) => {
+  try {
+    // Batch ids are UUIDs; anything else could be a path traversal attempt
+    if (!/^[0-9a-f-]{36}$/.test(req.params.id)) {
+      return res.status(404).json({ error: "Batch not found" });
+    }
+
+    let batch;
+    try {
+      batch = await storage.getJson(batchKeyFor(req.params.id));
+    } catch (err) {
+      if (err.code === "NotFound") {
+        return res.status(404).json({ error: "Batch not found" });
+      }
+      throw err;
+    }
+    res.json(await buildBatchReport(batch));
+  } catch (err) {
+    console.error("Error fetching batch:", err);
+    res.status(500).json({ error: "Failed to fetch batch", message: err.message });
+  }
+});
+
+// ----------------------
+// Job Status Endpoints
+// ----------------------
+app.get("/api/jobs/:id", async (req, res) => {
+  try {
+    const job = await jobQueue.get(req.params.id);
+    if (!job) {
+      return res.status(404).json({ error: "Job not found" });
+    }
+    res.json(job);
+  } catch (err) {
+    console.error("Error fetching job:", err);
+    res.status(500).json({ error: "Failed to fetch job", message: err.message });
+  }
+});
+
+// Server-sent events: sends the job immediately, then on every change until it finishes
+app.get("/api/jobs/:id/events", async (req, res) => {
+  let job;
+  try {
+    job = await jobQueue.get(req.params.id);
+  } catch (err) {
+    console.error("Error fetching job:", err);
+    return res.status(500).json({ error: "Failed to fetch job", message: err.message });
+  }
+  if (!job) {
+    return res.status(404).json({ error: "Job not found" });
+  }
+
+  res.set({
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    "Connection": "keep-alive",
+  });
+  res.flushHeaders();
+
+  const isFinished = (j) => j.status === "completed" || j.status === "failed";
+  const send = (j) => {
+    res.write(`event: ${isFinished(j) ? j.status : "progress"}\ndata: ${JSON.stringify(j)}\n\n`);
+    if (isFinished(j)) {
+      cleanup();
+      res.end();
+    }
+  };
+
+  // Comment lines keep proxies from closing an idle stream during long analysis stages
+  const keepAlive = setInterval(() => res.write(": keep-alive\n\n"), 15000);
+  const unsubscribe = jobQueue.subscribe(job.id, send);
+  const cleanup = () => {
+    clearInterval(keepAlive);
+    unsubscribe();
+  };
+  req.on("close", cleanup);
+
+  send(job);
+});
+
+// ----------------------
+// Success Scores
+// ----------------------
+// Adds successScore (0-100) and successRank (1 = best) to flattened videos, in place.
+// Scores are relative to the medians of the videos passed in.
+function scoreVideos(allVideosData) {
+  // Videos resolved as duplicates of another (duplicateOf) are neither scored nor ranked
+  const scoredVideos = allVideosData.filter(v => !v.duplicateOf);
+
+  // First, calculate medians for normalization
+  const igViewsValues = scoredVideos
+    .filter(v => v.igViews !== null && v.igViews !== undefined && v.igViews > 0)
+    .map(v => v.igViews);
+  const igLikesValues = scoredVideos
+    .filter(v => v.igLikes !== null && v.igLikes !== undefined && v.igLikes > 0)
+    .map(v => v.igLikes);
+  const tiktokViewsValues = scoredVideos
+    .filter(v => v.tiktokViews !== null && v.tiktokViews !== undefined && v.tiktokViews > 0)
+    .map(v => v.tiktokViews);
+  const tiktokLikesValues = scoredVideos
+    .filter(v => v.tiktokLikes !== null && v.tiktokLikes !== undefined && v.tiktokLikes > 0)
+    .map(v => v.tiktokLikes);
+
+  const calculateMedian = (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 === 0
+      ? (sorted[mid - 1] + sorted[mid]) / 2
+      : sorted[mid];
+  };
+
+  const igViewsMedian = calculateMedian(igViewsValues);
+  const igLikesMedian = calculateMedian(igLikesValues);
+  const tiktokViewsMedian = calculateMedian(tiktokViewsValues);
+  const tiktokLikesMedian = calculateMedian(tiktokLikesValues);
+
+  // Calculate engagement rate medians (likes/views)
+  const igEngagementRates = scoredVideos
+    .filter(v => v.igViews > 0 && v.igLikes !== null && v.igLikes !== undefined && v.igLikes >= 0)
+    .map(v => v.igLikes / v.igViews);
+  const tiktokEngagementRates = scoredVideos
+    .filter(v => v.tiktokViews > 0 && v.tiktokLikes !== null && v.tiktokLikes !== undefined && v.tiktokLikes >= 0)
+    .map(v => v.tiktokLikes / v.tiktokViews);
+
+  const igEngagementMedian = calculateMedian(igEngagementRates);
+  const tiktokEngagementMedian = calculateMedian(tiktokEngagementRates);
+
+  // Calculate success score for each video
+  // Equally weight all available metrics: views, likes, and engagement rate (likes/views)
+  allVideosData.forEach(video => {
+    const metrics = [];
+    let hasMetrics = false;
+
+    // IG metrics
+    if (video.igViews !== null && video.igViews !== undefined && video.igViews > 0) {
+      hasMetrics = true;
+      // Views score (normalized to median)
+      if (igViewsMedian > 0) {
+        const viewsRatio = Math.min(video.igViews / igViewsMedian, 2); // Cap at 2x median
+        metrics.push(viewsRatio);
+      }
+      
+      // Likes score (normalized to median)
+      if (video.igLikes !== null && video.igLikes !== undefined && video.igLikes >= 0 && igLikesMedian > 0) {
+        const likesRatio = Math.min(video.igLikes / igLikesMedian, 2); // Cap at 2x median
+        metrics.push(likesRatio);
+      }
+      
+      // Engagement rate score (likes/views, normalized to median engagement rate)
+      if (video.igLikes !== null && video.igLikes !== undefined && video.igLikes >= 0 && 
+          video.igViews > 0 && igEngagementMedian > 0) {
+        const engagementRate = video.igLikes / video.igViews;
+        const engagementRatio = Math.min(engagementRate / igEngagementMedian, 2); // Cap at 2x median
+        metrics.push(engagementRatio);
+      }
+    }
+
+    // TikTok metrics
+    if (video.tiktokViews !== null && video.tiktokViews !== undefined && video.tiktokViews > 0) {
+      hasMetrics = true;
+      // Views score (normalized to median)
+      if (tiktokViewsMedian > 0) {
+        const viewsRatio = Math.min(video.tiktokViews / tiktokViewsMedian, 2); // Cap at 2x median
+        metrics.push(viewsRatio);
+      }
+      
+      // Likes score (normalized to median)
+      if (video.tiktokLikes !== null && video.tiktokLikes !== undefined && video.tiktokLikes >= 0 && tiktokLikesMedian > 0) {
+        const likesRatio = Math.min(video.tiktokLikes / tiktokLikesMedian, 2); // Cap at 2x median
+        metrics.push(likesRatio);
+      }
+      
+      // Engagement rate score (likes/views, normalized to median engagement rate)
+      if (video.tiktokLikes !== null && video.tiktokLikes !== undefined && video.tiktokLikes >= 0 && 
+          video.tiktokViews > 0 && tiktokEngagementMedian > 0) {
+        const engagementRate = video.tiktokLikes / video.tiktokViews;
+        const engagementRatio = Math.min(engagementRate / tiktokEngagementMedian, 2); // Cap at 2x median
+        metrics.push(engagementRatio);
+      }
+    }
+
+    // Calculate success score: equally weight all metrics
+    if (!video.duplicateOf && hasMetrics && metrics.length > 0) {
+      // Average all metrics and scale to 0-100
+      const avgRatio = metrics.reduce((sum, ratio) => sum + ratio, 0) / metrics.length;
+      // Scale: if avgRatio is 1.0 (at median), score is 50. If avgRatio is 2.0 (2x median), score is 100.
+      // Linear scaling: score = (avgRatio / 2.0) * 100, capped at 100
+      video.successScore = Math.min(Math.round((avgRatio / 2.0) * 100), 100);
+    } else {
+      video.successScore = null;
+    }
+  });
+
+  // Calculate ranks based on success score
+  const videosWithScores = allVideosData.filter(v => v.successScore !== null && v.successScore !== undefined);
+  videosWithScores.sort((a, b) => b.successScore - a.successScore);
+  
+  // Assign ranks (lower rank number = better, rank 1 is best)
+  videosWithScores.forEach((video, index) => {
+    video.successRank = index + 1;
+  });
+
+  // Set rank to null for videos without scores
+  allVideosData.forEach(video => {
+    if (video.successScore === null || video.successScore === undefined) {
+      video.successRank = null;
+    }
+  });
+
+  return allVideosData;
+}
+
+// Adds the song project (see projects.js) and its aggregated metrics to scored videos, in place.
+// Projects are ranked against each other by their best take, and each take is ranked within
+// its project, so alternate takes of one song no longer have to be compared via successRank.
+function addProjectFields(videos, projectList) {
+  const byKey = new Map(videos.map(video => [video.s3Key, video]));
+
+  const summaries = projectList.map(project => {
+    const takes = project.s3Keys.map(s3Key => byKey.get(s3Key)).filter(Boolean);
+    return { project, takes, metrics: aggregateProjectMetrics(takes) };
+  });
+
+  const ranked = summaries
+    .filter(summary => summary.metrics.bestSuccessScore !== null)
+    .sort((a, b) => b.metrics.bestSuccessScore - a.metrics.bestSuccessScore);
+
+  videos.forEach(video => {
+    video.projectId = null;
+    video.projectName = null;
+    video.projectVideoCount = null;
+    video.projectTotalViews = null;
+    video.projectTotalLikes = null;
+    video.projectSuccessScore = null;
+    video.projectSuccessRank = null;
+    video.takeRank = null;
+  });
+
+  summaries.forEach(({ project, takes, metrics }) => {
+    const rank = ranked.findIndex(summary => summary.project.id === project.id);
+    const takesByScore = takes
+      .filter(take => take.successScore !== null)
+      .sort((a, b) => b.successScore - a.successScore);
+
+    takes.forEach(take => {
+      take.projectId = project.id;
+      take.projectName = project.name;
+      take.projectVideoCount = metrics.videoCount;
+      take.projectTotalViews = metrics.totalViews;
+      take.projectTotalLikes = metrics.totalLikes;
+      take.projectSuccessScore = metrics.bestSuccessScore;
+      take.projectSuccessRank = rank === -1 ? null : rank + 1;
+      take.takeRank = take.successScore !== null ? takesByScore.indexOf(take) + 1 : null;
+    });
+  });
+
+  return videos;
+}
+
+// ----------------------
+// List All Videos Endpoint
+// ----------------------
+// Optional pagination: ?limit=N&cursor=<s3Key of the last video on the previous page>
+// Without limit the full array is returned; with limit the response is { videos, total, nextCursor }
+app.get("/api/videos", async (req, res) => {
+  try {
+    // Validate storage configuration
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : null;
+    const cursor = req.query.cursor || null;
+
+    if (limit !== null && (isNaN(limit) || limit < 1 || limit > 500)) {
+      return res.status(400).json({ error: "limit must be a number between 1 and 500" });
+    }
+
+    // Read all video metadata from the catalog index
+    const catalogEntries = await catalog.all();
+    
+    if (catalogEntries.length === 0) {
+      return res.json(limit === null ? [] : { videos: [], total: 0, nextCursor: null });
+    }
+
+    // Flatten every video first to calculate medians
+    const allVideosData = flattenVideoRecords(catalogEntries);
+
+    // Calculate success scores and ranks for all videos, then the project aggregates
+    scoreVideos(allVideosData);
+    addProjectFields(allVideosData, await projects.all());
+
+    // Use allVideosData as videos (they now have success scores and ranks)
+    const videos = allVideosData;
+
+    // Sort by posted date (newest first), fallback to upload timestamp if no posted date
+    videos.sort((a, b) => {
+      let aDate, bDate;
+      
+      if (a.postedDate) {
+        // If it's in YYYY-MM-DD format, parse it as local date to avoid timezone issues
+        if (/^\d{4}-\d{2}-\d{2}$/.test(a.postedDate)) {
+          aDate = new Date(a.postedDate + 'T12:00:00').getTime(); // Use noon to avoid timezone edge cases
+        } else {
+          aDate = new Date(a.postedDate).getTime();
+        }
+      } else {
+        aDate = a.uploadTimestamp || 0;
+      }
+      
+      if (b.postedDate) {
+        if (/^\d{4}-\d{2}-\d{2}$/.test(b.postedDate)) {
+          bDate = new Date(b.postedDate + 'T12:00:00').getTime();
+        } else {
+          bDate = new Date(b.postedDate).getTime();
+        }
+      } else {
+        bDate = b.uploadTimestamp || 0;
+      }
+      
+      return bDate - aDate;
+    });
+
+    if (limit === null) {
+      return res.json(videos);
+    }
+
+    // Paginate after scoring and sorting so ranks are computed across the whole library
+    let start = 0;
+    if (cursor) {
+      const cursorIndex = videos.findIndex(v => v.s3Key === cursor);
+      if (cursorIndex === -1) {
+        return res.status(400).json({ error: "Invalid cursor" });
+      }
+      start = cursorIndex + 1;
+    }
+
+    const page = videos.slice(start, start + limit);
+    res.json({
+      videos: page,
+      total: videos.length,
+      nextCursor: start + limit < videos.length ? page[page.length - 1].s3Key : null
+    });
+  } catch (err) {
+    console.error("Error listing videos:", err);
+    res.status(500).json({ error: "Failed to list videos" });
+  }
+});
+
+// ----------------------
+// Get Video Playback URL Endpoint
+// ----------------------
+app.get("/api/videos/:s3Key/play", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
+    
+    if (!s3Key) {
+      return res.status(400).json({ error: "Video key is required" });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+    
+    // Generate a signed URL that expires in 1 hour
+    const signedUrl = await storage.signedUrl(s3Key, { expiresIn: 3600 });
+    
+    res.json({ url: signedUrl });
+  } catch (err) {
+    console.error("Error generating video URL:", err);
+    res.status(500).json({ error: "Failed to generate video URL", message: err.message });
+  }
+});
+
+// ----------------------
+// Get Snapshot Image URL Endpoint
+// ----------------------
+app.get("/api/videos/:s3Key/snapshot", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
+    
+    if (!s3Key) {
+      return res.status(400).json({ error: "Video key is required" });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+    
+    const snapshotKey = `snapshots/${s3Key}.jpg`;
+
+    // Generate a signed URL that expires in 1 hour
+    const signedUrl = await storage.signedUrl(snapshotKey, { expiresIn: 3600 });
+    
+    res.json({ url: signedUrl });
+  } catch (err) {
+    console.error("Error generating snapshot URL:", err);
+    res.status(500).json({ error: "Failed to generate snapshot URL", message: err.message });
+  }
+});
+
+// ----------------------
+// Update Video Metrics Endpoint
+// ----------------------
+app.put("/api/videos/:s3Key/metrics", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
+    
+    if (!s3Key) {
+      return res.status(400).json({ error: "Video key is required" });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    // Get the existing metadata file
+    let metadata;
+    try {
+      metadata = await loadVideoRecord(storage, s3Key);
+    } catch (err) {
+      console.error("Error fetching metadata:", err);
+      return res.status(404).json({ error: "Video metadata not found" });
+    }
+
+    // Update the metrics, recording a history entry if anything changed
+    const { changes, historyEntry } = applyMetricsUpdate(metadata, req.body);
+
+    // Save updated metadata back to storage
+    await saveVideoRecord(storage, metadata);
+    const catalogUpdated = await upsertCatalogEntry(metadata);
+
+    console.log(`Updated metrics for video: ${s3Key}`);
+    
+    res.json({ 
+      message: "Metrics updated successfully", 
+      s3Key,
+      metrics: getLatestMetrics(metadata),
+      historyEntry: historyEntry ? {
+        timestamp: historyEntry.timestamp,
+        changes: changes
+      } : null,
+      totalHistoryEntries: metadata.metricsHistory.length,
+      // The list endpoints read the catalog, so they show the old values until it is rebuilt
+      catalogStale: !catalogUpdated
+    });
+  } catch (err) {
+    console.error("Error updating video metrics:", err);
+    res.status(500).json({ error: "Failed to update metrics", message: err.message });
+  }
+});
+
+// ----------------------
+// Get Video Metrics History Endpoint
+// ----------------------
+app.get("/api/videos/:s3Key/metrics-history", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
+    
+    if (!s3Key) {
+      return res.status(400).json({ error: "Video key is required" });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    // Get the existing metadata file
+    let metadata;
+    try {
+      metadata = await loadVideoRecord(storage, s3Key);
+    } catch (err) {
+      console.error("Error fetching metadata:", err);
+      return res.status(404).json({ error: "Video metadata not found" });
+    }
+
+    // Return metrics history
+    const history = metadata.metricsHistory;
+    
+    res.json({
+      s3Key,
+      trackName: trackNameOf(metadata) || 'Unknown',
+      artistName: artistNameOf(metadata) || 'Unknown',
+      currentMetrics: getLatestMetrics(metadata),
+      history: history,
+      totalHistoryEntries: history.length
+    });
+  } catch (err) {
+    console.error("Error fetching metrics history:", err);
+    res.status(500).json({ error: "Failed to fetch metrics history", message: err.message });
+  }
+});
+
+// ----------------------
+// Duplicate Videos Endpoint
+// ----------------------
+// Suspected duplicate groups for review: identical files (same SHA-256) and audio
+// fingerprint matches (re-encodes, trimmed versions). Videos analyzed before fingerprinting
+// only match on content hash until they are re-analyzed (POST /api/videos/reanalyze).
+// Videos already resolved as a duplicate of another (duplicateOf) are left out.
+app.get("/api/videos/duplicates", async (req, res) => {
+  try {
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    // Hashes and fingerprints come from their own index, the rest from the catalog
+    const records = await catalog.all();
+    const byKey = new Map(records.filter(record => !record.duplicateOf).map(record => [record.s3Key, record]));
+    const fingerprintEntries = await fingerprints.all();
+    const candidates = fingerprintEntries.filter(entry => byKey.has(entry.s3Key));
+
+    const groups = findDuplicateGroups(candidates).map(group => ({
+      videos: group.s3Keys.map(s3Key => {
+        const video = flattenVideoRecord(byKey.get(s3Key));
+        return {
+          s3Key,
+          originalFilename: video.originalFilename,
+          artistName: video.artistName,
+          trackName: video.trackName,
+          uploadTimestamp: video.uploadTimestamp,
+          duration: video.duration,
+          igViews: video.igViews,
+          tiktokViews: video.tiktokViews,
+          snapshotKey: video.snapshotKey,
+        };
+      }),
+      matches: group.matches,
+    }));
+
+    res.json({
+      totalVideos: records.length,
+      hashedVideos: fingerprintEntries.filter(entry => entry.contentSha256).length,
+      fingerprintedVideos: fingerprintEntries.filter(entry => entry.analysis.audioFingerprint).length,
+      resolvedVideos: records.length - byKey.size,
+      groups,
+    });
+  } catch (err) {
+    console.error("Error finding duplicate videos:", err);
+    res.status(500).json({ error: "Failed to find duplicate videos", message: err.message });
+  }
+});
+
+// Resolve a duplicate group: keep one video and either delete the others or exclude them
+// from scoring, rankings and insights (they stay in the library with duplicateOf set).
+// Body: { keep, others: [s3Key, ...], action: "exclude" | "delete" }
+app.post("/api/videos/duplicates/resolve", async (req, res) => {
+  try {
+    const { keep, others, action } = req.body || {};
+
+    if (typeof keep !== "string" || !keep) {
+      return res.status(400).json({ error: "keep must be the s3Key of the video to keep" });
+    }
+    if (!Array.isArray(others) || others.length === 0 || !others.every(s3Key => typeof s3Key === "string" && s3Key)) {
+      return res.status(400).json({ error: "others must be a non-empty array of s3Keys" });
+    }
+    if (others.includes(keep)) {
+      return res.status(400).json({ error: "The kept video can't also be in others" });
+    }
+    if (action !== "exclude" && action !== "delete") {
+      return res.status(400).json({ error: 'action must be "exclude" or "delete"' });
+    }
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    for (const s3Key of [keep, ...others]) {
+      if (!(await catalog.get(s3Key))) {
+        return res.status(404).json({ error: "Video not found", s3Key });
+      }
+    }
+
+    for (const s3Key of others) {
+      if (action === "delete") {
+        await deleteVideoAndAssets(s3Key);
+      } else {
+        const record = await loadVideoRecord(storage, s3Key);
+        record.duplicateOf = keep;
+        await saveVideoRecord(storage, record);
+        await upsertCatalogEntry(record);
+      }
+    }
+
+    console.log(`Resolved duplicates of ${keep} (${action}):`, others.join(", "));
+
+    res.json({ message: `Duplicates ${action === "delete" ? "deleted" : "excluded"}`, keep, others, action });
+  } catch (err) {
+    console.error("Error resolving duplicate videos:", err);
+    res.status(500).json({ error: "Failed to resolve duplicate videos", message: err.message });
+  }
+});
+
+// ----------------------
+// Song Project Endpoints (see projects.js)
+// ----------------------
+// Projects group takes/angles of one song. Suggestions come from shared Spotify trackIds or
+// matching artist + track names; creating, merging and splitting projects is always explicit.
+
+// Scored videos of the whole library keyed by s3Key, so project metrics match /api/videos
+async function scoredVideosByKey() {
+  const videos = scoreVideos(flattenVideoRecords(await catalog.all()));
+  return new Map(videos.map(video => [video.s3Key, video]));
+}
+
+function projectResponse(project, videosByKey, { includeVideos = false } = {}) {
+  const takes = project.s3Keys.map(s3Key => videosByKey.get(s3Key)).filter(Boolean);
+  const response = { ...project, metrics: aggregateProjectMetrics(takes) };
+  if (includeVideos) {
+    response.videos = takes.sort((a, b) => (b.successScore ?? -1) - (a.successScore ?? -1));
+  }
+  return response;
+}
+
+// Checks a request's s3Keys are an array of cataloged videos; returns an error message or null
+async function validateProjectVideos(s3Keys, field = "s3Keys") {
+  if (!Array.isArray(s3Keys) || s3Keys.length === 0 || !s3Keys.every(key => typeof key === "string")) {
+    return `${field} must be a non-empty array of video keys`;
+  }
+  const missing = [];
+  for (const s3Key of s3Keys) {
+    if (!(await catalog.get(s3Key))) missing.push(s3Key);
+  }
+  return missing.length > 0 ? `Unknown videos: ${missing.join(", ")}` : null;
+}
+
+function sendProjectError(res, err, action) {
+  if (err.status) {
+    return res.status(err.status).json({ error: err.message });
+  }
+  console.error(`Error ${action}:`, err);
+  res.status(500).json({ error: `Failed ${action}`, message: err.message });
+}
+
+app.get("/api/projects", async (req, res) => {
+  try {
+    const [projectList, videosByKey] = await Promise.all([projects.all(), scoredVideosByKey()]);
+    const assigned = new Set(projectList.flatMap(project => project.s3Keys));
+
+    res.json({
+      projects: projectList.map(project => projectResponse(project, videosByKey)),
+      unassignedVideos: [...videosByKey.keys()].filter(s3Key => !assigned.has(s3Key)).length,
+    });
+  } catch (err) {
+    sendProjectError(res, err, "listing projects");
+  }
+});
+
+// Must come before /api/projects/:id
+app.get("/api/projects/suggestions", async (req, res) => {
+  try {
+    const [catalogEntries, projectList] = await Promise.all([catalog.all(), projects.all()]);
+    res.json({ suggestions: suggestProjects(catalogEntries, projectList) });
+  } catch (err) {
+    sendProjectError(res, err, "suggesting projects");
+  }
+});
+
+// Body: { s3Keys, name? }. Videos already in another project are moved into the new one.
+app.post("/api/projects", async (req, res) => {
+  try {
+    const { s3Keys, name } = req.body || {};
+    const invalid = await validateProjectVideos(s3Keys);
+    if (invalid) {
+      return res.status(400).json({ error: invalid });
+    }
+
+    const records = await Promise.all(s3Keys.map(s3Key => catalog.get(s3Key)));
+    const identity = projectIdentityOf(records);
+    const project = await projects.create({ ...identity, name: name || identity.name, s3Keys });
+
+    res.status(201).json(projectResponse(project, await scoredVideosByKey()));
+  } catch (err) {
+    sendProjectError(res, err, "creating project");
+  }
+});
+
+app.get("/api/projects/:id", async (req, res) => {
+  try {
+    const project = await projects.get(req.params.id);
+    if (!project) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json(projectResponse(project, await scoredVideosByKey(), { includeVideos: true }));
+  } catch (err) {
+    sendProjectError(res, err, "fetching project");
+  }
+});
+
+// Body: { name?, addS3Keys?, removeS3Keys? }. Removing every video deletes the project.
+app.patch("/api/projects/:id", async (req, res) => {
+  try {
+    const { name, addS3Keys = [], removeS3Keys = [] } = req.body || {};
+    if (name !== undefined && (typeof name !== "string" || !name.trim())) {
+      return res.status(400).json({ error: "name must be a non-empty string" });
+    }
+    if (addS3Keys.length > 0) {
+      const invalid = await validateProjectVideos(addS3Keys, "addS3Keys");
+      if (invalid) return res.status(400).json({ error: invalid });
+    }
+    if (!Array.isArray(removeS3Keys)) {
+      return res.status(400).json({ error: "removeS3Keys must be an array of video keys" });
+    }
+
+    const project = await projects.update(req.params.id, { name: name?.trim(), addS3Keys, removeS3Keys });
+    if (!project) {
+      return res.json({ message: "Project deleted because it has no videos left", id: req.params.id });
+    }
+    res.json(projectResponse(project, await scoredVideosByKey()));
+  } catch (err) {
+    sendProjectError(res, err, "updating project");
+  }
+});
+
+// Body: { projectIds }. Moves their videos into this project and deletes them.
+app.post("/api/projects/:id/merge", async (req, res) => {
+  try {
+    const { projectIds } = req.body || {};
+    if (!Array.isArray(projectIds) || projectIds.length === 0) {
+      return res.status(400).json({ error: "projectIds must be a non-empty array" });
+    }
+
+    const project = await projects.merge(req.params.id, projectIds);
+    res.json(projectResponse(project, await scoredVideosByKey()));
+  } catch (err) {
+    sendProjectError(res, err, "merging projects");
+  }
+});
+
+// Body: { s3Keys, name? }. Moves those videos of this project into a new project.
+app.post("/api/projects/:id/split", async (req, res) => {
+  try {
+    const { s3Keys, name } = req.body || {};
+    if (!Array.isArray(s3Keys) || s3Keys.length === 0) {
+      return res.status(400).json({ error: "s3Keys must be a non-empty array of video keys" });
+    }
+
+    const { project, newProject } = await projects.split(req.params.id, s3Keys, { name });
+    const videosByKey = await scoredVideosByKey();
+    res.status(201).json({
+      project: project ? projectResponse(project, videosByKey) : null,
+      newProject: projectResponse(newProject, videosByKey),
+    });
+  } catch (err) {
+    sendProjectError(res, err, "splitting project");
+  }
+});
+
+// Deletes the grouping only; the videos stay in the library unassigned
+app.delete("/api/projects/:id", async (req, res) => {
+  try {
+    if (!(await projects.remove(req.params.id))) {
+      return res.status(404).json({ error: "Project not found" });
+    }
+    res.json({ message: "Project deleted", id: req.params.id });
+  } catch (err) {
+    sendProjectError(res, err, "deleting project");
+  }
+});
+
+// ----------------------
+// Re-analysis Endpoints
+// ----------------------
+// Batch: re-analyze every video whose analysisVersion is older than ANALYSIS_VERSION
+// (or every video with { "all": true }). Jobs share the analysis queue with uploads.
+app.post("/api/videos/reanalyze", async (req, res) => {
+  try {
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    const all = req.body?.all === true;
+    const catalogEntries = await catalog.all();
+    const targets = catalogEntries.filter(entry => all || (entry.analysisVersion || 1) < ANALYSIS_VERSION);
+
+    const jobs = [];
+    for (const entry of targets) {
+      const { job, alreadyQueued } = await queueReanalysis(entry.s3Key);
+      jobs.push({ s3Key: entry.s3Key, jobId: job.id, alreadyQueued });
+    }
+
+    console.log(`Queued re-analysis for ${jobs.length} of ${catalogEntries.length} videos`);
+
+    res.status(202).json({
+      message: `Re-analysis queued for ${jobs.length} video(s)`,
+      analysisVersion: ANALYSIS_VERSION,
+      totalVideos: catalogEntries.length,
+      queued: jobs.length,
+      jobs,
+    });
+  } catch (err) {
+    console.error("Error queuing batch re-analysis:", err);
+    res.status(500).json({ error: "Failed to queue re-analysis", message: err.message });
+  }
+});
+
+app.post("/api/videos/:s3Key/reanalyze", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    if (!(await catalog.get(s3Key)) || !(await storage.head(s3Key))) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+
+    const { job, alreadyQueued } = await queueReanalysis(s3Key);
+
+    res.status(202).json({
+      message: alreadyQueued ? "Re-analysis already in progress" : "Re-analysis queued",
+      jobId: job.id,
+      s3Key,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+  } catch (err) {
+    console.error("Error queuing re-analysis:", err);
+    res.status(500).json({ error: "Failed to queue re-analysis", message: err.message });
+  }
+});
+
+// ----------------------
+// Reference Track Alignment Endpoints
+// ----------------------
+// POST /api/videos/:s3Key/reference
+// Either a multipart upload of the original recording (field "reference") or JSON { path }
+// naming a file inside REFERENCE_AUDIO_DIR on the server. Uploaded references are kept in
+// storage under references/ so the alignment can be re-run.
+app.post("/api/videos/:s3Key/reference", upload.single("reference"), async (req, res) => {
+  const uploadedPath = req.file?.path;
+  let input = null;
+  try {
+    const { s3Key } = req.params;
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    if (!(await catalog.get(s3Key)) || !(await storage.head(s3Key))) {
+      return res.status(404).json({ error: "Video not found" });
+    }
+
+    if (req.file) {
+      const referenceKey = `references/${s3Key}/${req.file.originalname}`;
+      await storage.putFile(referenceKey, req.file.path, { contentType: req.file.mimetype });
+      input = { s3Key, referenceKey, referenceFilename: req.file.originalname };
+    } else if (req.body?.path) {
+      const referenceDir = process.env.REFERENCE_AUDIO_DIR;
+      if (!referenceDir) {
+        return res.status(400).json({ error: "Local reference files are disabled (REFERENCE_AUDIO_DIR is not set)" });
+      }
+      const root = path.resolve(referenceDir);
+      const referencePath = path.resolve(root, req.body.path);
+      if (!referencePath.startsWith(root + path.sep) || !fs.existsSync(referencePath)) {
+        return res.status(400).json({ error: `Reference file not found in REFERENCE_AUDIO_DIR: ${req.body.path}` });
+      }
+      input = { s3Key, referencePath, referenceFilename: path.basename(referencePath) };
+    } else {
+      return res.status(400).json({ error: "Upload the original recording as \"reference\" or pass { path }" });
+    }
+
+    const job = await jobQueue.enqueue("align-reference", input, { stages: REFERENCE_STAGES });
+
+    res.status(202).json({
+      message: "Reference alignment queued",
+      jobId: job.id,
+      s3Key,
+      referenceFilename: input.referenceFilename,
+      statusUrl: `/api/jobs/${job.id}`,
+      eventsUrl: `/api/jobs/${job.id}/events`,
+    });
+  } catch (err) {
+    console.error("Error queuing reference alignment:", err);
+    if (input?.referenceKey) {
+      await deleteUnusedReference(input.s3Key, input.referenceKey);
+    }
+    res.status(500).json({ error: "Failed to queue reference alignment", message: err.message });
+  } finally {
+    if (uploadedPath) {
+      fs.unlink(uploadedPath, () => {});
+    }
+  }
+});
+
+app.get("/api/videos/:s3Key/reference-alignment", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
 
-      // TikTok metrics
-      if (video.tiktokViews !== null && video.tiktokViews !== undefined && video.tiktokViews > 0) {
-        hasMetrics = true;
-        // Views score (normalized to median)
-        if (tiktokViewsMedian > 0) {
-          const viewsRatio = Math.min(video.tiktokViews / tiktokViewsMedian, 2); // Cap at 2x median
-          metrics.push(viewsRatio);
-        }
-        
-        // Likes score (normalized to median)
-        if (video.tiktokLikes !== null && video.tiktokLikes !== undefined && video.tiktokLikes >= 0 && tiktokLikesMedian > 0) {
-          const likesRatio = Math.min(video.tiktokLikes / tiktokLikesMedian, 2); // Cap at 2x median
-          metrics.push(likesRatio);
-        }
-        
-        // Engagement rate score (likes/views, normalized to median engagement rate)
-        if (video.tiktokLikes !== null && video.tiktokLikes !== undefined && video.tiktokLikes >= 0 && 
-            video.tiktokViews > 0 && tiktokEngagementMedian > 0) {
-          const engagementRate = video.tiktokLikes / video.tiktokViews;
-          const engagementRatio = Math.min(engagementRate / tiktokEngagementMedian, 2); // Cap at 2x median
-          metrics.push(engagementRatio);
-        }
-      }
+    let metadata;
+    try {
+      metadata = await loadVideoRecord(storage, s3Key);
+    } catch (err) {
+      console.error("Error fetching metadata:", err);
+      return res.status(404).json({ error: "Video metadata not found" });
+    }
 
-      // Calculate success score: equally weight all metrics
-      if (hasMetrics && metrics.length > 0) {
-        // Average all metrics and scale to 0-100
-        const avgRatio = metrics.reduce((sum, ratio) => sum + ratio, 0) / metrics.length;
-        // Scale: if avgRatio is 1.0 (at median), score is 50. If avgRatio is 2.0 (2x median), score is 100.
-        // Linear scaling: score = (avgRatio / 2.0) * 100, capped at 100
-        video.successScore = Math.min(Math.round((avgRatio / 2.0) * 100), 100);
-      } else {
-        video.successScore = null;
-      }
-    });
+    if (!metadata.referenceAlignment) {
+      return res.status(404).json({ error: "No reference alignment for this video", message: "POST the original recording to /reference first" });
+    }
 
-    // Calculate ranks based on success score
-    const videosWithScores = allVideosData.filter(v => v.successScore !== null && v.successScore !== undefined);
-    videosWithScores.sort((a, b) => b.successScore - a.successScore);
-    
-    // Assign ranks (lower rank number = better, rank 1 is best)
-    videosWithScores.forEach((video, index) => {
-      video.successRank = index + 1;
-    });
+    res.json({ s3Key, ...metadata.referenceAlignment });
+  } catch (err) {
+    console.error("Error fetching reference alignment:", err);
+    res.status(500).json({ error: "Failed to fetch reference alignment", message: err.message });
+  }
+});
 
-    // Set rank to null for videos without scores
-    allVideosData.forEach(video => {
-      if (video.successScore === null || video.successScore === undefined) {
-        video.successRank = null;
-      }
-    });
+app.get("/api/videos/:s3Key/analysis-history", async (req, res) => {
+  try {
+    const { s3Key } = req.params;
 
-    // Use allVideosData as videos (they now have success scores and ranks)
-    const videos = allVideosData;
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
 
-    // Sort by posted date (newest first), fallback to upload timestamp if no posted date
-    videos.sort((a, b) => {
-      let aDate, bDate;
-      
-      if (a.postedDate) {
-        // If it's in YYYY-MM-DD format, parse it as local date to avoid timezone issues
-        if (/^\d{4}-\d{2}-\d{2}$/.test(a.postedDate)) {
-          aDate = new Date(a.postedDate + 'T12:00:00').getTime(); // Use noon to avoid timezone edge cases
-        } else {
-          aDate = new Date(a.postedDate).getTime();
-        }
-      } else {
-        aDate = a.uploadTimestamp || 0;
-      }
-      
-      if (b.postedDate) {
-        if (/^\d{4}-\d{2}-\d{2}$/.test(b.postedDate)) {
-          bDate = new Date(b.postedDate + 'T12:00:00').getTime();
-        } else {
-          bDate = new Date(b.postedDate).getTime();
-        }
-      } else {
-        bDate = b.uploadTimestamp || 0;
-      }
-      
-      return bDate - aDate;
-    });
+    let metadata;
+    try {
+      metadata = await loadVideoRecord(storage, s3Key);
+    } catch (err) {
+      console.error("Error fetching metadata:", err);
+      return res.status(404).json({ error: "Video metadata not found" });
+    }
 
-    res.json(videos);
+    res.json({
+      s3Key,
+      currentAnalysisVersion: ANALYSIS_VERSION,
+      analysisVersion: metadata.analysisVersion,
+      analyzedAt: metadata.analyzedAt,
+      analysis: metadata.analysis,
+      history: metadata.analysisHistory,
+      totalHistoryEntries: metadata.analysisHistory.length
+    });
   } catch (err) {
-    console.error("Error listing videos:", err);
-    res.status(500).json({ error: "Failed to list videos" });
+    console.error("Error fetching analysis history:", err);
+    res.status(500).json({ error: "Failed to fetch analysis history", message: err.message });
   }
 });
 
 // ----------------------
-// Get Video Playback URL Endpoint
+// Drum Transcription Export Endpoint
 // ----------------------
-app.get("/api/videos/:s3Key/play", async (req, res) => {
+// GET /api/videos/:s3Key/transcription.mid or .musicxml
+// Built from analysis.drumHits, quantized to 16ths at analysis.bpm
+const TRANSCRIPTION_FORMATS = {
+  mid: { contentType: "audio/midi", render: toMidi },
+  musicxml: { contentType: "application/vnd.recordare.musicxml+xml", render: toMusicXml },
+};
+
+app.get("/api/videos/:s3Key/transcription.:format", async (req, res) => {
   try {
-    const { s3Key } = req.params;
-    
-    if (!s3Key) {
-      return res.status(400).json({ error: "Video key is required" });
+    const { s3Key, format } = req.params;
+
+    const output = TRANSCRIPTION_FORMATS[format];
+    if (!output) {
+      return res.status(400).json({ error: `Unsupported format: ${format}. Use ${Object.keys(TRANSCRIPTION_FORMATS).join(" or ")}` });
     }
 
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
-    
-    const command = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: s3Key,
-    });
 
-    // Generate a signed URL that expires in 1 hour
-    const signedUrl = await getSignedUrl(s3, command, { expiresIn: 3600 });
-    
-    res.json({ url: signedUrl });
+    let metadata;
+    try {
+      metadata = await loadVideoRecord(storage, s3Key);
+    } catch (err) {
+      console.error("Error fetching metadata:", err);
+      return res.status(404).json({ error: "Video metadata not found" });
+    }
+
+    const { drumHits, bpm } = metadata.analysis || {};
+    if (!Array.isArray(drumHits) || !bpm) {
+      return res.status(409).json({
+        error: "No drum hits or tempo for this video",
+        message: `Re-analyze the video (analysis version ${ANALYSIS_VERSION}) to enable transcription export`,
+      });
+    }
+
+    const trackName = trackNameOf(metadata);
+    const artistName = artistNameOf(metadata);
+    const transcription = quantizeHits(drumHits, bpm);
+    const body = output.render(transcription, { title: trackName || "Drums", artist: artistName });
+    const filename = `${path.basename(s3Key, path.extname(s3Key))}-drums.${format}`;
+
+    res.set("Content-Type", output.contentType);
+    res.set("Content-Disposition", `attachment; filename="${filename}"`);
+    res.send(body);
   } catch (err) {
-    console.error("Error generating video URL:", err);
-    res.status(500).json({ error: "Failed to generate video URL", message: err.message });
+    console.error("Error exporting transcription:", err);
+    res.status(500).json({ error: "Failed to export transcription", message: err.message });
   }
 });
 
 // ----------------------
-// Get Snapshot Image URL Endpoint
+// Tempo Curve Endpoint
 // ----------------------
-app.get("/api/videos/:s3Key/snapshot", async (req, res) => {
+// Per-beat local tempo (analysis.tempoMap) and its stability summary, for plotting
+app.get("/api/videos/:s3Key/tempo-curve", async (req, res) => {
   try {
     const { s3Key } = req.params;
-    
-    if (!s3Key) {
-      return res.status(400).json({ error: "Video key is required" });
-    }
 
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
-    
-    const snapshotKey = `snapshots/${s3Key}.jpg`;
-    const command = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: snapshotKey,
-    });
 
-    // Generate a signed URL that expires in 1 hour
-    const signedUrl = await getSignedUrl(s3, command, { expiresIn: 3600 });
-    
-    res.json({ url: signedUrl });
+    let metadata;
+    try {
+      metadata = await loadVideoRecord(storage, s3Key);
+    } catch (err) {
+      console.error("Error fetching metadata:", err);
+      return res.status(404).json({ error: "Video metadata not found" });
+    }
+
+    const { bpm = null, tempoMap, tempoStability = null } = metadata.analysis || {};
+    if (!Array.isArray(tempoMap)) {
+      return res.status(409).json({
+        error: "No tempo map for this video",
+        message: `Re-analyze the video (analysis version ${ANALYSIS_VERSION}) to track its beats`,
+      });
+    }
+
+    res.json({
+      s3Key,
+      bpm,
+      duration: metadata.analysis?.duration ?? null,
+      tempoMap,
+      tempoStability,
+    });
   } catch (err) {
-    console.error("Error generating snapshot URL:", err);
-    res.status(500).json({ error: "Failed to generate snapshot URL", message: err.message });
+    console.error("Error fetching tempo curve:", err);
+    res.status(500).json({ error: "Failed to fetch tempo curve", message: err.message });
   }
 });
 
 // ----------------------
-// Update Video Metrics Endpoint
+// Waveform Endpoint
 // ----------------------
-app.put("/api/videos/:s3Key/metrics", async (req, res) => {
+// Waveform peaks (waveforms/{s3Key}.json) with the onset, tempo spike and volume spike times for the player
+app.get("/api/videos/:s3Key/waveform", async (req, res) => {
   try {
     const { s3Key } = req.params;
-    const { igHashtags, tiktokHashtags, igViews, igLikes, tiktokViews, tiktokLikes, postedDate } = req.body;
-    
-    if (!s3Key) {
-      return res.status(400).json({ error: "Video key is required" });
-    }
 
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
 
-    // Get the existing metadata file
-    const metadataKey = `results/${s3Key}.json`;
-    const getMetadataCommand = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: metadataKey,
-    });
-
     let metadata;
     try {
-      const metadataResponse = await s3.send(getMetadataCommand);
-      const metadataStream = metadataResponse.Body;
-      
-      // Convert stream to string
-      const metadataText = await new Promise((resolve, reject) => {
-        const chunks = [];
-        metadataStream.on('data', (chunk) => chunks.push(chunk));
-        metadataStream.on('end', () => {
-          try {
-            resolve(Buffer.concat(chunks).toString('utf-8'));
-          } catch (err) {
-            reject(err);
-          }
-        });
-        metadataStream.on('error', reject);
-      });
-
-      metadata = JSON.parse(metadataText);
+      metadata = await loadVideoRecord(storage, s3Key);
     } catch (err) {
       console.error("Error fetching metadata:", err);
       return res.status(404).json({ error: "Video metadata not found" });
     }
 
-    // Capture previous values for history tracking
-    const previousMetrics = {
-      igHashtags: metadata.igHashtags || null,
-      tiktokHashtags: metadata.tiktokHashtags || null,
-      igViews: metadata.igViews !== undefined && metadata.igViews !== null ? Number(metadata.igViews) : null,
-      igLikes: metadata.igLikes !== undefined && metadata.igLikes !== null ? Number(metadata.igLikes) : null,
-      tiktokViews: metadata.tiktokViews !== undefined && metadata.tiktokViews !== null ? Number(metadata.tiktokViews) : null,
-      tiktokLikes: metadata.tiktokLikes !== undefined && metadata.tiktokLikes !== null ? Number(metadata.tiktokLikes) : null,
-      postedDate: metadata.postedDate || null
-    };
-
-    // Get new values
-    const newIgViews = igViews !== undefined && igViews !== null ? Number(igViews) : null;
-    const newIgLikes = igLikes !== undefined && igLikes !== null ? Number(igLikes) : null;
-    const newTiktokViews = tiktokViews !== undefined && tiktokViews !== null ? Number(tiktokViews) : null;
-    const newTiktokLikes = tiktokLikes !== undefined && tiktokLikes !== null ? Number(tiktokLikes) : null;
-
-    // Detect changes
-    const changes = {};
-    if (previousMetrics.igViews !== newIgViews) changes.igViews = { from: previousMetrics.igViews, to: newIgViews };
-    if (previousMetrics.igLikes !== newIgLikes) changes.igLikes = { from: previousMetrics.igLikes, to: newIgLikes };
-    if (previousMetrics.tiktokViews !== newTiktokViews) changes.tiktokViews = { from: previousMetrics.tiktokViews, to: newTiktokViews };
-    if (previousMetrics.tiktokLikes !== newTiktokLikes) changes.tiktokLikes = { from: previousMetrics.tiktokLikes, to: newTiktokLikes };
-    if (previousMetrics.igHashtags !== (igHashtags || null)) changes.igHashtags = { from: previousMetrics.igHashtags, to: (igHashtags || null) };
-    if (previousMetrics.tiktokHashtags !== (tiktokHashtags || null)) changes.tiktokHashtags = { from: previousMetrics.tiktokHashtags, to: (tiktokHashtags || null) };
-    if (previousMetrics.postedDate !== (postedDate || null)) changes.postedDate = { from: previousMetrics.postedDate, to: (postedDate || null) };
-
-    // Initialize metricsHistory if it doesn't exist
-    if (!metadata.metricsHistory) {
-      metadata.metricsHistory = [];
-    }
-
-    // Only create history entry if there are actual changes
-    if (Object.keys(changes).length > 0) {
-      const historyEntry = {
-        timestamp: new Date().toISOString(),
-        previous: previousMetrics,
-        current: {
-          igHashtags: igHashtags || null,
-          tiktokHashtags: tiktokHashtags || null,
-          igViews: newIgViews,
-          igLikes: newIgLikes,
-          tiktokViews: newTiktokViews,
-          tiktokLikes: newTiktokLikes,
-          postedDate: postedDate || null
-        },
-        changes: changes
-      };
-
-      // Add to history (most recent first)
-      metadata.metricsHistory.unshift(historyEntry);
-
-      // Limit history to last 50 entries to prevent unbounded growth
-      if (metadata.metricsHistory.length > 50) {
-        metadata.metricsHistory = metadata.metricsHistory.slice(0, 50);
-      }
+    if (!metadata.waveformKey) {
+      return res.status(409).json({
+        error: "No waveform for this video",
+        message: `Re-analyze the video (analysis version ${ANALYSIS_VERSION}) to generate its waveform`,
+      });
     }
 
-    // Update the metrics
-    metadata.igHashtags = igHashtags || null;
-    metadata.tiktokHashtags = tiktokHashtags || null;
-    metadata.igViews = newIgViews;
-    metadata.igLikes = newIgLikes;
-    metadata.tiktokViews = newTiktokViews;
-    metadata.tiktokLikes = newTiktokLikes;
-    metadata.postedDate = postedDate || null;
-    metadata.metricsUpdatedAt = new Date().toISOString();
-
-    // Save updated metadata back to S3
-    const putMetadataCommand = new PutObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: metadataKey,
-      Body: JSON.stringify(metadata, null, 2),
-      ContentType: "application/json",
-    });
+    let waveform;
+    try {
+      waveform = await storage.getJson(metadata.waveformKey);
+    } catch (err) {
+      console.error("Error fetching waveform:", err);
+      return res.status(404).json({ error: "Waveform not found" });
+    }
 
-    await s3.send(putMetadataCommand);
+    const { shockInputs, shockBreakdown } = metadata.analysis || {};
+    const events = shockBreakdown?.events || [];
+    const spikesOfType = (type) => events.filter(event => event.type === type).map(({ time, intensity }) => ({ time, intensity }));
 
-    console.log(`Updated metrics for video: ${s3Key}`);
-    
-    res.json({ 
-      message: "Metrics updated successfully", 
+    res.json({
       s3Key,
-      metrics: {
-        igHashtags: metadata.igHashtags,
-        tiktokHashtags: metadata.tiktokHashtags,
-        igViews: metadata.igViews,
-        igLikes: metadata.igLikes,
-        tiktokViews: metadata.tiktokViews,
-        tiktokLikes: metadata.tiktokLikes,
-        postedDate: metadata.postedDate,
-        metricsUpdatedAt: metadata.metricsUpdatedAt
+      ...waveform,
+      markers: {
+        onsets: shockInputs?.onsetTimes || [],
+        tempoSpikes: spikesOfType("tempo_spike"),
+        volumeSpikes: spikesOfType("volume_spike"),
       },
-      historyEntry: Object.keys(changes).length > 0 ? {
-        timestamp: metadata.metricsHistory[0].timestamp,
-        changes: changes
-      } : null,
-      totalHistoryEntries: metadata.metricsHistory ? metadata.metricsHistory.length : 0
     });
   } catch (err) {
-    console.error("Error updating video metrics:", err);
-    res.status(500).json({ error: "Failed to update metrics", message: err.message });
+    console.error("Error fetching waveform:", err);
+    res.status(500).json({ error: "Failed to fetch waveform", message: err.message });
   }
 });
 
 // ----------------------
-// Get Video Metrics History Endpoint
+// Shock Value Endpoints (see analysis/shock_value.js)
 // ----------------------
-app.get("/api/videos/:s3Key/metrics-history", async (req, res) => {
+// Components, weights and the tempo/volume spike events behind a video's shockValue
+app.get("/api/videos/:s3Key/shock-breakdown", async (req, res) => {
   try {
     const { s3Key } = req.params;
-    
-    if (!s3Key) {
-      return res.status(400).json({ error: "Video key is required" });
-    }
 
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
 
-    // Get the existing metadata file
-    const metadataKey = `results/${s3Key}.json`;
-    const getMetadataCommand = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: metadataKey,
-    });
-
     let metadata;
     try {
-      const metadataResponse = await s3.send(getMetadataCommand);
-      const metadataStream = metadataResponse.Body;
-      
-      // Convert stream to string
-      const metadataText = await new Promise((resolve, reject) => {
-        const chunks = [];
-        metadataStream.on('data', (chunk) => chunks.push(chunk));
-        metadataStream.on('end', () => {
-          try {
-            resolve(Buffer.concat(chunks).toString('utf-8'));
-          } catch (err) {
-            reject(err);
-          }
-        });
-        metadataStream.on('error', reject);
-      });
-
-      metadata = JSON.parse(metadataText);
+      metadata = await loadVideoRecord(storage, s3Key);
     } catch (err) {
       console.error("Error fetching metadata:", err);
       return res.status(404).json({ error: "Video metadata not found" });
     }
 
-    // Return metrics history
-    const history = metadata.metricsHistory || [];
-    
-    res.json({
-      s3Key,
-      trackName: metadata.trackName || metadata.spotify?.track?.name || 'Unknown',
-      artistName: metadata.artistName || metadata.spotify?.artist?.name || 'Unknown',
-      currentMetrics: {
-        igHashtags: metadata.igHashtags || null,
-        tiktokHashtags: metadata.tiktokHashtags || null,
-        igViews: metadata.igViews || null,
-        igLikes: metadata.igLikes || null,
-        tiktokViews: metadata.tiktokViews || null,
-        tiktokLikes: metadata.tiktokLikes || null,
-        postedDate: metadata.postedDate || null,
-        metricsUpdatedAt: metadata.metricsUpdatedAt || null
-      },
-      history: history,
-      totalHistoryEntries: history.length
-    });
+    const { shockValue = null, shockBreakdown } = metadata.analysis || {};
+    if (!shockBreakdown) {
+      return res.status(409).json({
+        error: "No shock value breakdown for this video",
+        message: `Re-analyze the video (analysis version ${ANALYSIS_VERSION}) to record the shock value events`,
+      });
+    }
+
+    res.json({ s3Key, shockValue, ...shockBreakdown });
   } catch (err) {
-    console.error("Error fetching metrics history:", err);
-    res.status(500).json({ error: "Failed to fetch metrics history", message: err.message });
+    console.error("Error fetching shock value breakdown:", err);
+    res.status(500).json({ error: "Failed to fetch shock value breakdown", message: err.message });
+  }
+});
+
+// Weight/threshold profiles from shock_profiles.json; SHOCK_VALUE_PROFILE picks the one used for new analyses
+app.get("/api/shock-value/profiles", (req, res) => {
+  res.json({ defaultProfile: DEFAULT_SHOCK_PROFILE, profiles: SHOCK_PROFILES });
+});
+
+// GET /api/shock-value/recompute?profile=fills&baseline=default
+// Recomputes every stored video's shockValue under both profiles from analysis.shockInputs
+// and reports how well each ranks the videos by views. Nothing is saved: to switch
+// definitions, set SHOCK_VALUE_PROFILE and re-analyze.
+app.get("/api/shock-value/recompute", async (req, res) => {
+  try {
+    const profile = req.query.profile;
+    const baseline = req.query.baseline || DEFAULT_SHOCK_PROFILE;
+
+    for (const name of [profile, baseline]) {
+      if (!name || !SHOCK_PROFILES[name]) {
+        return res.status(400).json({
+          error: "Unknown shock value profile",
+          message: `Use profile (and optionally baseline) from: ${Object.keys(SHOCK_PROFILES).join(", ")}`,
+        });
+      }
+    }
+
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
+      return res.status(500).json({ error: "Server configuration error" });
+    }
+
+    // The inputs are only in the full results documents, not in the catalog
+    const records = await loadAllVideoRecords("shock value recompute");
+
+    res.json(compareShockProfiles(records, profile, baseline));
+  } catch (err) {
+    console.error("Error recomputing shock values:", err);
+    res.status(500).json({ error: "Failed to recompute shock values", message: err.message });
   }
 });
 
@@ -966,84 +2215,20 @@ app.get("/api/videos/:s3Key/hashtag-suggestions", async (req, res) => {
       return res.status(400).json({ error: "Video key is required" });
     }
 
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
 
     // Get the current video's metadata
-    const metadataKey = `results/${s3Key}.json`;
-    const getMetadataCommand = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: metadataKey,
-    });
-
-    let currentVideo;
-    try {
-      const metadataResponse = await s3.send(getMetadataCommand);
-      const metadataStream = metadataResponse.Body;
-      
-      const metadataText = await new Promise((resolve, reject) => {
-        const chunks = [];
-        metadataStream.on('data', (chunk) => chunks.push(chunk));
-        metadataStream.on('end', () => {
-          try {
-            resolve(Buffer.concat(chunks).toString('utf-8'));
-          } catch (err) {
-            reject(err);
-          }
-        });
-        metadataStream.on('error', reject);
-      });
-
-      currentVideo = JSON.parse(metadataText);
-    } catch (err) {
-      console.error("Error fetching current video metadata:", err);
+    const currentVideo = await catalog.get(s3Key);
+    if (!currentVideo) {
+      console.error("Video metadata not found in catalog:", s3Key);
       return res.status(404).json({ error: "Video metadata not found" });
     }
 
     // Get all videos to analyze historical performance
-    const listCommand = new ListObjectsV2Command({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Prefix: "results/",
-    });
-
-    const listResponse = await s3.send(listCommand);
-    const allVideos = [];
-
-    if (listResponse.Contents) {
-      for (const obj of listResponse.Contents) {
-        if (obj.Key.endsWith('.json')) {
-          try {
-            const getObjCommand = new GetObjectCommand({
-              Bucket: process.env.S3_BUCKET_NAME,
-              Key: obj.Key,
-            });
-
-            const objResponse = await s3.send(getObjCommand);
-            const objStream = objResponse.Body;
-            
-            const objText = await new Promise((resolve, reject) => {
-              const chunks = [];
-              objStream.on('data', (chunk) => chunks.push(chunk));
-              objStream.on('end', () => {
-                try {
-                  resolve(Buffer.concat(chunks).toString('utf-8'));
-                } catch (err) {
-                  reject(err);
-                }
-              });
-              objStream.on('error', reject);
-            });
-
-            const videoData = JSON.parse(objText);
-            allVideos.push(videoData);
-          } catch (err) {
-            console.warn(`Error reading video metadata ${obj.Key}:`, err.message);
-          }
-        }
-      }
-    }
+    const allVideos = await catalog.all();
 
     // Generate hashtag suggestions
     const suggestions = generateHashtagSuggestions(currentVideo, allVideos);
@@ -1060,20 +2245,15 @@ app.get("/api/videos/:s3Key/hashtag-suggestions", async (req, res) => {
 // ----------------------
 app.get("/api/performance-analysis", async (req, res) => {
   try {
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
 
-    // Get all videos
-    const listCommand = new ListObjectsV2Command({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Prefix: "results/",
-    });
-
-    const listResponse = await s3.send(listCommand);
+    // Get all videos from the catalog index
+    const catalogEntries = await catalog.all();
     
-    if (!listResponse.Contents || listResponse.Contents.length === 0) {
+    if (catalogEntries.length === 0) {
       return res.json({
         error: "No videos found",
         early_signal_summary: [],
@@ -1082,128 +2262,8 @@ app.get("/api/performance-analysis", async (req, res) => {
       });
     }
 
-    // Fetch metadata for each video
-    const videos = [];
-    
-    for (const obj of listResponse.Contents) {
-      if (!obj.Key || !obj.Key.endsWith('.json')) continue;
-      
-      try {
-        const getMetadataCommand = new GetObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: obj.Key,
-        });
-
-        const metadataResponse = await s3.send(getMetadataCommand);
-        const metadataStream = metadataResponse.Body;
-        
-        const metadataText = await new Promise((resolve, reject) => {
-          const chunks = [];
-          metadataStream.on('data', (chunk) => chunks.push(chunk));
-          metadataStream.on('end', () => {
-            try {
-              resolve(Buffer.concat(chunks).toString('utf-8'));
-            } catch (err) {
-              reject(err);
-            }
-          });
-          metadataStream.on('error', reject);
-        });
-
-        const metadata = JSON.parse(metadataText);
-        
-        // Ensure we're using the most recent metrics
-        // If metricsHistory exists, verify we're using the latest values
-        let latestMetrics = {
-          igViews: metadata.igViews || null,
-          igLikes: metadata.igLikes || null,
-          tiktokViews: metadata.tiktokViews || null,
-          tiktokLikes: metadata.tiktokLikes || null,
-          igHashtags: metadata.igHashtags || null,
-          tiktokHashtags: metadata.tiktokHashtags || null,
-          postedDate: metadata.postedDate || null,
-          metricsUpdatedAt: metadata.metricsUpdatedAt || null
-        };
-        
-        // If metricsHistory exists and has entries, verify the current metrics match the most recent history entry
-        if (metadata.metricsHistory && metadata.metricsHistory.length > 0) {
-          const mostRecentHistory = metadata.metricsHistory[0];
-          // Use the most recent history entry's current values if they're more recent
-          if (mostRecentHistory.current && mostRecentHistory.timestamp) {
-            const historyTimestamp = new Date(mostRecentHistory.timestamp);
-            const metadataTimestamp = metadata.metricsUpdatedAt ? new Date(metadata.metricsUpdatedAt) : null;
-            
-            // If history is more recent, use history values (though metadata should always be updated)
-            if (!metadataTimestamp || historyTimestamp > metadataTimestamp) {
-              latestMetrics = {
-                igViews: mostRecentHistory.current.igViews !== undefined ? mostRecentHistory.current.igViews : latestMetrics.igViews,
-                igLikes: mostRecentHistory.current.igLikes !== undefined ? mostRecentHistory.current.igLikes : latestMetrics.igLikes,
-                tiktokViews: mostRecentHistory.current.tiktokViews !== undefined ? mostRecentHistory.current.tiktokViews : latestMetrics.tiktokViews,
-                tiktokLikes: mostRecentHistory.current.tiktokLikes !== undefined ? mostRecentHistory.current.tiktokLikes : latestMetrics.tiktokLikes,
-                igHashtags: mostRecentHistory.current.igHashtags !== undefined ? mostRecentHistory.current.igHashtags : latestMetrics.igHashtags,
-                tiktokHashtags: mostRecentHistory.current.tiktokHashtags !== undefined ? mostRecentHistory.current.tiktokHashtags : latestMetrics.tiktokHashtags,
-                postedDate: mostRecentHistory.current.postedDate !== undefined ? mostRecentHistory.current.postedDate : latestMetrics.postedDate,
-                metricsUpdatedAt: mostRecentHistory.timestamp
-              };
-            }
-          }
-        }
-        
-        // Map to the format expected by the analysis module
-        const videoData = {
-          s3Key: metadata.s3Key || obj.Key.replace('results/', '').replace('.json', ''),
-          originalFilename: metadata.originalFilename,
-          videoType: metadata.videoType || null,
-          artistName: metadata.artistName || metadata.spotify?.artist?.name || 'Unknown Artist',
-          trackName: metadata.trackName || metadata.spotify?.track?.name || 'Unknown Track',
-          album: metadata.spotify?.track?.album || null,
-          releaseDate: metadata.spotify?.track?.release_date || null,
-          popularity: metadata.spotify?.track?.popularity || null,
-          artistFollowers: metadata.spotify?.artist?.followers || null,
-          genres: metadata.spotify?.artist?.genres || [],
-          albumImageUrl: metadata.spotify?.track?.album_image_url || null,
-          snapshotKey: metadata.snapshotKey || null,
-          analyzedAt: metadata.analyzedAt || null,
-          uploadTimestamp: metadata.s3Key ? parseInt(metadata.s3Key.split('-')[0]) : null,
-          // Social media metrics - always use the most recent values
-          igHashtags: latestMetrics.igHashtags,
-          tiktokHashtags: latestMetrics.tiktokHashtags,
-          igViews: latestMetrics.igViews,
-          igLikes: latestMetrics.igLikes,
-          tiktokViews: latestMetrics.tiktokViews,
-          tiktokLikes: latestMetrics.tiktokLikes,
-          postedDate: latestMetrics.postedDate,
-          metricsUpdatedAt: latestMetrics.metricsUpdatedAt,
-          // Analysis data
-          duration: metadata.analysis?.duration || null,
-          size_mb: metadata.analysis?.size_mb || null,
-          resolution: metadata.analysis?.video ? `${metadata.analysis.video.width}x${metadata.analysis.video.height}` : null,
-          videoCodec: metadata.analysis?.video?.codec || null,
-          fps: metadata.analysis?.video?.fps || null,
-          audioCodec: metadata.analysis?.audio?.codec || null,
-          sampleRate: metadata.analysis?.audio?.sample_rate || null,
-          bpm: metadata.analysis?.bpm || null,
-          pitch: metadata.analysis?.pitch || null,
-          pitchConfidence: metadata.analysis?.pitchConfidence || null,
-          onsets: metadata.analysis?.onsets || null,
-          onsetRate: metadata.analysis?.onsetRate || null,
-          energy: metadata.analysis?.energy || null,
-          silenceRatio: metadata.analysis?.silenceRatio || null,
-          tempoSpikes: metadata.analysis?.tempoSpikes || null,
-          volumeSpikes: metadata.analysis?.volumeSpikes || null,
-          unusualPatterns: metadata.analysis?.unusualPatterns || null,
-          shockValue: metadata.analysis?.shockValue || null,
-        };
-
-        videos.push(videoData);
-      } catch (err) {
-        console.error(`Error processing metadata for ${obj.Key}:`, err);
-        // Continue with next video
-      }
-    }
-
-    // Run performance analysis
-    const analysisResults = generateStructuredOutputs(videos);
+    // Run performance analysis (the analysis module flattens each results document itself)
+    const analysisResults = generateStructuredOutputs(catalogEntries, { projects: await projects.all() });
     
     res.json(analysisResults);
   } catch (err) {
@@ -2394,41 +3454,13 @@ app.delete("/api/videos/:s3Key", async (req, res) => {
       return res.status(400).json({ error: "Video key is required" });
     }
 
-    if (!process.env.S3_BUCKET_NAME) {
-      console.error("S3_BUCKET_NAME environment variable not set");
+    if (!storage.isConfigured()) {
+      console.error("Storage backend not configured (S3_BUCKET_NAME environment variable not set)");
       return res.status(500).json({ error: "Server configuration error" });
     }
 
-    // Delete the video file
-    const deleteVideoCommand = new DeleteObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: s3Key,
-    });
-
-    // Delete the JSON metadata file
-    const deleteMetadataCommand = new DeleteObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: `results/${s3Key}.json`,
-    });
-
-    // Delete the snapshot image file
-    const deleteSnapshotCommand = new DeleteObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: `snapshots/${s3Key}.jpg`,
-    });
-
-    // Delete all files in parallel
-    await Promise.all([
-      s3.send(deleteVideoCommand),
-      s3.send(deleteMetadataCommand),
-      s3.send(deleteSnapshotCommand).catch(err => {
-        // Snapshot might not exist for older videos, so don't fail if it's missing
-        console.log(`Snapshot not found for ${s3Key}, skipping deletion`);
-      })
-    ]);
+    await deleteVideoAndAssets(s3Key);
 
-    console.log(`Deleted video and metadata for: ${s3Key}`);
-    
     res.json({ message: "Video and metadata deleted successfully", s3Key });
   } catch (err) {
     console.error("Error deleting video:", err);
@@ -2468,99 +3500,16 @@ app.post("/api/gpt-insights", gptRateLimiter, async (req, res) => {
     }
 
     // Fetch all video metadata to use as context
-    const listCommand = new ListObjectsV2Command({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Prefix: "results/",
-    });
-
-    const listResponse = await s3.send(listCommand);
+    const catalogEntries = await catalog.all();
     
-    if (!listResponse.Contents || listResponse.Contents.length === 0) {
+    if (catalogEntries.length === 0) {
       return res.status(404).json({ error: "No video data available for analysis." });
     }
 
-    // Collect video metadata summaries
-    const videoSummaries = [];
-    let processedCount = 0;
-    const maxVideos = 50; // Limit to prevent token overflow
-
-    for (const obj of listResponse.Contents) {
-      if (processedCount >= maxVideos) break;
-      if (!obj.Key || !obj.Key.endsWith('.json')) continue;
-
-      try {
-        const getMetadataCommand = new GetObjectCommand({
-          Bucket: process.env.S3_BUCKET_NAME,
-          Key: obj.Key,
-        });
-
-        const metadataResponse = await s3.send(getMetadataCommand);
-        const metadataStream = metadataResponse.Body;
-        
-        const metadataText = await new Promise((resolve, reject) => {
-          const chunks = [];
-          metadataStream.on('data', (chunk) => chunks.push(chunk));
-          metadataStream.on('end', () => {
-            try {
-              resolve(Buffer.concat(chunks).toString('utf-8'));
-            } catch (err) {
-              reject(err);
-            }
-          });
-          metadataStream.on('error', reject);
-        });
-
-        const metadata = JSON.parse(metadataText);
-        
-        // Get latest metrics
-        let latestMetrics = {
-          igViews: metadata.igViews || null,
-          igLikes: metadata.igLikes || null,
-          tiktokViews: metadata.tiktokViews || null,
-          tiktokLikes: metadata.tiktokLikes || null,
-        };
-        
-        if (metadata.metricsHistory && metadata.metricsHistory.length > 0) {
-          const mostRecentHistory = metadata.metricsHistory[0];
-          if (mostRecentHistory.current && mostRecentHistory.timestamp) {
-            const historyTimestamp = new Date(mostRecentHistory.timestamp);
-            const metadataTimestamp = metadata.metricsUpdatedAt ? new Date(metadata.metricsUpdatedAt) : null;
-            if (!metadataTimestamp || historyTimestamp > metadataTimestamp) {
-              latestMetrics = {
-                igViews: mostRecentHistory.current.igViews !== undefined ? mostRecentHistory.current.igViews : latestMetrics.igViews,
-                igLikes: mostRecentHistory.current.igLikes !== undefined ? mostRecentHistory.current.igLikes : latestMetrics.igLikes,
-                tiktokViews: mostRecentHistory.current.tiktokViews !== undefined ? mostRecentHistory.current.tiktokViews : latestMetrics.tiktokViews,
-                tiktokLikes: mostRecentHistory.current.tiktokLikes !== undefined ? mostRecentHistory.current.tiktokLikes : latestMetrics.tiktokLikes,
-              };
-            }
-          }
-        }
-
-        // Create summary of video data
-        const summary = {
-          trackName: metadata.trackName || metadata.spotify?.track?.name || 'Unknown',
-          artistName: metadata.artistName || metadata.spotify?.artist?.name || 'Unknown',
-          videoType: metadata.videoType || null,
-          popularity: metadata.spotify?.track?.popularity || null,
-          artistFollowers: metadata.spotify?.artist?.followers || null,
-          genres: metadata.spotify?.artist?.genres || [],
-          igViews: latestMetrics.igViews,
-          igLikes: latestMetrics.igLikes,
-          tiktokViews: latestMetrics.tiktokViews,
-          tiktokLikes: latestMetrics.tiktokLikes,
-          igHashtags: metadata.igHashtags || null,
-          tiktokHashtags: metadata.tiktokHashtags || null,
-          shockValue: metadata.analysis?.shockValue || null,
-          bpm: metadata.analysis?.bpm || null,
-        };
-
-        videoSummaries.push(summary);
-        processedCount++;
-      } catch (err) {
-        console.error(`Error processing metadata for ${obj.Key}:`, err);
-        // Continue with next video
-      }
-    }
+    // Collect video metadata summaries (resolved duplicates would count the same video twice)
+    const videoSummaries = flattenVideoRecords(catalogEntries.filter(metadata => !metadata.duplicateOf))
+      .slice(0, 50) // Limit to prevent token overflow
+      .map(toInsightSummary);
 
     // Create context from video summaries
     const contextText = JSON.stringify(videoSummaries, null, 2);
@@ -2577,6 +3526,7 @@ app.post("/api/gpt-insights", gptRateLimiter, async (req, res) => {
 - Spotify metadata (popularity, artist followers, genres)
 - Social media metrics (Instagram and TikTok views, likes, hashtags)
 - Audio analysis (shock value, BPM)
+- The opening hook (first 3 seconds: onset density, loudness against the rest of the clip, time to the first hit, camera motion and whether there is a scene cut)
 
 Use this data to answer questions about video performance patterns, best practices, and insights. Be specific and data-driven in your responses.`
         },
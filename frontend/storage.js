@@ -0,0 +1,514 @@
+import express from "express";
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { fileURLToPath } from "url";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  CreateMultipartUploadCommand,
+  UploadPartCommand,
+  CompleteMultipartUploadCommand,
+  AbortMultipartUploadCommand,
+} from "@aws-sdk/client-s3";
+import { getSignedUrl } from "@aws-sdk/s3-request-presigner";
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+/**
+ * Storage backends for videos, snapshots and analysis results.
+ *
+ * Every backend exposes the same interface so routes never talk to S3 directly:
+ *   put(key, body, { contentType, metadata })  - body is a Buffer, string or Readable
+ *   putFile(key, filePath, { contentType, metadata }) - streams a file from disk (multipart on S3)
+ *   get(key)                                    - resolves to a Buffer
+ *   getStream(key)                              - resolves to a Readable
+ *   list(prefix, { cursor, limit })             - resolves to one page: { items: [{ key, size, lastModified }], cursor }
+ *   listAll(prefix)                             - follows cursors until every page has been read
+ *   head(key)                                   - resolves to { key, size, contentType, lastModified, metadata } or null
+ *   delete(key)                                 - resolves once the object is gone (missing objects are ignored)
+ *   signedUrl(key, { expiresIn })               - resolves to a time-limited URL the browser can fetch
+ *
+ * Keys use the same layout on every backend: `{s3Key}`, `snapshots/{s3Key}.jpg`, `results/{s3Key}.json`.
+ */
+
+/**
+ * Creates the storage backend selected by STORAGE_BACKEND ("s3" or "local", default "s3")
+ * @param {object} env - Environment variables (defaults to process.env)
+ * @returns {object} - Storage backend
+ */
+export function createStorage(env = process.env) {
+  const backend = (env.STORAGE_BACKEND || "s3").toLowerCase();
+
+  if (backend === "local") {
+    return createLocalStorage({
+      rootDir: env.LOCAL_STORAGE_DIR || path.join(__dirname, "uploads", "storage"),
+      secret: env.LOCAL_STORAGE_SECRET,
+    });
+  }
+
+  if (backend !== "s3") {
+    throw new Error(`Unknown STORAGE_BACKEND "${env.STORAGE_BACKEND}" (expected "s3" or "local")`);
+  }
+
+  return createS3Storage({
+    bucket: env.S3_BUCKET_NAME,
+    region: env.AWS_REGION,
+    credentials: {
+      accessKeyId: env.AWS_ACCESS_KEY_ID,
+      secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+    },
+  });
+}
+
+// ----------------------
+// S3 Backend
+// ----------------------
+// Files larger than one part are sent as a multipart upload, reading one part into memory at
+// a time. S3 allows at most 10,000 parts, so 8MB parts cover files up to ~80GB.
+const MULTIPART_PART_SIZE = 8 * 1024 * 1024;
+const PART_RETRY_ATTEMPTS = 3;
+
+export function createS3Storage({ bucket, region, credentials, partSize = MULTIPART_PART_SIZE }) {
+  const s3 = new S3Client({ region, credentials });
+
+  const storage = {
+    name: "s3",
+
+    isConfigured() {
+      return !!bucket;
+    },
+
+    async put(key, body, { contentType, metadata } = {}) {
+      await s3.send(
+        new PutObjectCommand({
+          Bucket: bucket,
+          Key: key,
+          Body: body,
+          ContentType: contentType,
+          Metadata: metadata,
+        })
+      );
+    },
+
+    async putFile(key, filePath, { contentType, metadata } = {}) {
+      const { size } = await fs.promises.stat(filePath);
+
+      if (size <= partSize) {
+        const body = await fs.promises.readFile(filePath);
+        await withRetries(`upload ${key}`, () =>
+          s3.send(
+            new PutObjectCommand({
+              Bucket: bucket,
+              Key: key,
+              Body: body,
+              ContentType: contentType,
+              ContentMD5: md5Base64(body),
+              Metadata: metadata,
+            })
+          )
+        );
+        return;
+      }
+
+      const { UploadId } = await s3.send(
+        new CreateMultipartUploadCommand({ Bucket: bucket, Key: key, ContentType: contentType, Metadata: metadata })
+      );
+
+      try {
+        const parts = [];
+        for (let offset = 0, partNumber = 1; offset < size; offset += partSize, partNumber++) {
+          const body = await readFileRange(filePath, offset, Math.min(partSize, size - offset));
+          // ContentMD5 makes S3 reject a part that was corrupted in transit, which then gets retried
+          const { ETag } = await withRetries(`upload ${key} part ${partNumber}`, () =>
+            s3.send(
+              new UploadPartCommand({
+                Bucket: bucket,
+                Key: key,
+                UploadId,
+                PartNumber: partNumber,
+                Body: body,
+                ContentMD5: md5Base64(body),
+              })
+            )
+          );
+          parts.push({ ETag, PartNumber: partNumber });
+        }
+
+        await withRetries(`complete ${key}`, () =>
+          s3.send(
+            new CompleteMultipartUploadCommand({
+              Bucket: bucket,
+              Key: key,
+              UploadId,
+              MultipartUpload: { Parts: parts },
+            })
+          )
+        );
+      } catch (err) {
+        // Abort so the uploaded parts don't keep accruing storage charges
+        try {
+          await s3.send(new AbortMultipartUploadCommand({ Bucket: bucket, Key: key, UploadId }));
+        } catch (abortError) {
+          console.error(`Failed to abort multipart upload for ${key}:`, abortError.message);
+        }
+        throw err;
+      }
+    },
+
+    async get(key) {
+      return streamToBuffer(await storage.getStream(key));
+    },
+
+    async getStream(key) {
+      try {
+        const response = await s3.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return response.Body;
+      } catch (err) {
+        throw isS3NotFound(err) ? notFoundError(key) : err;
+      }
+    },
+
+    async list(prefix, { cursor = null, limit = 1000 } = {}) {
+      const response = await s3.send(
+        new ListObjectsV2Command({
+          Bucket: bucket,
+          Prefix: prefix,
+          MaxKeys: limit,
+          ContinuationToken: cursor || undefined,
+        })
+      );
+
+      return {
+        items: (response.Contents || []).map(obj => ({
+          key: obj.Key,
+          size: obj.Size,
+          lastModified: obj.LastModified ? obj.LastModified.toISOString() : null,
+        })),
+        cursor: response.IsTruncated ? response.NextContinuationToken : null,
+      };
+    },
+
+    async head(key) {
+      try {
+        const response = await s3.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return {
+          key,
+          size: response.ContentLength,
+          contentType: response.ContentType || null,
+          lastModified: response.LastModified ? response.LastModified.toISOString() : null,
+          metadata: response.Metadata || {},
+        };
+      } catch (err) {
+        if (isS3NotFound(err)) return null;
+        throw err;
+      }
+    },
+
+    async delete(key) {
+      await s3.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+      return getSignedUrl(s3, new GetObjectCommand({ Bucket: bucket, Key: key }), { expiresIn });
+    },
+  };
+
+  return withHelpers(storage);
+}
+
+// ----------------------
+// Local Filesystem Backend
+// ----------------------
+export function createLocalStorage({ rootDir, secret, baseUrl = "/api/storage/object" }) {
+  const objectsDir = path.join(rootDir, "objects");
+  const metaDir = path.join(rootDir, ".meta");
+  // Without a configured secret, signed URLs are only valid for the lifetime of this process
+  const signingSecret = secret || crypto.randomBytes(32).toString("hex");
+
+  fs.mkdirSync(objectsDir, { recursive: true });
+  fs.mkdirSync(metaDir, { recursive: true });
+
+  // Resolve a key inside a base directory, refusing keys that escape it (e.g. "../")
+  const resolveKey = (baseDir, key) => {
+    const resolved = path.resolve(baseDir, key);
+    if (!key || !resolved.startsWith(path.resolve(baseDir) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return resolved;
+  };
+
+  const objectPath = (key) => resolveKey(objectsDir, key);
+  const metaPath = (key) => resolveKey(metaDir, `${key}.json`);
+
+  const sign = (key, expires) =>
+    crypto.createHmac("sha256", signingSecret).update(`${key}:${expires}`).digest("hex");
+
+  const storage = {
+    name: "local",
+    rootDir,
+
+    isConfigured() {
+      return true;
+    },
+
+    async put(key, body, { contentType, metadata } = {}) {
+      const filePath = objectPath(key);
+      await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+
+      // Write to a temp file first so readers never see a half-written object
+      const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+      if (body && typeof body.pipe === "function") {
+        await new Promise((resolve, reject) => {
+          const write = fs.createWriteStream(tempPath);
+          body.on("error", reject);
+          write.on("error", reject);
+          write.on("finish", resolve);
+          body.pipe(write);
+        });
+      } else {
+        await fs.promises.writeFile(tempPath, body);
+      }
+      await fs.promises.rename(tempPath, filePath);
+
+      const sidecarPath = metaPath(key);
+      await fs.promises.mkdir(path.dirname(sidecarPath), { recursive: true });
+      await fs.promises.writeFile(
+        sidecarPath,
+        JSON.stringify({ contentType: contentType || null, metadata: metadata || {} })
+      );
+    },
+
+    async putFile(key, filePath, options = {}) {
+      await storage.put(key, fs.createReadStream(filePath), options);
+    },
+
+    async get(key) {
+      try {
+        return await fs.promises.readFile(objectPath(key));
+      } catch (err) {
+        throw err.code === "ENOENT" ? notFoundError(key) : err;
+      }
+    },
+
+    async getStream(key) {
+      const filePath = objectPath(key);
+      if (!fs.existsSync(filePath)) {
+        throw notFoundError(key);
+      }
+      return fs.createReadStream(filePath);
+    },
+
+    async list(prefix, { cursor = null, limit = 1000 } = {}) {
+      const keys = [];
+      const walk = async (dir, keyPrefix) => {
+        let entries;
+        try {
+          entries = await fs.promises.readdir(dir, { withFileTypes: true });
+        } catch (err) {
+          if (err.code === "ENOENT") return;
+          throw err;
+        }
+        for (const entry of entries) {
+          const key = keyPrefix + entry.name;
+          if (entry.isDirectory()) {
+            await walk(path.join(dir, entry.name), `${key}/`);
+          } else if (!entry.name.endsWith(".tmp")) {
+            keys.push(key);
+          }
+        }
+      };
+      await walk(objectsDir, "");
+
+      // Match S3 semantics: lexicographic key order, cursor is the last key of the previous page
+      const matching = keys.filter(key => key.startsWith(prefix || "")).sort();
+      const start = cursor ? matching.findIndex(key => key > cursor) : 0;
+      const page = start === -1 ? [] : matching.slice(start, start + limit);
+      const hasMore = start !== -1 && start + limit < matching.length;
+
+      const items = await Promise.all(page.map(async key => {
+        const stats = await fs.promises.stat(objectPath(key));
+        return { key, size: stats.size, lastModified: stats.mtime.toISOString() };
+      }));
+
+      return { items, cursor: hasMore ? page[page.length - 1] : null };
+    },
+
+    async head(key) {
+      let stats;
+      try {
+        stats = await fs.promises.stat(objectPath(key));
+      } catch (err) {
+        if (err.code === "ENOENT") return null;
+        throw err;
+      }
+
+      let sidecar = {};
+      try {
+        sidecar = JSON.parse(await fs.promises.readFile(metaPath(key), "utf-8"));
+      } catch (err) {
+        // Objects copied in by hand have no sidecar
+      }
+
+      return {
+        key,
+        size: stats.size,
+        contentType: sidecar.contentType || null,
+        lastModified: stats.mtime.toISOString(),
+        metadata: sidecar.metadata || {},
+      };
+    },
+
+    async delete(key) {
+      for (const filePath of [objectPath(key), metaPath(key)]) {
+        try {
+          await fs.promises.unlink(filePath);
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+    },
+
+    async signedUrl(key, { expiresIn = 3600 } = {}) {
+      const expires = Math.floor(Date.now() / 1000) + expiresIn;
+      const params = new URLSearchParams({ key, expires: String(expires), signature: sign(key, expires) });
+      return `${baseUrl}?${params.toString()}`;
+    },
+
+    /**
+     * Checks a signature produced by signedUrl()
+     * @returns {boolean} - true if the signature matches and has not expired
+     */
+    verifySignature(key, expires, signature) {
+      if (!key || !expires || !signature) return false;
+      if (Number(expires) < Math.floor(Date.now() / 1000)) return false;
+      const expected = Buffer.from(sign(key, expires));
+      const actual = Buffer.from(String(signature));
+      return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+    },
+  };
+
+  return withHelpers(storage);
+}
+
+/**
+ * Express router that serves objects from the local backend via the URLs returned by signedUrl()
+ * (S3 serves its own signed URLs, so this is only mounted for the local backend)
+ */
+export function localStorageRoutes(storage) {
+  const router = express.Router();
+
+  router.get("/object", async (req, res) => {
+    const { key, expires, signature } = req.query;
+
+    if (!storage.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ error: "Invalid or expired storage URL" });
+    }
+
+    try {
+      const info = await storage.head(key);
+      if (!info) {
+        return res.status(404).json({ error: "Object not found" });
+      }
+      // sendFile handles Range requests so the video player can seek; it needs an absolute
+      // path, and LOCAL_STORAGE_DIR may be relative
+      res.sendFile(path.resolve(storage.rootDir, "objects", key), {
+        headers: info.contentType ? { "Content-Type": info.contentType } : {},
+      });
+    } catch (err) {
+      console.error("Error serving local storage object:", err);
+      res.status(500).json({ error: "Failed to read object" });
+    }
+  });
+
+  return router;
+}
+
+// ----------------------
+// Helpers
+// ----------------------
+function withHelpers(storage) {
+  // S3 returns at most 1000 keys per ListObjectsV2 call, so always page through with the cursor
+  storage.listAll = async (prefix) => {
+    const items = [];
+    let cursor = null;
+    do {
+      const page = await storage.list(prefix, { cursor });
+      items.push(...page.items);
+      cursor = page.cursor;
+    } while (cursor);
+    return items;
+  };
+
+  storage.getJson = async (key) => JSON.parse((await storage.get(key)).toString("utf-8"));
+  storage.putJson = (key, data) =>
+    storage.put(key, JSON.stringify(data, null, 2), { contentType: "application/json" });
+  return storage;
+}
+
+/**
+ * Computes a file's hash without reading it into memory
+ * @returns {Promise<string>} - Hex digest
+ */
+export function hashFile(filePath, algorithm = "sha256") {
+  return new Promise((resolve, reject) => {
+    const hash = crypto.createHash(algorithm);
+    fs.createReadStream(filePath)
+      .on("data", (chunk) => hash.update(chunk))
+      .on("end", () => resolve(hash.digest("hex")))
+      .on("error", reject);
+  });
+}
+
+// Retry transient failures (network drops, throttling) with exponential backoff
+async function withRetries(label, fn, attempts = PART_RETRY_ATTEMPTS) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt >= attempts) throw err;
+      const delay = 500 * 2 ** (attempt - 1);
+      console.warn(`${label} failed (attempt ${attempt}/${attempts}), retrying in ${delay}ms:`, err.message);
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+  }
+}
+
+async function readFileRange(filePath, offset, length) {
+  const handle = await fs.promises.open(filePath, "r");
+  try {
+    const buffer = Buffer.alloc(length);
+    const { bytesRead } = await handle.read(buffer, 0, length, offset);
+    return buffer.subarray(0, bytesRead);
+  } finally {
+    await handle.close();
+  }
+}
+
+function md5Base64(buffer) {
+  return crypto.createHash("md5").update(buffer).digest("base64");
+}
+
+function notFoundError(key) {
+  const err = new Error(`Object not found: ${key}`);
+  err.code = "NotFound";
+  return err;
+}
+
+function isS3NotFound(err) {
+  return err.name === "NoSuchKey" || err.name === "NotFound" || err.$metadata?.httpStatusCode === 404;
+}
+
+// Convert stream to Buffer - AWS SDK v3 returns a Readable stream
+function streamToBuffer(stream) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    stream.on("end", () => resolve(Buffer.concat(chunks)));
+    stream.on("error", reject);
+  });
+}
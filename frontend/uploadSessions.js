@@ -0,0 +1,251 @@
+import path from "path";
+import fs from "fs";
+import crypto from "crypto";
+import { hashFile } from "./storage.js";
+
+/**
+ * Resumable chunked uploads
+ *
+ * The browser creates a session for a file, then PUTs it in fixed-size chunks, each with
+ * its SHA-256 so corrupted chunks are rejected and re-sent. Chunks are written straight
+ * into place in one file on disk, so an interrupted upload resumes by asking which chunks
+ * the server already has and sending only the rest. Once every chunk has arrived the
+ * session is completed and the assembled file is handed to the analysis job queue.
+ *
+ * Session state lives next to the partial file as {id}.json so uploads survive a restart.
+ */
+
+export const DEFAULT_CHUNK_SIZE = 5 * 1024 * 1024;   // 5MB
+export const DEFAULT_MAX_FILE_SIZE = 10 * 1024 * 1024 * 1024; // 10GB
+const SESSION_MAX_AGE_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Creates an upload session store in the given directory
+ * @param {object} options - { dir, chunkSize, maxFileSize }
+ * @returns {object} - Session store with create/get/writeChunk/complete/remove/pruneStale
+ */
+export function createUploadSessions({ dir, chunkSize = DEFAULT_CHUNK_SIZE, maxFileSize = DEFAULT_MAX_FILE_SIZE }) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  // Serialize state writes per session so concurrent chunks don't drop each other's bookkeeping
+  const locks = new Map();
+
+  const statePath = (id) => path.join(dir, `${id}.json`);
+  const dataPath = (id) => path.join(dir, `${id}.part`);
+
+  function withLock(id, fn) {
+    const run = (locks.get(id) || Promise.resolve()).then(fn);
+    const settled = run.catch(() => {});
+    locks.set(id, settled);
+    settled.then(() => {
+      if (locks.get(id) === settled) locks.delete(id);
+    });
+    return run;
+  }
+
+  async function readState(id) {
+    // Session ids are UUIDs; anything else could be a path traversal attempt
+    if (!/^[0-9a-f-]{36}$/.test(id)) return null;
+    try {
+      return JSON.parse(await fs.promises.readFile(statePath(id), "utf-8"));
+    } catch (err) {
+      if (err.code === "ENOENT") return null;
+      throw err;
+    }
+  }
+
+  async function writeState(session) {
+    session.updatedAt = new Date().toISOString();
+    const tempPath = `${statePath(session.id)}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(session));
+    await fs.promises.rename(tempPath, statePath(session.id));
+  }
+
+  return {
+    chunkSize,
+    maxFileSize,
+
+    /**
+     * Starts a new upload
+     * @param {object} file - { filename, size, mimetype }
+     * @returns {Promise<object>} - The session
+     */
+    async create({ filename, size, mimetype }) {
+      const totalSize = Number(size);
+      if (!filename) {
+        throw uploadError("filename is required");
+      }
+      if (!Number.isInteger(totalSize) || totalSize <= 0) {
+        throw uploadError("size must be a positive number of bytes");
+      }
+      if (totalSize > maxFileSize) {
+        throw uploadError(`File is larger than the ${Math.round(maxFileSize / 1024 / 1024)}MB limit`);
+      }
+
+      const now = new Date().toISOString();
+      const session = {
+        id: crypto.randomUUID(),
+        filename: path.basename(filename),
+        mimetype: mimetype || "application/octet-stream",
+        totalSize,
+        chunkSize,
+        totalChunks: Math.ceil(totalSize / chunkSize),
+        received: {}, // chunk index -> sha256
+        createdAt: now,
+        updatedAt: now,
+      };
+
+      await fs.promises.writeFile(dataPath(session.id), "");
+      await writeState(session);
+      return session;
+    },
+
+    /**
+     * @returns {Promise<object|null>} - The session, or null if it doesn't exist
+     */
+    get(id) {
+      return readState(id);
+    },
+
+    /**
+     * Writes one chunk into place after checking its size and checksum
+     * @param {string} id - Session id
+     * @param {number} index - Chunk index (0-based)
+     * @param {Buffer} data - Chunk bytes
+     * @param {string} sha256 - Hex SHA-256 the client computed for the chunk
+     * @returns {Promise<object>} - The updated session
+     */
+    async writeChunk(id, index, data, sha256) {
+      const session = await readState(id);
+      if (!session) {
+        throw uploadError("Upload session not found", 404);
+      }
+
+      const chunkIndex = Number(index);
+      if (!Number.isInteger(chunkIndex) || chunkIndex < 0 || chunkIndex >= session.totalChunks) {
+        throw uploadError(`Chunk index must be between 0 and ${session.totalChunks - 1}`);
+      }
+
+      const expectedSize = Math.min(session.chunkSize, session.totalSize - chunkIndex * session.chunkSize);
+      if (!Buffer.isBuffer(data) || data.length !== expectedSize) {
+        throw uploadError(`Chunk ${chunkIndex} should be ${expectedSize} bytes, got ${data?.length || 0}`);
+      }
+
+      const actual = crypto.createHash("sha256").update(data).digest("hex");
+      if (!sha256 || actual !== String(sha256).toLowerCase()) {
+        throw uploadError(`Checksum mismatch for chunk ${chunkIndex}`, 422);
+      }
+
+      // The session can be completed or removed while the chunk is being checked
+      let handle;
+      try {
+        handle = await fs.promises.open(dataPath(id), "r+");
+      } catch (err) {
+        if (err.code === "ENOENT") throw uploadError("Upload session not found", 404);
+        throw err;
+      }
+      try {
+        await handle.write(data, 0, data.length, chunkIndex * session.chunkSize);
+      } finally {
+        await handle.close();
+      }
+
+      return withLock(id, async () => {
+        const latest = await readState(id);
+        if (!latest) {
+          throw uploadError("Upload session not found", 404);
+        }
+        latest.received[chunkIndex] = actual;
+        await writeState(latest);
+        return latest;
+      });
+    },
+
+    /**
+     * Verifies every chunk arrived and hands back the assembled file
+     * @param {string} id - Session id
+     * @param {object} options - { sha256 } optional whole-file hash from the client to verify against
+     * @returns {Promise<object>} - { session, filePath, sha256 }; the caller owns filePath afterwards
+     */
+    async complete(id, { sha256 = null } = {}) {
+      return withLock(id, async () => {
+        const session = await readState(id);
+        if (!session) {
+          throw uploadError("Upload session not found", 404);
+        }
+
+        const missing = [];
+        for (let i = 0; i < session.totalChunks; i++) {
+          if (!session.received[i]) missing.push(i);
+        }
+        if (missing.length > 0) {
+          const err = uploadError(`${missing.length} chunk(s) have not been uploaded`, 409);
+          err.missingChunks = missing;
+          throw err;
+        }
+
+        const filePath = dataPath(id);
+        const { size } = await fs.promises.stat(filePath);
+        if (size !== session.totalSize) {
+          throw uploadError(`Assembled file is ${size} bytes, expected ${session.totalSize}`, 422);
+        }
+
+        const fileHash = await hashFile(filePath);
+        if (sha256 && fileHash !== String(sha256).toLowerCase()) {
+          throw uploadError("Checksum mismatch for the assembled file", 422);
+        }
+
+        // Hand the data file over and forget the session
+        const finalPath = path.join(dir, `${id}-${session.filename}`);
+        await fs.promises.rename(filePath, finalPath);
+        await fs.promises.unlink(statePath(id));
+
+        return { session, filePath: finalPath, sha256: fileHash };
+      });
+    },
+
+    /**
+     * Abandons an upload and deletes what was received
+     */
+    async remove(id) {
+      if (!(await readState(id))) return false;
+      for (const filePath of [dataPath(id), statePath(id)]) {
+        try {
+          await fs.promises.unlink(filePath);
+        } catch (err) {
+          if (err.code !== "ENOENT") throw err;
+        }
+      }
+      return true;
+    },
+
+    /**
+     * Deletes sessions nobody has touched for a day (call at startup)
+     * @returns {Promise<number>} - Number of sessions removed
+     */
+    async pruneStale() {
+      let removed = 0;
+      for (const name of await fs.promises.readdir(dir)) {
+        if (!name.endsWith(".json")) continue;
+        const id = name.replace(".json", "");
+        try {
+          const session = await readState(id);
+          if (session && Date.now() - new Date(session.updatedAt).getTime() > SESSION_MAX_AGE_MS) {
+            await this.remove(id);
+            removed++;
+          }
+        } catch (err) {
+          console.error(`Error pruning upload session ${id}:`, err.message);
+        }
+      }
+      return removed;
+    },
+  };
+}
+
+// Errors carry the HTTP status the route should respond with
+function uploadError(message, status = 400) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}